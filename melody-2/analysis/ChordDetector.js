@@ -0,0 +1,106 @@
+import { MidiUtils } from '../audio/MidiUtils.js';
+import { KeyDetector } from './KeyDetector.js';
+
+/**
+ * ChordDetector - Names chords from sets of sounding notes
+ *
+ * Matches the pitch classes against chord templates on every possible root.
+ * A template must be contained in the notes, except that the fifth may be
+ * left out of four-note chords; the fullest match with the fewest extra notes
+ * wins, and the lowest note breaks ties and becomes the bass of slash chords.
+ */
+class ChordDetector {
+    // Intervals above the root; earlier templates win ties
+    static TEMPLATES = [
+        { suffix: '', intervals: [0, 4, 7] },
+        { suffix: 'm', intervals: [0, 3, 7] },
+        { suffix: '7', intervals: [0, 4, 7, 10] },
+        { suffix: 'maj7', intervals: [0, 4, 7, 11] },
+        { suffix: 'm7', intervals: [0, 3, 7, 10] },
+        { suffix: 'dim', intervals: [0, 3, 6] },
+        { suffix: 'm7b5', intervals: [0, 3, 6, 10] },
+        { suffix: 'dim7', intervals: [0, 3, 6, 9] },
+        { suffix: 'aug', intervals: [0, 4, 8] },
+        { suffix: 'sus4', intervals: [0, 5, 7] },
+        { suffix: 'sus2', intervals: [0, 2, 7] },
+        { suffix: '6', intervals: [0, 4, 7, 9] },
+        { suffix: 'm6', intervals: [0, 3, 7, 9] },
+        { suffix: '5', intervals: [0, 7] }
+    ];
+    static MAX_EXTRA_NOTES = 1; // Pitch classes outside the template that are still tolerated
+
+    /**
+     * Name the chord formed by a set of notes
+     * @param {Array<number>} midiNotes - MIDI note numbers sounding together
+     * @return {Object|null} { name, root, bass (pitch classes), quality (template suffix), pitchClasses },
+     *                       or null for fewer than two pitch classes or no matching template
+     */
+    static detect(midiNotes) {
+        const pitchClasses = [...new Set(midiNotes.map(midi => midi % 12))].sort((a, b) => a - b);
+        if (pitchClasses.length < 2) return null;
+        const bass = Math.min(...midiNotes) % 12;
+
+        let best = null;
+        pitchClasses.forEach(root => {
+            const intervals = new Set(pitchClasses.map(pc => (pc - root + 12) % 12));
+            this.TEMPLATES.forEach((template, order) => {
+                let required = template.intervals;
+                let penalty = 0;
+                if (!required.every(interval => intervals.has(interval))) {
+                    // Four-note chords are often voiced without their fifth
+                    if (required.length < 4 || !required.includes(7)) return;
+                    required = required.filter(interval => interval !== 7);
+                    if (!required.every(interval => intervals.has(interval))) return;
+                    penalty = 1;
+                }
+                const extras = intervals.size - required.length;
+                if (extras > this.MAX_EXTRA_NOTES) return;
+
+                const score = 2 * required.length - 2 * extras - penalty + (root === bass ? 0.5 : 0) - order * 0.01;
+                if (!best || score > best.score) best = { root, quality: template.suffix, score };
+            });
+        });
+        if (!best) return null;
+
+        const name = this.pitchClassName(best.root) + best.quality +
+            (bass !== best.root ? `/${this.pitchClassName(bass)}` : '');
+        return { name, root: best.root, bass, quality: best.quality, pitchClasses };
+    }
+
+    /**
+     * Chord symbols over time for a polyphonic melody
+     * @param {Array} notes - Melody events with quantizedStart/quantizedEnd in beats
+     * @return {Array} { start, end, name } in beats; spans without a nameable chord are left out
+     */
+    static fromNotes(notes) {
+        const sounding = notes.filter(event => event.note !== "Pause" &&
+            Number.isFinite(event.quantizedStart) && event.quantizedEnd > event.quantizedStart);
+        const boundaries = [...new Set(sounding.flatMap(event => [event.quantizedStart, event.quantizedEnd]))]
+            .sort((a, b) => a - b);
+
+        const chords = [];
+        for (let i = 0; i < boundaries.length - 1; i++) {
+            const start = boundaries[i];
+            const end = boundaries[i + 1];
+            const midiNotes = sounding
+                .filter(event => event.quantizedStart <= start && event.quantizedEnd >= end)
+                .map(event => MidiUtils.noteToMidi(event.note));
+            const chord = this.detect(midiNotes);
+            if (!chord) continue;
+
+            const last = chords[chords.length - 1];
+            if (last && last.name === chord.name && last.end === start) {
+                last.end = end;
+            } else {
+                chords.push({ start, end, name: chord.name });
+            }
+        }
+        return chords;
+    }
+
+    static pitchClassName(pitchClass) {
+        return KeyDetector.MAJOR_TONICS[pitchClass];
+    }
+}
+
+export { ChordDetector };
@@ -0,0 +1,177 @@
+/**
+ * ExpressionAnalyzer - Vibrato, onset glides and drift from a note's pitch track
+ *
+ * Pitches are measured in cents from the note's centre (the median of its
+ * track). The note has settled once it comes within SETTLE_CENTS of the
+ * centre; a lead-in that moves steadily towards it from further than
+ * MIN_GLIDE_CENTS away is a scoop (from below) or a fall (from above). Over
+ * the settled part, drift is the change along a least-squares line and
+ * vibrato is a regular oscillation around that line, timed from its zero
+ * crossings. The track is FrequencyAnalyzer's smoothed pitch, so a note
+ * change reaches its new pitch in a few shrinking steps (not counted as a
+ * glide) and vibrato extents read somewhat narrower than they were sung.
+ */
+class ExpressionAnalyzer {
+    static MIN_FRAMES = 6;
+    static SETTLE_CENTS = 40;          // A glide has arrived once it is this close to the centre
+    static MIN_GLIDE_CENTS = 80;       // Smaller approaches are intonation, not a scoop
+    static MIN_GLIDE_SECONDS = 0.04;   // Faster approaches are a change of note, not a glide
+    static MIN_GLIDE_SPEED = 200;      // Cents per second; slower movement is a held pitch, where the glide began
+    static MIN_GLIDE_RATIO = 0.6;      // Distance a glide frame keeps of the one before; a jump (even a smoothed one) keeps less
+    static MIN_DRIFT_SECONDS = 0.2;    // Settled part needed to measure drift and vibrato
+    static VIBRATO_RATE = [3, 9];      // Hz
+    static MIN_VIBRATO_CENTS = 8;      // Extent (either side of the line) below which no vibrato is reported
+    static MIN_VIBRATO_CYCLES = 2;
+    static MAX_PERIOD_SPREAD = 0.35;   // Relative spread of half-periods a regular vibrato stays within
+    static HYSTERESIS_CENTS = 3;       // Jitter around the line is not counted as crossings
+    static MIN_DRIFT_CENTS = 10;       // Smaller drifts are left out of descriptions
+
+    /**
+     * Expressive features of a sung note
+     * @param {Array} track - Pitch track of [seconds since note start, Hz, dB] entries
+     * @param {Array} leadIn - [seconds, Hz] frames heard just before the note started (negative times)
+     * @return {Object|null} { vibrato: { rate (Hz), extent (cents) } | null,
+     *                       onset: { direction ('up' | 'down'), cents, duration (seconds) } | null,
+     *                       drift (cents, positive when the note went sharp) | null },
+     *                       or null when the track is too short to tell
+     */
+    static analyze(track, leadIn = []) {
+        const voiced = (Array.isArray(track) ? track : []).filter(frame => frame[1] > 0);
+        if (voiced.length < this.MIN_FRAMES) return null;
+
+        const sorted = voiced.map(frame => frame[1]).sort((a, b) => a - b);
+        const centre = sorted[Math.floor(sorted.length / 2)];
+        const frames = [...leadIn.filter(frame => frame[1] > 0), ...voiced]
+            .map(([time, frequency]) => ({ time, cents: 1200 * Math.log2(frequency / centre) }));
+
+        // The note settles in the settled run leading into its track, not on a lead-in that passed the centre earlier
+        const settled = frames.map(frame => Math.abs(frame.cents) <= this.SETTLE_CENTS);
+        let first = settled.indexOf(true, frames.length - voiced.length);
+        while (first > 0 && settled[first - 1]) first--;
+        const last = settled.lastIndexOf(true);
+        const steady = frames.slice(first, last + 1);
+
+        const expression = { vibrato: null, onset: this.findOnset(frames, first), drift: null };
+        if (steady[steady.length - 1].time - steady[0].time < this.MIN_DRIFT_SECONDS) return expression;
+
+        const line = this.fitLine(steady);
+        expression.drift = Math.round(line.slope * (steady[steady.length - 1].time - steady[0].time));
+        expression.vibrato = this.findVibrato(steady.map(frame => ({
+            time: frame.time,
+            cents: frame.cents - (line.intercept + line.slope * frame.time)
+        })));
+        return expression;
+    }
+
+    // Glide into the first settled frame, followed back while it keeps moving towards the centre
+    static findOnset(frames, settledIndex) {
+        if (settledIndex <= 0) return null;
+        let start = settledIndex;
+        while (start > 0) {
+            const further = frames[start - 1].cents;
+            const nearer = frames[start].cents;
+            const speed = (Math.abs(further) - Math.abs(nearer)) / (frames[start].time - frames[start - 1].time);
+            const sameSide = Math.sign(further) === Math.sign(frames[settledIndex - 1].cents);
+            const jump = Math.abs(nearer) > this.SETTLE_CENTS && Math.abs(nearer) < this.MIN_GLIDE_RATIO * Math.abs(further);
+            if (!sameSide || jump || !(speed >= this.MIN_GLIDE_SPEED)) break;
+            start--;
+        }
+
+        const cents = frames[start].cents;
+        const duration = frames[settledIndex].time - frames[start].time;
+        if (Math.abs(cents) < this.MIN_GLIDE_CENTS || duration < this.MIN_GLIDE_SECONDS) return null;
+        return {
+            direction: cents < 0 ? 'up' : 'down',
+            cents: Math.round(Math.abs(cents)),
+            duration: Math.round(duration * 1000) / 1000
+        };
+    }
+
+    // Least-squares line through { time, cents } points
+    static fitLine(points) {
+        const n = points.length;
+        const meanTime = points.reduce((sum, point) => sum + point.time, 0) / n;
+        const meanCents = points.reduce((sum, point) => sum + point.cents, 0) / n;
+        let covariance = 0;
+        let variance = 0;
+        points.forEach(point => {
+            covariance += (point.time - meanTime) * (point.cents - meanCents);
+            variance += (point.time - meanTime) ** 2;
+        });
+        const slope = variance > 0 ? covariance / variance : 0;
+        return { slope, intercept: meanCents - slope * meanTime };
+    }
+
+    /**
+     * Regular oscillation around the drift line
+     * @param {Array} residual - { time, cents } relative to the line
+     * @return {Object|null} { rate (Hz), extent (cents either side) }
+     */
+    static findVibrato(residual) {
+        // Zero crossings, interpolated, once the residual has cleared the hysteresis band on the other side
+        const crossings = [];
+        let side = 0;
+        let lastSignChange = null;
+        residual.forEach((point, i) => {
+            if (i > 0 && Math.sign(point.cents) !== Math.sign(residual[i - 1].cents)) {
+                const previous = residual[i - 1];
+                const fraction = previous.cents / (previous.cents - point.cents);
+                lastSignChange = previous.time + fraction * (point.time - previous.time);
+            }
+            const current = point.cents > this.HYSTERESIS_CENTS ? 1 : point.cents < -this.HYSTERESIS_CENTS ? -1 : 0;
+            if (current === 0 || current === side) return;
+            if (side !== 0 && lastSignChange !== null) crossings.push(lastSignChange);
+            side = current;
+        });
+        if (crossings.length < 2 * this.MIN_VIBRATO_CYCLES + 1) return null;
+
+        const halfPeriods = crossings.slice(1).map((time, i) => time - crossings[i]);
+        const mean = halfPeriods.reduce((sum, period) => sum + period, 0) / halfPeriods.length;
+        const spread = Math.sqrt(halfPeriods.reduce((sum, period) => sum + (period - mean) ** 2, 0) / halfPeriods.length);
+        const rate = 1 / (2 * mean);
+        if (spread / mean > this.MAX_PERIOD_SPREAD) return null;
+        if (rate < this.VIBRATO_RATE[0] || rate > this.VIBRATO_RATE[1]) return null;
+
+        // Peak of a sine with the residual's RMS
+        const rms = Math.sqrt(residual.reduce((sum, point) => sum + point.cents ** 2, 0) / residual.length);
+        const extent = Math.round(rms * Math.SQRT2);
+        if (extent < this.MIN_VIBRATO_CENTS) return null;
+        return { rate: Math.round(rate * 10) / 10, extent };
+    }
+
+    /**
+     * Notation ornaments for a note's expression
+     * @param {Object|null} expression - Result of analyze()
+     * @return {Array<string>} 'vibrato', 'scoop' (glide up into the note) and/or 'plop' (glide down into it)
+     */
+    static ornaments(expression) {
+        if (!expression) return [];
+        const ornaments = [];
+        if (expression.vibrato) ornaments.push('vibrato');
+        if (expression.onset) ornaments.push(expression.onset.direction === 'up' ? 'scoop' : 'plop');
+        return ornaments;
+    }
+
+    /**
+     * One-line summary for tooltips, e.g. "vibrato 5.5 Hz ±30 cents, scoop from 120 cents below"
+     * @param {Object|null} expression - Result of analyze()
+     * @return {string} Empty when there is nothing to report
+     */
+    static describe(expression) {
+        if (!expression) return '';
+        const parts = [];
+        if (expression.vibrato) {
+            parts.push(`vibrato ${expression.vibrato.rate} Hz ±${expression.vibrato.extent} cents`);
+        }
+        if (expression.onset) {
+            const { direction, cents } = expression.onset;
+            parts.push(direction === 'up' ? `scoop from ${cents} cents below` : `fall from ${cents} cents above`);
+        }
+        if (Math.abs(expression.drift) >= this.MIN_DRIFT_CENTS) {
+            parts.push(`drift ${expression.drift > 0 ? '+' : ''}${expression.drift} cents`);
+        }
+        return parts.join(', ');
+    }
+}
+
+export { ExpressionAnalyzer };
@@ -0,0 +1,152 @@
+import { NoteDetector } from '../audio/NoteDetector.js';
+import { MidiUtils } from '../audio/MidiUtils.js';
+
+/**
+ * KeyDetector - Key/mode estimation and scale-aware pitch snapping
+ *
+ * Builds a duration-weighted pitch-class histogram of a take and correlates it
+ * with the Krumhansl-Kessler key profiles rotated to all 24 major and minor keys.
+ */
+class KeyDetector {
+    // Krumhansl-Kessler probe-tone profiles, starting on the tonic
+    static MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+    static MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+    // Scale degrees in semitones; minor includes the raised seventh singers use as a leading tone
+    static MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+    static MINOR_SCALE = [0, 2, 3, 5, 7, 8, 10, 11];
+
+    // Key signature (sharps positive, flats negative) and tonic spelling by tonic pitch class
+    static MAJOR_FIFTHS = [0, -5, 2, -3, 4, -1, 6, 1, -4, 3, -2, 5];
+    static MINOR_FIFTHS = [-3, 4, -1, -6, 1, -4, 3, -2, 5, 0, -5, 2];
+    static MAJOR_TONICS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+    static MINOR_TONICS = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+
+    static SNAP_THRESHOLD_CENTS = 20; // Pitches further than this from a semitone count as borderline
+
+    /**
+     * Estimate the key of a melody
+     * @param {Array} notes - Melody events with note names and durations
+     * @return {Object|null} Key (see createKey) plus its correlation, or null for melodies without notes
+     */
+    static detect(notes) {
+        const histogram = new Array(12).fill(0);
+        notes.forEach(event => {
+            const midi = MidiUtils.noteToMidi(event.note);
+            if (midi < 0) return;
+            histogram[midi % 12] += Math.max(event.rawDuration ?? event.duration ?? 0, 0.01);
+        });
+        if (histogram.every(weight => weight === 0)) return null;
+
+        let best = null;
+        for (let tonic = 0; tonic < 12; tonic++) {
+            for (const mode of ['major', 'minor']) {
+                const profile = mode === 'major' ? this.MAJOR_PROFILE : this.MINOR_PROFILE;
+                const rotated = histogram.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+                const correlation = this.correlate(histogram, rotated);
+                if (!best || correlation > best.correlation) {
+                    best = { ...this.createKey(tonic, mode), correlation };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Describe a key
+     * @param {number} pitchClass - Tonic pitch class (0 = C)
+     * @param {string} mode - 'major' or 'minor'
+     * @return {{tonic: string, pitchClass: number, mode: string, fifths: number}} Key
+     */
+    static createKey(pitchClass, mode) {
+        const minor = mode === 'minor';
+        return {
+            tonic: (minor ? this.MINOR_TONICS : this.MAJOR_TONICS)[pitchClass],
+            pitchClass,
+            mode: minor ? 'minor' : 'major',
+            fifths: (minor ? this.MINOR_FIFTHS : this.MAJOR_FIFTHS)[pitchClass]
+        };
+    }
+
+    /**
+     * Key described by a key signature, as found in MIDI files
+     * @param {number} fifths - Sharps (positive) or flats (negative)
+     * @param {string} mode - 'major' or 'minor'
+     * @return {Object} Key (see createKey)
+     */
+    static fromKeySignature(fifths, mode) {
+        const table = mode === 'minor' ? this.MINOR_FIFTHS : this.MAJOR_FIFTHS;
+        const pitchClass = table.indexOf(fifths);
+        if (pitchClass !== -1) return this.createKey(pitchClass, mode);
+
+        // Enharmonic keys the tables spell the other way (Gb, Cb, C# major...)
+        const enharmonicPitchClass = ((fifths * 7) % 12 + 12 + (mode === 'minor' ? 9 : 0)) % 12;
+        const names = fifths < 0
+            ? ['C', 'Db', 'D', 'Eb', 'Fb', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'Cb']
+            : ['B#', 'C#', 'D', 'D#', 'E', 'E#', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        return {
+            ...this.createKey(enharmonicPitchClass, mode),
+            tonic: names[enharmonicPitchClass],
+            fifths
+        };
+    }
+
+    static keyName(key) {
+        return key ? `${key.tonic} ${key.mode}` : '';
+    }
+
+    static inScale(midi, key) {
+        const degrees = key.mode === 'minor' ? this.MINOR_SCALE : this.MAJOR_SCALE;
+        return degrees.includes((midi - key.pitchClass + 120) % 12);
+    }
+
+    /**
+     * Nearest semitone, unless the pitch is borderline and the semitone on the
+     * other side of it belongs to the scale while the nearest one does not
+     * @param {number} frequency - Frequency in Hz
+     * @param {Object} key - Key to snap to
+     * @param {number} thresholdCents - Minimum distance from the nearest semitone to count as borderline
+     * @param {Tuning} tuning - Tuning to name the pitch in
+     * @return {number} MIDI note number
+     */
+    static snapMidi(frequency, key, thresholdCents = this.SNAP_THRESHOLD_CENTS, tuning = NoteDetector.tuning) {
+        const nearest = NoteDetector.frequencyToMIDI(frequency, tuning);
+        const deviation = NoteDetector.getCentsDeviation(frequency, nearest, tuning);
+        if (this.inScale(nearest, key) || Math.abs(deviation) < thresholdCents) return nearest;
+
+        const neighbour = nearest + Math.sign(deviation);
+        return this.inScale(neighbour, key) ? neighbour : nearest;
+    }
+
+    /**
+     * Snap the notes of a finished take to a scale using their stored frequencies
+     * @param {Array} notes - Melody events
+     * @param {Object} key - Key to snap to
+     * @param {number} thresholdCents - See snapMidi
+     * @param {Tuning} tuning - Tuning the notes were named in
+     * @return {Array} New events with corrected note names
+     */
+    static snapNotes(notes, key, thresholdCents = this.SNAP_THRESHOLD_CENTS, tuning = NoteDetector.tuning) {
+        return notes.map(event => {
+            if (event.note === "Pause" || !Number.isFinite(event.frequency)) return event;
+            const note = MidiUtils.midiToNote(this.snapMidi(event.frequency, key, thresholdCents, tuning));
+            return note === event.note ? event : { ...event, note };
+        });
+    }
+
+    static correlate(a, b) {
+        const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+        const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < a.length; i++) {
+            covariance += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += (a[i] - meanA) * (a[i] - meanA);
+            varianceB += (b[i] - meanB) * (b[i] - meanB);
+        }
+        return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+    }
+}
+
+export { KeyDetector };
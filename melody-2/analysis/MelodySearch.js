@@ -0,0 +1,118 @@
+import { MelodyTimeline } from '../notation/MelodyTimeline.js';
+
+/**
+ * MelodySearch - Query-by-humming over stored melodies
+ *
+ * Melodies are compared as steps from one note to the next: the interval in
+ * semitones and the log2 ratio of the two notes' inter-onset times. Both are
+ * unchanged by transposition and tempo, so a fragment hummed in any key and
+ * at any speed can match. The hummed steps are aligned with every stretch of
+ * a stored melody by subsequence dynamic time warping: the fragment may
+ * start and end anywhere in the melody, and notes hummed split in two or
+ * merged stretch the alignment at a cost of SKIP_COST per step.
+ */
+class MelodySearch {
+    static MIN_QUERY_NOTES = 3;    // Fewer hummed notes say too little to search with
+    static INTERVAL_CAP = 6;       // Semitones; bigger interval differences cost no more
+    static RHYTHM_WEIGHT = 0.5;    // Cost of a duration ratio off by a factor of two
+    static RHYTHM_CAP = 2;         // Octaves of duration ratio beyond which the cost stops growing
+    static SKIP_COST = 1;          // Extra cost of a step aligned with more than one step
+    static COST_RANGE = 3;         // Mean cost per step at which the score reaches zero
+    static MAX_RESULTS = 10;
+
+    /**
+     * Transposition- and tempo-invariant steps of a melody
+     * @param {Array} notes - Stored melody events
+     * @param {number} bpm - Tempo the events were saved with
+     * @return {Object} { steps: { interval (semitones), rhythm (log2 duration ratio) },
+     *                  indices: index into `notes` of each note the steps join (one more than steps) }
+     */
+    static features(notes, bpm) {
+        const timeline = MelodyTimeline.fromMelody(notes, bpm).filter(event => event.midi >= 0);
+        // Each note lasts until the next starts, so humming staccato or legato makes no difference
+        const spans = timeline.map((event, i) => (i + 1 < timeline.length ? timeline[i + 1].start : event.end) - event.start);
+        const steps = timeline.slice(1).map((event, i) => ({
+            interval: event.midi - timeline[i].midi,
+            rhythm: Math.log2(spans[i + 1] / spans[i])
+        }));
+        return { steps, indices: timeline.map(event => event.index) };
+    }
+
+    /**
+     * Best-matching stretch of a melody for a query
+     * @param {Array} query - Steps from features()
+     * @param {Array} target - Steps from features()
+     * @return {Object|null} { cost (mean per query step), first, last (target steps, inclusive) }
+     */
+    static match(query, target) {
+        if (query.length === 0 || target.length === 0) return null;
+        const rows = query.length + 1;
+        const columns = target.length + 1;
+        // Row 0 is free everywhere, so the query may start at any step of the target
+        let previous = new Array(columns).fill(0);
+        let previousOrigin = Array.from({ length: columns }, (_, j) => j);
+
+        for (let i = 1; i < rows; i++) {
+            const current = new Array(columns).fill(Infinity);
+            const origin = new Array(columns).fill(0);
+            for (let j = 1; j < columns; j++) {
+                const stepCost = this.stepCost(query[i - 1], target[j - 1]);
+                // Diagonal: one step each; otherwise one of them is stretched over several steps of the other
+                const candidates = [
+                    [previous[j - 1], previousOrigin[j - 1]],
+                    [i > 1 ? previous[j] + this.SKIP_COST : Infinity, previousOrigin[j]],
+                    [current[j - 1] + this.SKIP_COST, origin[j - 1]]
+                ];
+                const [best, from] = candidates.reduce((a, b) => (b[0] < a[0] ? b : a));
+                current[j] = best + stepCost;
+                origin[j] = from;
+            }
+            previous = current;
+            previousOrigin = origin;
+        }
+
+        let last = 1;
+        for (let j = 2; j < columns; j++) {
+            if (previous[j] < previous[last]) last = j;
+        }
+        return {
+            cost: previous[last] / query.length,
+            first: previousOrigin[last],
+            last: last - 1
+        };
+    }
+
+    // Distance between a hummed step and a stored one
+    static stepCost(a, b) {
+        return Math.min(Math.abs(a.interval - b.interval), this.INTERVAL_CAP) +
+            this.RHYTHM_WEIGHT * Math.min(Math.abs(a.rhythm - b.rhythm), this.RHYTHM_CAP);
+    }
+
+    /**
+     * Rank melodies by similarity to a hummed fragment
+     * @param {Array} queryNotes - Hummed melody events
+     * @param {number} bpm - Tempo the hummed events were quantized at
+     * @param {Array} melodies - Stored melodies; polyphonic ones are skipped
+     * @return {Array} { melody, score (0-100), start, end (indices into melody.notes, inclusive) },
+     *                 best first; empty when the query is too short
+     */
+    static search(queryNotes, bpm, melodies) {
+        const query = this.features(queryNotes, bpm);
+        if (query.indices.length < this.MIN_QUERY_NOTES) return [];
+
+        const results = [];
+        melodies.forEach(melody => {
+            if (melody.polyphonic || !Array.isArray(melody.notes)) return;
+            const target = this.features(melody.notes, melody.bpm);
+            const found = this.match(query.steps, target.steps);
+            if (!found) return;
+            const score = Math.round(100 * Math.max(0, 1 - found.cost / this.COST_RANGE));
+            if (score === 0) return;
+            // Step k joins notes k and k + 1
+            results.push({ melody, score, start: target.indices[found.first], end: target.indices[found.last + 1] });
+        });
+        return results.sort((a, b) => b.score - a.score).slice(0, this.MAX_RESULTS);
+    }
+}
+
+export { MelodySearch };
@@ -0,0 +1,144 @@
+import { NoteDetector } from '../audio/NoteDetector.js';
+import { MidiUtils } from '../audio/MidiUtils.js';
+import { MelodyTimeline } from '../notation/MelodyTimeline.js';
+
+/**
+ * PracticeScorer - Scores a sung attempt against a stored melody
+ *
+ * The attempt is sung on the target's beat grid (a metronome downbeat locks
+ * them together). Target and sung notes are aligned by dynamic programming,
+ * as in an edit distance: pairing two notes costs more the further apart
+ * they are in pitch and onset, leaving a target note unsung or singing a
+ * note that is not in the target costs GAP_COST. Paired notes are hits when
+ * within PITCH_TOLERANCE of the target and wrong notes otherwise. Sung
+ * onsets are moved back by DETECTION_LATENCY, the time the analysis window
+ * and note stability check take to report a note that has begun.
+ */
+class PracticeScorer {
+    static PITCH_TOLERANCE = 50;   // cents; further off is a wrong note
+    static PITCH_RANGE = 100;      // cents off at which a note's pitch score reaches zero
+    static TIMING_RANGE = 0.5;     // beats early or late at which a note's timing score reaches zero
+    static MAX_OFFSET = 2;         // beats; notes further apart than this are never paired
+    static GAP_COST = 1;           // Cost of a missed or an extra note
+    static PITCH_COST_OCTAVE = 0.5; // Pairing cost of a note an octave (or more) off, sung on time
+    static DETECTION_LATENCY = 0.1; // Seconds from a note's onset to its timestamp
+
+    /**
+     * Score a sung take against the target melody
+     * @param {Array} targetNotes - Stored melody events
+     * @param {Array} take - Sung melody events, timestamps in seconds from the target's first beat
+     * @param {number} bpm - Tempo of the target
+     * @param {Tuning} tuning - Tuning the target was recorded in, which pitches are measured against
+     * @return {Object} { score, pitchScore, timingScore (0-100), hits, wrong, missed, extra (counts),
+     *                  notes: per target note { index, note, start (beats), status ('hit' | 'wrong' | 'missed'),
+     *                  sung, cents, offset (beats, positive when late) }, extras: { sung, start } }
+     */
+    static score(targetNotes, take, bpm, tuning = NoteDetector.tuning) {
+        const targets = MelodyTimeline.fromMelody(targetNotes, bpm)
+            .filter(event => event.midi >= 0)
+            .map(event => ({ ...event, frequency: tuning.midiToFrequency(event.midi) }));
+        const sung = take
+            .filter(event => event.note !== "Pause" && Number.isFinite(event.timestamp))
+            .map(event => ({ note: event.note, start: (event.timestamp - this.DETECTION_LATENCY) * bpm / 60, frequency: this.sungFrequency(event, tuning) }));
+
+        const pairs = this.align(targets, sung);
+        const notes = targets.map((target, i) => {
+            const result = { index: target.index, note: target.note, start: target.start };
+            const match = pairs.get(i);
+            if (match === undefined) return { ...result, status: 'missed' };
+            const cents = 1200 * Math.log2(sung[match].frequency / target.frequency);
+            return {
+                ...result,
+                status: Math.abs(cents) <= this.PITCH_TOLERANCE ? 'hit' : 'wrong',
+                sung: sung[match].note,
+                cents: Math.round(cents),
+                offset: Math.round((sung[match].start - target.start) * 100) / 100
+            };
+        });
+        const paired = new Set(pairs.values());
+        const extras = sung
+            .filter((event, j) => !paired.has(j))
+            .map(event => ({ sung: event.note, start: Math.round(event.start * 100) / 100 }));
+
+        const count = status => notes.filter(note => note.status === status).length;
+        const mean = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+        const pitchScore = mean(notes.map(note => (note.status === 'missed' ? 0 : Math.max(0, 1 - Math.abs(note.cents) / this.PITCH_RANGE))));
+        const timingScore = mean(notes.map(note => (note.status === 'missed' ? 0 : Math.max(0, 1 - Math.abs(note.offset) / this.TIMING_RANGE))));
+        // Extra notes dilute the score as if they were targets sung completely wrong
+        const score = (pitchScore + timingScore) / 2 * notes.length / Math.max(1, notes.length + extras.length);
+
+        return {
+            score: Math.round(score * 100),
+            pitchScore: Math.round(pitchScore * 100),
+            timingScore: Math.round(timingScore * 100),
+            hits: count('hit'),
+            wrong: count('wrong'),
+            missed: count('missed'),
+            extra: extras.length,
+            notes,
+            extras
+        };
+    }
+
+    // Median of a sung note's pitch track, which is steadier than the frequency it was detected with
+    static sungFrequency(event, tuning = NoteDetector.tuning) {
+        const track = (event.pitchTrack || []).map(frame => frame[1]).filter(frequency => frequency > 0);
+        if (track.length === 0) return event.frequency || tuning.midiToFrequency(MidiUtils.noteToMidi(event.note));
+        track.sort((a, b) => a - b);
+        return track[Math.floor(track.length / 2)];
+    }
+
+    /**
+     * Cheapest alignment of target and sung notes, both in time order
+     * @param {Array} targets - { frequency, start } in beats
+     * @param {Array} sung - { frequency, start } in beats
+     * @return {Map} Target index -> sung index for the paired notes
+     */
+    static align(targets, sung) {
+        const rows = targets.length + 1;
+        const columns = sung.length + 1;
+        const cost = Array.from({ length: rows }, () => new Array(columns).fill(Infinity));
+        const step = Array.from({ length: rows }, () => new Array(columns).fill(null));
+        cost[0][0] = 0;
+
+        for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < columns; j++) {
+                if (i > 0 && cost[i - 1][j] + this.GAP_COST < cost[i][j]) {
+                    cost[i][j] = cost[i - 1][j] + this.GAP_COST;
+                    step[i][j] = 'missed';
+                }
+                if (j > 0 && cost[i][j - 1] + this.GAP_COST < cost[i][j]) {
+                    cost[i][j] = cost[i][j - 1] + this.GAP_COST;
+                    step[i][j] = 'extra';
+                }
+                if (i > 0 && j > 0) {
+                    const pairCost = this.pairCost(targets[i - 1], sung[j - 1]);
+                    if (cost[i - 1][j - 1] + pairCost < cost[i][j]) {
+                        cost[i][j] = cost[i - 1][j - 1] + pairCost;
+                        step[i][j] = 'pair';
+                    }
+                }
+            }
+        }
+
+        const pairs = new Map();
+        let i = rows - 1;
+        let j = columns - 1;
+        while (i > 0 || j > 0) {
+            if (step[i][j] === 'pair') pairs.set(--i, --j);
+            else if (step[i][j] === 'missed') i--;
+            else j--;
+        }
+        return pairs;
+    }
+
+    // Distance in onset and pitch; Infinity when the onsets are too far apart to pair
+    static pairCost(target, sung) {
+        const offset = Math.abs(sung.start - target.start);
+        if (offset > this.MAX_OFFSET) return Infinity;
+        const cents = Math.abs(1200 * Math.log2(sung.frequency / target.frequency));
+        return offset / this.MAX_OFFSET + this.PITCH_COST_OCTAVE * Math.min(1, cents / 1200);
+    }
+}
+
+export { PracticeScorer };
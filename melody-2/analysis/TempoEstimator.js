@@ -0,0 +1,155 @@
+/**
+ * TempoEstimator - Estimates tempo and beat phase from the note onsets of a take
+ *
+ * Each candidate tempo is scored by how well the onsets line up with its beat
+ * (and, with less weight, its eighth notes), measured as the length of the
+ * mean unit vector of onset phases. Onsets are weighted by note length since
+ * long notes tend to fall on beats, and a broad prior around a moderate tempo
+ * settles the usual half/double-tempo ambiguity.
+ */
+class TempoEstimator {
+    static MIN_BPM = 40;
+    static MAX_BPM = 240;
+    static BPM_STEP = 0.5;
+    static PREFERRED_BPM = 110;  // Centre of the tempo prior
+    static PRIOR_WIDTH = 1;      // Standard deviation of the prior, in octaves of tempo
+    static SUBDIVISION_WEIGHT = 0.5;
+    static MIN_ONSETS = 4;
+
+    /**
+     * Estimate tempo and beat phase from a take
+     * @param {Array} notes - Melody events with timestamp and rawDuration/duration in seconds
+     * @param {Object} options - { minBpm, maxBpm }
+     * @return {{bpm: number, beatOffset: number, confidence: number}|null} Tempo, time of a beat
+     *         (seconds, on the timestamp clock) at or before the first onset, and a 0-1 confidence;
+     *         null if there are too few notes
+     */
+    static estimate(notes, options = {}) {
+        const onsets = this.getOnsets(notes);
+        if (onsets.length < this.MIN_ONSETS) return null;
+
+        const minBpm = options.minBpm || this.MIN_BPM;
+        const maxBpm = options.maxBpm || this.MAX_BPM;
+        let best = null;
+
+        for (let bpm = minBpm; bpm <= maxBpm; bpm += this.BPM_STEP) {
+            const period = 60 / bpm;
+            const beat = this.coherence(onsets, period);
+            const subdivision = this.coherence(onsets, period / 2);
+            const strength = (beat.strength + this.SUBDIVISION_WEIGHT * subdivision.strength) / (1 + this.SUBDIVISION_WEIGHT);
+            const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / this.PREFERRED_BPM) / this.PRIOR_WIDTH, 2));
+            const score = strength * prior;
+
+            if (!best || score > best.score) {
+                best = { bpm, score, strength, phase: beat.phase };
+            }
+        }
+
+        return {
+            bpm: best.bpm,
+            beatOffset: this.beatBefore(onsets[0].time, best.phase, 60 / best.bpm),
+            confidence: best.strength
+        };
+    }
+
+    /**
+     * Find the beat phase for a known tempo
+     * @param {Array} notes - Melody events
+     * @param {number} bpm - Beats per minute
+     * @return {number} Time of a beat (seconds) at or before the first onset
+     */
+    static estimatePhase(notes, bpm) {
+        const onsets = this.getOnsets(notes);
+        if (onsets.length === 0) return 0;
+        const period = 60 / bpm;
+        return this.beatBefore(onsets[0].time, this.coherence(onsets, period).phase, period);
+    }
+
+    /**
+     * Re-quantize a take against a tempo and beat grid
+     * @param {Array} notes - Melody events with timestamp and rawDuration/duration in seconds, in time order
+     * @param {number} bpm - Beats per minute
+     * @param {number} beatOffset - Time (seconds) of beat 0 on the timestamp clock
+     * @param {number} grid - Grid size in beats (0.25 = 16th notes)
+     * @param {Object} options - { polyphonic } for takes whose notes overlap, which get no rests
+     * @return {Array} New events with timestamps relative to beat 0 and fresh quantized fields. Every
+     *                 note keeps at least one grid step instead of collapsing, and the rests are
+     *                 rebuilt from the gaps between the re-quantized notes
+     */
+    static requantize(notes, bpm, beatOffset, grid = 0.25, options = {}) {
+        const beatDuration = 60 / bpm;
+        const snap = (seconds) => Math.round(seconds / beatDuration / grid) * grid;
+
+        const requantized = notes
+            .filter(event => event.note !== "Pause")
+            .map(event => {
+                const timestamp = event.timestamp - beatOffset;
+                const rawDuration = event.rawDuration ?? event.duration;
+                const quantizedStart = snap(timestamp);
+                const quantizedEnd = Math.max(quantizedStart + grid, snap(timestamp + rawDuration));
+                return {
+                    ...event,
+                    rawDuration,
+                    duration: (quantizedEnd - quantizedStart) * beatDuration,
+                    quantizedStart,
+                    quantizedEnd,
+                    timestamp
+                };
+            });
+        if (options.polyphonic) return requantized;
+
+        const events = [];
+        requantized.forEach((event, i) => {
+            const previous = requantized[i - 1];
+            if (previous && event.quantizedStart > previous.quantizedEnd) {
+                events.push({
+                    note: "Pause",
+                    duration: (event.quantizedStart - previous.quantizedEnd) * beatDuration,
+                    quantizedStart: previous.quantizedEnd,
+                    quantizedEnd: event.quantizedStart,
+                    timestamp: previous.quantizedEnd * beatDuration
+                });
+            }
+            events.push(event);
+        });
+        return events;
+    }
+
+    static getOnsets(notes) {
+        return notes
+            .filter(event => event.note !== "Pause" && Number.isFinite(event.timestamp))
+            .map(event => ({
+                time: event.timestamp,
+                // Long notes count more, but no single note dominates
+                weight: Math.min(Math.max(event.rawDuration ?? event.duration ?? 0, 0.05), 1)
+            }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    // Weighted mean resultant of onset phases for a period
+    static coherence(onsets, period) {
+        let x = 0;
+        let y = 0;
+        let totalWeight = 0;
+        onsets.forEach(onset => {
+            const angle = 2 * Math.PI * onset.time / period;
+            x += onset.weight * Math.cos(angle);
+            y += onset.weight * Math.sin(angle);
+            totalWeight += onset.weight;
+        });
+        const phase = ((Math.atan2(y, x) / (2 * Math.PI)) * period + period) % period;
+        return {
+            strength: totalWeight > 0 ? Math.sqrt(x * x + y * y) / totalWeight : 0,
+            phase
+        };
+    }
+
+    // Latest beat of the grid (phase + n * period) that is not after `time`, allowing for
+    // an onset that arrives slightly before its beat
+    static beatBefore(time, phase, period) {
+        const tolerance = period / 8;
+        return phase + Math.floor((time + tolerance - phase) / period) * period;
+    }
+}
+
+export { TempoEstimator };
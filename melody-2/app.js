@@ -1,31 +1,35 @@
 import { MidiUtils } from './audio/MidiUtils.js';
 import { FrequencyAnalyzer } from './audio/FrequencyAnalyzer.js';
 import { NoteDetector } from './audio/NoteDetector.js';
+import { NoteSegmenter } from './audio/NoteSegmenter.js';
+import { PolyphonicSegmenter } from './audio/PolyphonicSegmenter.js';
+import { Transcriber } from './audio/Transcriber.js';
+import { PitchDetectors } from './audio/pitch/PitchDetectors.js';
+import { MusicXmlUtils } from './notation/MusicXmlUtils.js';
+import { AbcUtils } from './notation/AbcUtils.js';
+import { StaffRenderer } from './notation/StaffRenderer.js';
+import { LivePianoRoll } from './notation/LivePianoRoll.js';
+import { MelodyEditor } from './notation/MelodyEditor.js';
+import { MelodyPlayer } from './audio/MelodyPlayer.js';
+import { Metronome } from './audio/Metronome.js';
+import { TempoEstimator } from './analysis/TempoEstimator.js';
+import { KeyDetector } from './analysis/KeyDetector.js';
+import { ExpressionAnalyzer } from './analysis/ExpressionAnalyzer.js';
+import { PracticeScorer } from './analysis/PracticeScorer.js';
+import { MelodySearch } from './analysis/MelodySearch.js';
+import { Tuning } from './audio/Tuning.js';
+import { InstrumentProfile } from './audio/InstrumentProfile.js';
+import { MelodyLibrary } from './library/MelodyLibrary.js';
 
-const VOCAL_RANGE = {
-    MIN_NOTE: 'E2',  // ~82.4 Hz
-    MAX_NOTE: 'C6',  // ~1047 Hz
-    MIN_MIDI: 40,    // E2
-    MAX_MIDI: 84     // C6
-};
-
-const TOLERANCE_DEFAULT = 35; // Reduced from 50 to be more strict with vocal pitch
 let recording = false;
-let audioContext, analyser, mediaStreamSource;
-let tolerance = TOLERANCE_DEFAULT;
+let audioContext, analyser, mediaStreamSource, mediaStream;
+let captureNode, analysisWorker, metronome;
+let tolerance = NoteSegmenter.DEFAULT_TOLERANCE;
 let BPM = 120; // Default BPM
 
 // Add this at the very top (after any global constants)
 let quantizationSetting = 16; // configurable: 4 = quarter, 8 = eighth, 16 = 16th note
 
-// Melody tracking variables
-let melody = [];
-let lastDetectedNote = null;
-let lastNoteStartTime = null;
-
-// Add these new timing variables
-let recordingStartTime = null;
-
 // UI Elements: updated to match new current note box structure
 const recordButton = document.getElementById('recordButton');
 const currentNoteEl = document.getElementById('noteDisplay');
@@ -34,7 +38,12 @@ const melodyListEl = document.querySelector('#melodyList ul');
 
 // New UI element and global variables for waveform display
 const waveformDisplay = document.getElementById('waveformDisplay');
-let waveformCanvas, waveformCtx;
+let waveformCanvas, waveformCtx, waveformBuffer;
+
+// Live piano roll of the take being recorded
+const activeNotesEl = document.getElementById('activeNotes');
+const LIVE_ROLL_HEIGHT = 200;
+let liveRoll, liveRollCanvas, liveRollCtx;
 
 // Add BPM control event listener
 const bpmInput = document.getElementById('bpmInput');
@@ -44,7 +53,184 @@ if(bpmInput) {
     });
 }
 
-const frequencyAnalyzer = new FrequencyAnalyzer();
+// Pitch detection algorithm, chosen per session before recording
+let pitchAlgorithm = PitchDetectors.CLASSIC;
+const algorithmSelect = document.getElementById('algorithmSelect');
+if (algorithmSelect) {
+    pitchAlgorithm = algorithmSelect.value;
+    algorithmSelect.addEventListener('change', () => {
+        pitchAlgorithm = algorithmSelect.value;
+    });
+}
+
+// Polyphonic mode tracks chords and simultaneous notes instead of a single melody line
+let polyphonicMode = false;
+const analysisModeSelect = document.getElementById('analysisModeSelect');
+if (analysisModeSelect) {
+    polyphonicMode = analysisModeSelect.value === 'poly';
+    analysisModeSelect.addEventListener('change', () => {
+        polyphonicMode = analysisModeSelect.value === 'poly';
+    });
+}
+
+// Instrument or voice profile: note range, analysis window, noise floor and
+// MIDI program, remembered between sessions
+function loadInstrumentProfile() {
+    try {
+        return InstrumentProfile.fromJSON(JSON.parse(localStorage.getItem('instrumentProfile')));
+    } catch (err) {
+        console.warn("Ignoring stored instrument profile:", err);
+        return new InstrumentProfile();
+    }
+}
+
+let instrumentProfile = loadInstrumentProfile();
+
+// Options shared by the main-thread analyzer and the analysis worker
+function getAnalyzerOptions() {
+    return { algorithm: pitchAlgorithm, ...instrumentProfile.analyzerOptions() };
+}
+
+let frequencyAnalyzer = new FrequencyAnalyzer(getAnalyzerOptions());
+
+// Scale snapping: "off", "detected" (snap after the take once the key is known)
+// or "<pitch class>:<mode>" for a key chosen up front, which also snaps live
+let scaleSnapMode = "off";
+const scaleSnapSelect = document.getElementById('scaleSnapSelect');
+if (scaleSnapSelect) {
+    for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+        ['major', 'minor'].forEach(mode => {
+            const option = document.createElement('option');
+            option.value = `${pitchClass}:${mode}`;
+            option.textContent = `Snap to ${KeyDetector.keyName(KeyDetector.createKey(pitchClass, mode))}`;
+            scaleSnapSelect.appendChild(option);
+        });
+    }
+    scaleSnapSelect.addEventListener('change', () => {
+        scaleSnapMode = scaleSnapSelect.value;
+    });
+}
+
+// Key chosen in the scale snapping control, if any
+function getSelectedKey() {
+    if (scaleSnapMode === "off" || scaleSnapMode === "detected") return null;
+    const [pitchClass, mode] = scaleSnapMode.split(':');
+    return KeyDetector.createKey(Number(pitchClass), mode);
+}
+
+// Tuning: reference pitch and tuning system, remembered between sessions
+const referenceInput = document.getElementById('referenceInput');
+const tuningSystemSelect = document.getElementById('tuningSystemSelect');
+const tuningTonicSelect = document.getElementById('tuningTonicSelect');
+const customCentsInput = document.getElementById('customCentsInput');
+
+function loadTuning() {
+    try {
+        return Tuning.fromJSON(JSON.parse(localStorage.getItem('tuning')));
+    } catch (err) {
+        console.warn("Ignoring stored tuning:", err);
+        return new Tuning();
+    }
+}
+
+// Build a tuning from the controls; invalid custom tables keep the previous tuning
+function applyTuningControls() {
+    customCentsInput.hidden = tuningSystemSelect.value !== Tuning.CUSTOM;
+    try {
+        const tuning = new Tuning({
+            referenceFrequency: Number(referenceInput.value) || Tuning.DEFAULT_REFERENCE,
+            system: tuningSystemSelect.value,
+            tonic: Number(tuningTonicSelect.value),
+            cents: customCentsInput.value.split(',').map(value => parseFloat(value))
+        });
+        customCentsInput.classList.remove("invalid");
+        NoteDetector.setTuning(tuning);
+        localStorage.setItem('tuning', JSON.stringify(tuning));
+        showInstrumentProfile();
+    } catch (err) {
+        customCentsInput.classList.add("invalid");
+    }
+}
+
+NoteDetector.setTuning(loadTuning());
+if (referenceInput && tuningSystemSelect && tuningTonicSelect && customCentsInput) {
+    const tuning = NoteDetector.tuning;
+    MidiUtils.NOTE_NAMES.forEach((name, pitchClass) => {
+        const option = document.createElement('option');
+        option.value = pitchClass;
+        option.textContent = `Tonic ${name}`;
+        tuningTonicSelect.appendChild(option);
+    });
+    referenceInput.value = tuning.referenceFrequency;
+    tuningSystemSelect.value = tuning.system;
+    tuningTonicSelect.value = tuning.tonic;
+    customCentsInput.value = tuning.cents.join(', ');
+    customCentsInput.hidden = tuning.system !== Tuning.CUSTOM;
+
+    [referenceInput, tuningSystemSelect, tuningTonicSelect, customCentsInput].forEach(control => {
+        control.addEventListener('change', applyTuningControls);
+    });
+}
+
+// Instrument profile controls; the custom range is entered as note names
+const profileSelect = document.getElementById('profileSelect');
+const customLowestInput = document.getElementById('customLowestInput');
+const customHighestInput = document.getElementById('customHighestInput');
+const profileRangeEl = document.getElementById('profileRange');
+const calibrateRangeButton = document.getElementById('calibrateRangeButton');
+
+function setInstrumentProfile(profile) {
+    instrumentProfile = profile;
+    localStorage.setItem('instrumentProfile', JSON.stringify(profile));
+    showInstrumentProfile();
+}
+
+function showInstrumentProfile() {
+    if (!profileSelect) return;
+    const custom = instrumentProfile.id === InstrumentProfile.CUSTOM;
+    profileSelect.value = instrumentProfile.id;
+    customLowestInput.hidden = customHighestInput.hidden = !custom;
+    customLowestInput.value = MidiUtils.midiToNote(instrumentProfile.lowest);
+    customHighestInput.value = MidiUtils.midiToNote(instrumentProfile.highest);
+    profileRangeEl.textContent = `${instrumentProfile.describe()} ` +
+        `(${Math.round(instrumentProfile.minFrequency)}-${Math.round(instrumentProfile.maxFrequency)} Hz)`;
+}
+
+// Build a profile from the controls; an invalid custom range keeps the previous profile
+function applyProfileControls() {
+    try {
+        const profile = new InstrumentProfile({
+            id: profileSelect.value,
+            lowest: MidiUtils.noteToMidi(customLowestInput.value.trim().toUpperCase()),
+            highest: MidiUtils.noteToMidi(customHighestInput.value.trim().toUpperCase())
+        });
+        customLowestInput.classList.remove("invalid");
+        customHighestInput.classList.remove("invalid");
+        setInstrumentProfile(profile);
+    } catch (err) {
+        customLowestInput.classList.add("invalid");
+        customHighestInput.classList.add("invalid");
+    }
+}
+
+if (profileSelect && customLowestInput && customHighestInput && profileRangeEl) {
+    InstrumentProfile.list().forEach(({ id, label }) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = label;
+        profileSelect.appendChild(option);
+    });
+    showInstrumentProfile();
+    [profileSelect, customLowestInput, customHighestInput].forEach(control => {
+        control.addEventListener('change', applyProfileControls);
+    });
+}
+
+// Metronome settings
+const metronomeCheckbox = document.getElementById('metronomeCheckbox');
+const countInInput = document.getElementById('countInInput');
+const accentCheckbox = document.getElementById('accentCheckbox');
+const metronomeIndicator = document.getElementById('metronomeIndicator');
 
 // Initialize waveform canvas
 function initWaveform() {
@@ -83,167 +269,214 @@ function drawWaveform(buffer) {
     waveformCtx.stroke();
 }
 
-// Initialize Audio and Pitch Detection
-async function initAudio() {
-    audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-    mediaStreamSource = audioContext.createMediaStreamSource(stream);
-    analyser = audioContext.createAnalyser();
-    analyser.fftSize = 2048;  // Reduced from 4096 for faster processing
-    analyser.smoothingTimeConstant = 0.8;  // Add smoothing
-    mediaStreamSource.connect(analyser);
-    initWaveform();
-    lastNoteStartTime = performance.now();
-    processAudio();
-}
+// Piano roll canvas for a new take, with lanes over the instrument's range in the take's tuning
+function initLiveRoll() {
+    if (!activeNotesEl) return;
+    liveRollCanvas = document.createElement('canvas');
+    liveRollCanvas.width = activeNotesEl.clientWidth - 20;
+    liveRollCanvas.height = LIVE_ROLL_HEIGHT;
+    liveRollCanvas.classList.add("live-roll-canvas");
 
-// New global variable to track pause start time
-let pauseStartTime = null;
+    activeNotesEl.innerHTML = "";
+    activeNotesEl.appendChild(liveRollCanvas);
+    liveRollCtx = liveRollCanvas.getContext("2d");
+    liveRoll = new LivePianoRoll({ ...instrumentProfile.segmenterOptions(), tuning: noteSegmenter.tuning });
+}
 
-// Add these timing-related constants near the top
-const TICKS_PER_QUARTER = 480; // Standard MIDI resolution
-const QUANTIZE_GRID = 16; // 16th note grid
-const TICKS_PER_GRID = TICKS_PER_QUARTER / (QUANTIZE_GRID / 4);
+// Analysis window (set by the instrument profile and the take's mode) matches
+// the analyser's fftSize, and frames are spaced at a fixed hop close to the
+// display refresh rate the smoothing and note buffers were tuned for
+const ANALYSIS_FRAME_RATE = Transcriber.FRAME_RATE;
+const TAKE_AUDIO_TIMEOUT = 5000; // ms to wait for the worker to hand back a take's audio
 
-// Add beat tracking variables
-let beatStartTime = null;
-let currentBeat = 0;
+// Keep each take's audio so it can be played back and re-transcribed
+const keepAudioCheckbox = document.getElementById('keepAudioCheckbox');
 
-// New helper: Process a valid pitch detection.
-function processDetectedPitch(pitch, now) {
-    const noteInfo = frequencyToNoteInfo(pitch);
-    
-    if (!noteInfo) {
-        processNoPitch(now);
+// Initialize Audio and Pitch Detection
+// Capture runs in an AudioWorklet that streams hop-sized blocks straight to a
+// Worker running FrequencyAnalyzer; the page only receives timestamped pitch
+// frames, so analysis keeps its pace when the tab is hidden or busy rendering.
+// Practice attempts pass { bpm, metronome: true, countInBars } to sing against
+// a stored melody's tempo whatever the controls say; they and hummed queries
+// pass keepAudio: false, as their audio is never stored.
+async function initAudio(options = {}) {
+    // The context and stream only become the session's once the microphone is
+    // open; a take stopped meanwhile leaves them here to be released
+    const context = new (window.AudioContext || window.webkitAudioContext)();
+    let stream = null;
+    const release = () => {
+        if (stream) stream.getTracks().forEach(track => track.stop());
+        context.close();
+    };
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        if (recording) await context.audioWorklet.addModule(new URL('./audio/CaptureProcessor.js', import.meta.url));
+    } catch (err) {
+        release();
+        throw err;
+    }
+    // Stopped while the microphone was being opened, or a newer take already has it
+    if (!recording || audioContext) {
+        release();
         return;
     }
+    audioContext = context;
+    mediaStream = stream;
 
-    // Update display
-    currentNoteEl.textContent = `${noteInfo.note} (${pitch.toFixed(1)} Hz)`;
-    updateDeviationBar(noteInfo.deviation);
+    // The take's segmenter decides between one pitch and a set of pitches per frame
+    const polyphonic = noteSegmenter instanceof PolyphonicSegmenter;
+    const frameSize = instrumentProfile.analysisFrameSize(polyphonic);
+    mediaStreamSource = audioContext.createMediaStreamSource(mediaStream);
+    analyser = audioContext.createAnalyser();
+    analyser.fftSize = frameSize;
+    analyser.smoothingTimeConstant = 0.8;  // Add smoothing
+    mediaStreamSource.connect(analyser);
 
-    if (Math.abs(noteInfo.deviation) <= tolerance) {
-        processValidPitch(noteInfo, now);
-    } else {
-        // If deviation is too high, treat as no valid pitch
-        processNoPitch(now);
-    }
-}
-
-// Updated helper: Process when no pitch is detected.
-function processNoPitch(now) {
-    if (lastEventTime && !pauseStartTime) {
-        if (lastDetectedNote !== null) {
-            const rawDuration = (now - lastNoteStartTime) / 1000;
-            if (rawDuration >= noteDetector.minDuration) {
-                const beatDuration = 60 / BPM;
-                const startBeat = (lastNoteStartTime - beatStartTime) / 1000 / beatDuration;
-                const endBeat = (now - beatStartTime) / 1000 / beatDuration;
-                
-                const quantizedStart = Math.round(startBeat * QUANTIZE_GRID / 4) * (4 / QUANTIZE_GRID);
-                const quantizedEnd = Math.round(endBeat * QUANTIZE_GRID / 4) * (4 / QUANTIZE_GRID);
-                
-                melody.push({
-                    note: lastDetectedNote,
-                    rawDuration: rawDuration,
-                    duration: (quantizedEnd - quantizedStart) * beatDuration,
-                    quantizedStart: quantizedStart,
-                    quantizedEnd: quantizedEnd,
-                    timestamp: (lastNoteStartTime - recordingStartTime) / 1000,
-                    frequency: lastDetectedFrequency
-                });
-            }
+    const hopSize = Math.round(audioContext.sampleRate / ANALYSIS_FRAME_RATE);
+    captureNode = new AudioWorkletNode(audioContext, 'capture-processor', {
+        numberOfOutputs: 0,
+        processorOptions: { hopSize }
+    });
+    analysisWorker = new Worker(new URL('./audio/AnalysisWorker.js', import.meta.url), { type: 'module' });
+    analysisWorker.onmessage = (event) => {
+        if (recording && event.data.type === 'pitch') {
+            handlePitchFrame(event.data.pitches ?? event.data.pitch, event.data.time, event.data.level);
         }
-        pauseStartTime = now;
-        lastDetectedNote = null;
-        lastDetectedFrequency = null;
-    }
-    
-    currentNoteEl.textContent = "No pitch detected";
-    updateDeviationBar(0);
-}
-
-// Updated helper: Process when a valid pitch is detected.
-function processValidPitch(noteInfo, now) {
-    if (!recordingStartTime) {
-        recordingStartTime = now;
-        beatStartTime = now;
-    }
+    };
 
-    const detectedNote = noteDetector.addFrequency(noteInfo.frequency, now);
-    if (!detectedNote) return;
+    // Blocks go from the worklet to the worker without touching the main thread
+    const channel = new MessageChannel();
+    analysisWorker.postMessage({
+        type: 'init',
+        sampleRate: audioContext.sampleRate,
+        frameSize,
+        analyzerOptions: getAnalyzerOptions(),
+        keepAudio: options.keepAudio ?? !!(keepAudioCheckbox && keepAudioCheckbox.checked),
+        polyphonic,
+        port: channel.port2
+    }, [channel.port2]);
+    captureNode.port.postMessage({ type: 'connect', port: channel.port1 }, [channel.port1]);
+    mediaStreamSource.connect(captureNode);
 
-    // Calculate beat position
-    const elapsedTime = (now - beatStartTime) / 1000; // seconds
-    const beatDuration = 60 / BPM; // seconds per beat
-    const currentBeatPosition = elapsedTime / beatDuration;
-    
-    // Quantize to grid
-    const gridPosition = Math.round(currentBeatPosition * QUANTIZE_GRID / 4) * (4 / QUANTIZE_GRID);
-
-    if (lastDetectedNote === null || lastDetectedNote !== noteInfo.note) {
-        if (lastDetectedNote !== null) {
-            // End previous note
-            const rawDuration = (now - lastNoteStartTime) / 1000;
-            if (rawDuration >= noteDetector.minDuration) {
-                const startBeat = (lastNoteStartTime - beatStartTime) / 1000 / beatDuration;
-                const quantizedStart = Math.round(startBeat * QUANTIZE_GRID / 4) * (4 / QUANTIZE_GRID);
-                const quantizedDuration = gridPosition - quantizedStart;
-                
-                melody.push({
-                    note: lastDetectedNote,
-                    rawDuration: rawDuration,
-                    duration: quantizedDuration * beatDuration, // Convert back to seconds
-                    quantizedStart: quantizedStart,
-                    quantizedEnd: gridPosition,
-                    timestamp: (lastNoteStartTime - recordingStartTime) / 1000,
-                    frequency: lastDetectedFrequency
-                });
-            }
-        }
-        
-        lastDetectedNote = noteInfo.note;
-        lastDetectedFrequency = noteInfo.frequency;
-        lastNoteStartTime = now;
-        pauseStartTime = null;
+    // Lock the beat grid to the metronome instead of the first detected pitch
+    if (options.metronome ?? (metronomeCheckbox && metronomeCheckbox.checked)) {
+        metronome = new Metronome(audioContext, {
+            bpm: options.bpm ?? BPM,
+            countInBars: options.countInBars ?? Math.max(0, Number(countInInput.value) || 0),
+            accentDownbeat: accentCheckbox.checked
+        });
+        metronome.start();
+        noteSegmenter.setDownbeat(metronome.downbeatTime * 1000);
     }
 
-    lastEventTime = now;
+    initWaveform();
+    initLiveRoll();
+    waveformBuffer = new Float32Array(analyser.fftSize);
+    renderWaveform();
 }
 
-// Modified processAudio for better audio handling
-function processAudio() {
-    const now = performance.now();
-    
-    // Get audio data
-    const buffer = new Float32Array(analyser.fftSize);
-    analyser.getFloatTimeDomainData(buffer);
-    
-    // Visualize waveform
-    drawWaveform(buffer);
+// Ask the worker for the take's kept samples; resolves with { blob, startTime, downbeatTime }
+// or null when audio is not being kept
+function collectTakeAudio(downbeatTime) {
+    if (!analysisWorker || !keepAudioCheckbox || !keepAudioCheckbox.checked) return Promise.resolve(null);
+    const worker = analysisWorker;
+    return new Promise(resolve => {
+        const timer = setTimeout(() => resolve(null), TAKE_AUDIO_TIMEOUT);
+        worker.addEventListener('message', function onAudio(event) {
+            if (event.data.type !== 'audio') return;
+            clearTimeout(timer);
+            worker.removeEventListener('message', onAudio);
+            resolve({
+                blob: new Blob([event.data.wav], { type: 'audio/wav' }),
+                startTime: event.data.startTime,
+                downbeatTime
+            });
+        });
+        worker.postMessage({ type: 'flush' });
+    });
+}
 
-    // Get frequency data for FFT
-    const frequencyData = new Float32Array(analyser.frequencyBinCount);
-    analyser.getFloatFrequencyData(frequencyData);
-    
-    // Normalize frequency data (convert from dB to linear scale)
-    for (let i = 0; i < frequencyData.length; i++) {
-        frequencyData[i] = Math.pow(10, frequencyData[i] / 20);
+// Tear down the capture graph and release the microphone
+function stopAudio() {
+    if (metronome) {
+        metronome.stop();
+        metronome = null;
+        updateMetronomeIndicator(null);
     }
+    if (analysisWorker) {
+        analysisWorker.terminate();
+        analysisWorker = null;
+    }
+    if (captureNode) {
+        captureNode.disconnect();
+        captureNode = null;
+    }
+    if (mediaStream) {
+        mediaStream.getTracks().forEach(track => track.stop());
+        mediaStream = null;
+    }
+    if (audioContext) {
+        audioContext.close();
+        audioContext = null;
+    }
+    analyser = null;
+}
 
-    // Use FrequencyAnalyzer with both time and frequency domain data
-    const pitch = frequencyAnalyzer.analyzePitch(buffer, audioContext.sampleRate, frequencyData);
+// Route one analysed frame into note segmentation and show what was heard.
+// `now` is the frame time in ms and only has to be consistent within a take;
+// `level` is the frame's RMS in dB. In polyphonic mode `pitch` is the array
+// of pitches found in the frame. Segmentation stays on the page rather than
+// in the worker (see AnalysisWorker.js): it is cheap per frame and its state
+// is read on every redraw, while the worker fixes the frame times.
+function handlePitchFrame(pitch, now, level) {
+    // The roll shows count-in frames too, so the singer can find the first note
+    if (liveRoll) liveRoll.addFrame(now, pitch);
+    const frame = noteSegmenter.processFrame(pitch, now, level);
+    // Frames during the count-in are ignored
+    if (!frame) return;
 
-    // Process the detected pitch
-    if (pitch !== null && !isNaN(pitch) && pitch > 0) {
-        processDetectedPitch(pitch, now);
+    if (frame.notes) {
+        const noteNames = frame.notes.map(noteInfo => noteInfo.note).join(' ');
+        currentNoteEl.textContent = noteNames
+            ? (frame.chord ? `${frame.chord}: ${noteNames}` : noteNames)
+            : "No pitch detected";
+        updateDeviationBar(0);
+    } else if (frame.noteInfo) {
+        currentNoteEl.textContent = `${frame.noteInfo.note} (${pitch.toFixed(1)} Hz)`;
+        updateDeviationBar(frame.noteInfo.deviation);
     } else {
-        processNoPitch(now);
+        currentNoteEl.textContent = "No pitch detected";
+        updateDeviationBar(0);
     }
+}
 
-    if (recording) {
-        requestAnimationFrame(processAudio);
+// Waveform and metronome display only; pitch analysis happens in the worker
+function renderWaveform() {
+    if (!recording || !analyser) return;
+    analyser.getFloatTimeDomainData(waveformBuffer);
+    drawWaveform(waveformBuffer);
+    updateActiveNotes();
+    if (metronome) {
+        updateMetronomeIndicator(metronome.beatAt(audioContext.currentTime));
     }
+    requestAnimationFrame(renderWaveform);
+}
+
+// Light up the current beat; count-in beats are shown with their own style
+function updateMetronomeIndicator(beatInfo) {
+    if (!metronomeIndicator) return;
+    if (metronomeIndicator.children.length !== (metronome ? metronome.beatsPerBar : 0)) {
+        metronomeIndicator.innerHTML = "";
+        for (let i = 0; metronome && i < metronome.beatsPerBar; i++) {
+            const dot = document.createElement('span');
+            dot.className = i === 0 ? "beat-dot downbeat" : "beat-dot";
+            metronomeIndicator.appendChild(dot);
+        }
+    }
+    Array.from(metronomeIndicator.children).forEach((dot, i) => {
+        dot.classList.toggle("active", !!beatInfo && beatInfo.beatInBar === i);
+        dot.classList.toggle("count-in", !!beatInfo && beatInfo.countIn);
+    });
 }
 
 // Updated buildGridView: use floor for quantized start and ceil for quantized end.
@@ -267,18 +500,357 @@ function buildGridView(events, bpm) {
             box.classList.add("pause");
         }
         box.style.width = `${boxWidth}px`;
+        // Louder notes are shaded darker
+        if (event.note !== "Pause" && Number.isFinite(event.averageDb)) {
+            const loudness = MidiUtils.levelToUnit(event.averageDb);
+            box.style.backgroundColor = `rgba(33, 150, 243, ${(0.15 + 0.6 * loudness).toFixed(2)})`;
+        }
         box.textContent = event.note === "Pause" 
             ? `Pause (${effectiveDuration.toFixed(2)}s)`
             : `${event.note} (${effectiveDuration.toFixed(2)}s, ${event.frequency?.toFixed(1)} Hz)`;
+        // Vibrato, scoops and drift in the tooltip
+        const expression = ExpressionAnalyzer.describe(event.expression);
+        if (expression) box.title = `${box.textContent}: ${expression}`;
         gridContainer.appendChild(box);
         currentTime = eventEnd;
     });
     return gridContainer;
 }
 
-// Modified updateActiveNotes: update currentActiveEvents and refresh grid.
-function updateActiveNotes(note) {
+// Piano roll of a polyphonic melody: notes placed by beat and pitch, so chords
+// stack up, with the chord symbols above them
+const POLY_ROW_HEIGHT = 14;   // pixels per semitone
+const POLY_LABEL_HEIGHT = 18; // chord symbol row
+
+function buildPolyphonicView(mel) {
+    const gridContainer = document.createElement('div');
+    gridContainer.className = "grid-container poly-grid";
+    const baseWidth = 40; // pixels per quarter beat, as in the grid view
+    gridContainer.dataset.pxPerSecond = baseWidth * mel.bpm / 60;
+
+    const notes = mel.notes.filter(event => event.note !== "Pause" && Number.isFinite(event.quantizedStart));
+    const midiNotes = notes.map(event => MidiUtils.noteToMidi(event.note));
+    const highest = Math.max(...midiNotes);
+    const lowest = Math.min(...midiNotes);
+    gridContainer.style.height = notes.length
+        ? `${POLY_LABEL_HEIGHT + (highest - lowest + 1) * POLY_ROW_HEIGHT + 4}px`
+        : "";
+
+    (mel.chords || []).forEach(chord => {
+        const label = document.createElement('div');
+        label.className = "chord-label";
+        label.style.left = `${chord.start * baseWidth}px`;
+        label.style.width = `${(chord.end - chord.start) * baseWidth - 2}px`;
+        label.textContent = chord.name;
+        gridContainer.appendChild(label);
+    });
+
+    notes.forEach((event, i) => {
+        const box = document.createElement('div');
+        box.className = "note-box";
+        box.style.left = `${event.quantizedStart * baseWidth}px`;
+        box.style.width = `${(event.quantizedEnd - event.quantizedStart) * baseWidth - 2}px`;
+        box.style.top = `${POLY_LABEL_HEIGHT + (highest - midiNotes[i]) * POLY_ROW_HEIGHT}px`;
+        if (Number.isFinite(event.averageDb)) {
+            const loudness = MidiUtils.levelToUnit(event.averageDb);
+            box.style.backgroundColor = `rgba(33, 150, 243, ${(0.15 + 0.6 * loudness).toFixed(2)})`;
+        }
+        box.textContent = event.note;
+        const expression = ExpressionAnalyzer.describe(event.expression);
+        box.title = `${event.note} (${event.duration.toFixed(2)}s, ${event.frequency?.toFixed(1)} Hz)${expression ? `: ${expression}` : ''}`;
+        gridContainer.appendChild(box);
+    });
+    return gridContainer;
+}
+
+// Playback of stored melodies
+const melodyPlayer = new MelodyPlayer();
+
+// Play/stop, loop and timing mode controls for one stored melody
+function buildPlaybackControls(mel, gridContainer, staffView = null) {
+    const controls = document.createElement('div');
+    controls.className = "playback-controls";
+
+    const playBtn = document.createElement('button');
+    playBtn.textContent = "Play";
+
+    const loopLabel = document.createElement('label');
+    const loopCheckbox = document.createElement('input');
+    loopCheckbox.type = "checkbox";
+    loopLabel.appendChild(loopCheckbox);
+    loopLabel.appendChild(document.createTextNode(" Loop"));
+
+    const modeSelect = document.createElement('select');
+    [[MelodyPlayer.MODE_QUANTIZED, "Quantized timing"], [MelodyPlayer.MODE_RAW, "Recorded timing"]].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        modeSelect.appendChild(option);
+    });
+
+    let playing = false;
+    playBtn.addEventListener('click', () => {
+        if (playing) {
+            melodyPlayer.stop();
+            return;
+        }
+        melodyPlayer.play(mel, {
+            mode: modeSelect.value,
+            loop: loopCheckbox.checked,
+            onEnd: () => {
+                playing = false;
+                playBtn.textContent = "Play";
+            }
+        });
+        if (!melodyPlayer.isPlaying()) return;
+        playing = true;
+        playBtn.textContent = "Stop";
+        animatePlayhead(gridContainer, melodyPlayer.schedule, staffView);
+    });
+
+    controls.appendChild(playBtn);
+    controls.appendChild(loopLabel);
+    controls.appendChild(modeSelect);
+    return controls;
+}
+
+// Move a playhead across the grid boxes while the player runs; on a staff the sounding note is coloured
+function animatePlayhead(gridContainer, schedule, staffView = null) {
+    const playhead = document.createElement('div');
+    playhead.className = "playhead";
+    gridContainer.appendChild(playhead);
+    const boxes = gridContainer.querySelectorAll('.note-box');
+    let staffNotes = [];
+
+    const step = () => {
+        const position = melodyPlayer.getPosition();
+        staffNotes.forEach(note => note.classList.remove("playing"));
+        if (position === null || melodyPlayer.schedule !== schedule) {
+            playhead.remove();
+            return;
+        }
+        if (staffView) {
+            const current = schedule.items.find(item => item.start <= position && position < item.end);
+            // A note tied across a barline is drawn as several heads with the same index
+            staffNotes = current ? Array.from(staffView.querySelectorAll(`.staff-note[data-index="${current.index}"]`)) : [];
+            staffNotes.forEach(note => note.classList.add("playing"));
+        }
+        // The piano roll is to scale; the grid view needs the box of the playing event
+        playhead.style.left = gridContainer.dataset.pxPerSecond
+            ? `${position * Number(gridContainer.dataset.pxPerSecond)}px`
+            : `${playheadOffset(boxes, schedule.items, position)}px`;
+        requestAnimationFrame(step);
+    };
+    step();
+}
+
+// Grid boxes are laid out by duration, so interpolate within the box of the playing event
+function playheadOffset(boxes, items, position) {
+    let current = null;
+    for (const item of items) {
+        if (item.start > position) break;
+        current = item;
+    }
+    if (!current || !boxes[current.index]) return 0;
+
+    const box = boxes[current.index];
+    const fraction = Math.min(1, (position - current.start) / (current.end - current.start));
+    return box.offsetLeft + fraction * box.offsetWidth;
+}
+
+// Melody editor: select notes in an editable grid, drag them in time or pitch,
+// resize them and use the toolbar or keyboard for the other edits
+const EDITOR_PX_PER_BEAT = 40;      // Same scale as the read-only grid
+const EDITOR_PX_PER_SEMITONE = 8;   // Vertical drag distance per semitone
 
+function buildMelodyEditor(mel, onClose) {
+    const editor = new MelodyEditor(mel.notes, mel.bpm, { grid: 4 / quantizationSetting });
+    let selection = new Set();
+    let drag = null;
+
+    const container = document.createElement('div');
+    container.className = "melody-editor";
+
+    const toolbar = document.createElement('div');
+    toolbar.className = "editor-toolbar";
+    const addButton = (label, title, action) => {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', () => {
+            action();
+            render();
+        });
+        toolbar.appendChild(button);
+        return button;
+    };
+
+    const selected = () => Array.from(selection).sort((a, b) => a - b);
+    const undoBtn = addButton("Undo", "Undo (Ctrl+Z)", () => editor.undo());
+    const redoBtn = addButton("Redo", "Redo (Ctrl+Shift+Z)", () => editor.redo());
+    const splitBtn = addButton("Split", "Split the selected note in the middle", () => {
+        editor.split(selected()[0]);
+        selection.clear();
+    });
+    const mergeBtn = addButton("Merge", "Merge the selected span into one note", () => {
+        editor.merge(selected());
+        selection.clear();
+    });
+    const deleteBtn = addButton("Delete", "Turn the selection into rests (Delete)", () => {
+        editor.remove(selected());
+        selection.clear();
+    });
+    const restBtn = addButton("Insert rest", "Insert a grid step of rest before the selection", () => {
+        editor.insertRest(selected()[0]);
+        selection.clear();
+    });
+    const downBtn = addButton("−1", "Transpose the selection down a semitone (Arrow Down)", () => editor.transpose(selected(), -1));
+    const upBtn = addButton("+1", "Transpose the selection up a semitone (Arrow Up)", () => editor.transpose(selected(), 1));
+    addButton("Save", "Save the edits to this melody", () => {
+        const notes = editor.toNotes();
+        updateStoredMelody(mel.id, {
+            notes,
+            totalDuration: Transcriber.getTotalDuration(notes),
+            editedAt: new Date().toISOString()
+        });
+    });
+    addButton("Cancel", "Discard the edits", () => onClose());
+
+    const lane = document.createElement('div');
+    lane.className = "grid-container editor-lane";
+    lane.tabIndex = 0;
+
+    container.appendChild(toolbar);
+    container.appendChild(lane);
+
+    function render() {
+        // Undo/redo can shorten the event list under the selection
+        selection = new Set(selected().filter(index => index < editor.events.length));
+        lane.innerHTML = "";
+        editor.events.forEach((event, index) => {
+            const box = document.createElement('div');
+            box.className = "note-box";
+            box.dataset.index = index;
+            if (event.note === "Pause") box.classList.add("pause");
+            if (selection.has(index)) box.classList.add("selected");
+            box.style.left = `${event.quantizedStart * EDITOR_PX_PER_BEAT}px`;
+            box.style.width = `${(event.quantizedEnd - event.quantizedStart) * EDITOR_PX_PER_BEAT - 2}px`;
+            box.textContent = event.note;
+            if (event.note !== "Pause") {
+                const handle = document.createElement('div');
+                handle.className = "resize-handle";
+                box.appendChild(handle);
+            }
+            lane.appendChild(box);
+        });
+
+        const notes = selected().map(index => editor.events[index]);
+        const hasNote = notes.some(event => event.note !== "Pause");
+        undoBtn.disabled = !editor.canUndo();
+        redoBtn.disabled = !editor.canRedo();
+        splitBtn.disabled = !(notes.length === 1 && hasNote);
+        mergeBtn.disabled = !(notes.length > 1 && hasNote);
+        deleteBtn.disabled = !hasNote;
+        restBtn.disabled = notes.length === 0;
+        downBtn.disabled = upBtn.disabled = !hasNote;
+    }
+
+    lane.addEventListener('pointerdown', (e) => {
+        const box = e.target.closest('.note-box');
+        if (!box) {
+            selection.clear();
+            render();
+            return;
+        }
+        const index = Number(box.dataset.index);
+        if (e.shiftKey || e.ctrlKey || e.metaKey) {
+            if (selection.has(index)) selection.delete(index); else selection.add(index);
+        } else if (!selection.has(index)) {
+            selection = new Set([index]);
+        }
+        render();
+        lane.focus();
+
+        const event = editor.events[index];
+        if (event.note === "Pause") return;
+        const target = lane.querySelector(`[data-index="${index}"]`);
+        drag = {
+            index,
+            box: target,
+            mode: e.target.classList.contains('resize-handle') ? "resize" : "move",
+            x: e.clientX,
+            y: e.clientY,
+            beats: 0,
+            semitones: 0
+        };
+        lane.setPointerCapture(e.pointerId);
+    });
+
+    lane.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const event = editor.events[drag.index];
+        drag.beats = editor.snap((e.clientX - drag.x) / EDITOR_PX_PER_BEAT);
+        if (drag.mode === "resize") {
+            const length = Math.max(editor.grid, event.quantizedEnd - event.quantizedStart + drag.beats);
+            drag.box.style.width = `${length * EDITOR_PX_PER_BEAT - 2}px`;
+            return;
+        }
+        drag.semitones = -Math.round((e.clientY - drag.y) / EDITOR_PX_PER_SEMITONE);
+        drag.box.style.transform = `translateX(${drag.beats * EDITOR_PX_PER_BEAT}px)`;
+        drag.box.firstChild.textContent = MidiUtils.midiToNote(MidiUtils.noteToMidi(event.note) + drag.semitones);
+    });
+
+    lane.addEventListener('pointerup', () => {
+        if (!drag) return;
+        const { index, mode, beats, semitones } = drag;
+        const event = editor.events[index];
+        drag = null;
+        if (mode === "resize" && beats !== 0) {
+            editor.resize(index, event.quantizedEnd + beats);
+            selection.clear();
+        } else if (mode === "move" && (beats !== 0 || semitones !== 0)) {
+            editor.move(index, event.quantizedStart + beats, semitones);
+            selection.clear();
+        }
+        render();
+    });
+
+    lane.addEventListener('keydown', (e) => {
+        const ctrl = e.ctrlKey || e.metaKey;
+        if (ctrl && e.key.toLowerCase() === 'z') {
+            if (e.shiftKey) editor.redo(); else editor.undo();
+        } else if (ctrl && e.key.toLowerCase() === 'y') {
+            editor.redo();
+        } else if (e.key === 'Delete' || e.key === 'Backspace') {
+            editor.remove(selected());
+            selection.clear();
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            const step = e.shiftKey ? 12 : 1;
+            editor.transpose(selected(), e.key === 'ArrowUp' ? step : -step);
+        } else {
+            return;
+        }
+        e.preventDefault();
+        render();
+    });
+
+    render();
+    return container;
+}
+
+// Scroll the piano roll to the current time with the notes transcribed so far
+function updateActiveNotes() {
+    if (!liveRoll || !liveRollCtx || !audioContext) return;
+    // Frames are stamped in ms on the AudioContext clock
+    const now = audioContext.currentTime * 1000;
+    liveRoll.follow(now);
+    liveRoll.draw(liveRollCtx, liveRollCanvas.width, liveRollCanvas.height, now, {
+        melody: noteSegmenter.melody,
+        sounding: noteSegmenter.sounding(),
+        beatStartTime: noteSegmenter.beatStartTime,
+        bpm: noteSegmenter.bpm,
+        beatsPerBar: metronome ? metronome.beatsPerBar : 4
+    });
 }
 
 // New function to update the deviation bar visualization
@@ -301,178 +873,1320 @@ function updateDeviationBar(deviation) {
     deviationMarkerEl.appendChild(marker);
 }
 
-recordButton.addEventListener('click', () => {
+// Note segmentation options for a new take, from the current controls
+function getSegmenterOptions() {
+    return {
+        bpm: BPM,
+        tolerance: tolerance,
+        quantization: quantizationSetting,
+        key: getSelectedKey(),
+        tuning: NoteDetector.tuning,
+        ...instrumentProfile.segmenterOptions()
+    };
+}
+
+// Settings a take is transcribed with, stored with the melody
+function getTranscriptionSettings() {
+    return {
+        noiseFloor: frequencyAnalyzer.noiseFloor,
+        tolerance: tolerance,
+        quantization: quantizationSetting,
+        polyphonic: polyphonicMode
+    };
+}
+
+// Settings of the take being recorded, fixed when it starts so changing the
+// controls before it is saved (say, during the tempo proposal) does not mislabel it
+let takeTranscription = null;
+
+// Reset all per-take state before a new recording
+function resetTakeState() {
+    takeTranscription = getTranscriptionSettings();
+    noteSegmenter = polyphonicMode
+        ? new PolyphonicSegmenter(getSegmenterOptions())
+        : new NoteSegmenter(getSegmenterOptions());
+    frequencyAnalyzer = new FrequencyAnalyzer(getAnalyzerOptions());
+}
+
+recordButton.addEventListener('click', async () => {
     recording = !recording;
     recordButton.textContent = recording ? "Stop Recording" : "Start Recording";
     if (recording) {
-        melody = [];
-        lastDetectedNote = null;
-        lastDetectedFrequency = null; // Add this line
-        lastNoteStartTime = null;
-        recordingStartTime = null;
-        pauseStartTime = null;
-        lastEventTime = null;
-        frequencyHistory = [];
-        initAudio();
+        resetTakeState();
+        initAudio().catch(err => {
+            console.error('Could not start recording:', err);
+            recording = false;
+            recordButton.textContent = "Start Recording";
+        });
+    } else {
+        // A take recorded against the metronome already has the right grid
+        const lockedToMetronome = !!metronome;
+        recordButton.disabled = true;
+        const audio = await collectTakeAudio(noteSegmenter.downbeatTime);
+        stopAudio();
+        // Close the take on the clock the frames were stamped with
+        const take = noteSegmenter.finish();
+        await commitTake(take, lockedToMetronome, audio, takeTranscription, noteSegmenter.tuning);
+        recordButton.disabled = false;
+    }
+});
+
+// Range calibration: sing or play from the lowest to the highest comfortable
+// note; what was heard, less its extremes, becomes the custom profile
+let calibration = null;
+
+async function startCalibration() {
+    // Ask for the microphone first, so a refusal leaves no audio context behind
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const range = new InstrumentProfile({ id: InstrumentProfile.CUSTOM, ...InstrumentProfile.CALIBRATION_RANGE });
+    let context = null;
+    let analyserNode;
+    try {
+        context = new (window.AudioContext || window.webkitAudioContext)();
+        const source = context.createMediaStreamSource(stream);
+        analyserNode = context.createAnalyser();
+        analyserNode.fftSize = range.frameSize;
+        source.connect(analyserNode);
+    } catch (err) {
+        stream.getTracks().forEach(track => track.stop());
+        if (context) context.close();
+        throw err;
+    }
+    const analyzer = new FrequencyAnalyzer({ algorithm: pitchAlgorithm, ...range.analyzerOptions() });
+    const buffer = new Float32Array(analyserNode.fftSize);
+
+    calibration = { context, stream, frequencies: [] };
+    calibration.timer = setTimeout(stopCalibration, InstrumentProfile.CALIBRATION_SECONDS * 1000);
+    const current = calibration;
+    const step = () => {
+        if (calibration !== current) return;
+        analyserNode.getFloatTimeDomainData(buffer);
+        const pitch = analyzer.analyzePitch(buffer, context.sampleRate);
+        if (pitch) {
+            current.frequencies.push(pitch);
+            currentNoteEl.textContent = `Calibrating: ${MidiUtils.midiToNote(NoteDetector.frequencyToMIDI(pitch))}`;
+        }
+        requestAnimationFrame(step);
+    };
+    step();
+}
+
+function stopCalibration() {
+    if (!calibration) return;
+    const { context, stream, frequencies, timer } = calibration;
+    calibration = null;
+    clearTimeout(timer);
+    stream.getTracks().forEach(track => track.stop());
+    context.close();
+    calibrateRangeButton.textContent = "Calibrate Range";
+    recordButton.disabled = false;
+
+    const profile = InstrumentProfile.fromCalibration(frequencies);
+    if (profile) {
+        setInstrumentProfile(profile);
+        currentNoteEl.textContent = `Range set to ${profile.describe()}`;
+    } else {
+        currentNoteEl.textContent = "Too little was heard to set a range";
+    }
+}
+
+if (calibrateRangeButton) {
+    calibrateRangeButton.addEventListener('click', async () => {
+        if (calibration) {
+            stopCalibration();
+            return;
+        }
+        if (recording || recordButton.disabled) return;
+        calibrateRangeButton.textContent = "Stop Calibrating";
+        recordButton.disabled = true;
+        try {
+            await startCalibration();
+        } catch (err) {
+            console.error('Could not start range calibration:', err);
+            currentNoteEl.textContent = `Could not start calibration: ${err.message}`;
+            calibrateRangeButton.textContent = "Calibrate Range";
+            recordButton.disabled = false;
+        }
+    });
+}
+
+// Tempo estimation
+
+const tempoEstimateCheckbox = document.getElementById('tempoEstimateCheckbox');
+const tempoProposalEl = document.getElementById('tempoProposal');
+
+// Save a finished take (and its audio, if kept) with the settings and tuning it was
+// transcribed with, first offering to re-quantize it at an estimated tempo
+async function commitTake(take, lockedToMetronome, audio = null, transcription = getTranscriptionSettings(), tuning = NoteDetector.tuning) {
+    if (!lockedToMetronome && tempoEstimateCheckbox && tempoEstimateCheckbox.checked) {
+        const { bpm, notes } = await proposeTempo(take, transcription.polyphonic);
+        await saveMelody(notes, bpm, audio, transcription, tuning);
     } else {
-        const now = performance.now();
-        if (lastDetectedNote !== null) {
-            const noteDuration = (now - lastNoteStartTime) / 1000;
-            melody.push({
-                note: lastDetectedNote,
-                duration: noteDuration,
-                timestamp: (lastNoteStartTime - recordingStartTime) / 1000,
-                frequency: lastDetectedFrequency // Add this line
+        await saveMelody(take, BPM, audio, transcription, tuning);
+    }
+}
+
+// Show the estimated tempo and resolve with the user's choice: the estimate,
+// an overriding BPM (with its own beat phase), or the take as recorded
+function proposeTempo(take, polyphonic = false) {
+    const estimate = TempoEstimator.estimate(take);
+    if (!estimate || !tempoProposalEl) {
+        return Promise.resolve({ bpm: BPM, notes: take });
+    }
+
+    const grid = 4 / quantizationSetting;
+    const textEl = tempoProposalEl.querySelector('.tempo-proposal-text');
+    const overrideInput = tempoProposalEl.querySelector('input');
+    const [acceptBtn, overrideBtn, keepBtn] = tempoProposalEl.querySelectorAll('button');
+
+    textEl.textContent = `Estimated tempo: ${estimate.bpm} BPM ` +
+        `(first beat at ${estimate.beatOffset.toFixed(2)}s, confidence ${Math.round(estimate.confidence * 100)}%)`;
+    overrideInput.value = estimate.bpm;
+    keepBtn.textContent = `Keep ${BPM} BPM`;
+    tempoProposalEl.hidden = false;
+
+    return new Promise(resolve => {
+        const choose = (choice) => {
+            tempoProposalEl.hidden = true;
+            resolve(choice);
+        };
+        acceptBtn.onclick = () => choose({
+            bpm: estimate.bpm,
+            notes: TempoEstimator.requantize(take, estimate.bpm, estimate.beatOffset, grid, { polyphonic })
+        });
+        overrideBtn.onclick = () => {
+            const bpm = Number(overrideInput.value);
+            if (!(bpm > 0)) return;
+            choose({
+                bpm,
+                notes: TempoEstimator.requantize(take, bpm, TempoEstimator.estimatePhase(take, bpm), grid, { polyphonic })
             });
-        } else if (pauseStartTime !== null) {
-            const pauseDuration = (now - pauseStartTime) / 1000;
-            if (pauseDuration >= 0.1) {
-                melody.push({
-                    note: "Pause",
-                    duration: pauseDuration,
-                    timestamp: (pauseStartTime - recordingStartTime) / 1000
-                });
+        };
+        keepBtn.onclick = () => choose({ bpm: BPM, notes: take });
+    });
+}
+
+// Audio file transcription
+
+// Decode a WAV/MP3/OGG file and mix it down to a single channel
+async function decodeAudioFile(file) {
+    const arrayBuffer = await file.arrayBuffer();
+    const decodeContext = new (window.AudioContext || window.webkitAudioContext)();
+    try {
+        const audioBuffer = await decodeContext.decodeAudioData(arrayBuffer);
+        const samples = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const channelData = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < channelData.length; i++) {
+                samples[i] += channelData[i] / audioBuffer.numberOfChannels;
             }
         }
-        // Sort melody events by timestamp
-        melody.sort((a, b) => a.timestamp - b.timestamp);
-        saveMelody(melody);
+        return { samples, sampleRate: audioBuffer.sampleRate };
+    } finally {
+        decodeContext.close();
     }
-});
+}
+
+// Walk a decoded file frame by frame through the same pipeline as the
+// microphone, using the frame position as the clock
+async function transcribeAudioFile(file) {
+    const transcription = getTranscriptionSettings();
+    const segmenterOptions = getSegmenterOptions();
+    const { samples, sampleRate } = await decodeAudioFile(file);
+    const take = await transcribeSamples(samples, sampleRate, {
+        label: file.name,
+        analyzerOptions: getAnalyzerOptions(),
+        segmenterOptions,
+        polyphonic: transcription.polyphonic,
+        frameSize: instrumentProfile.analysisFrameSize(transcription.polyphonic)
+    });
+    const keepAudio = !!(keepAudioCheckbox && keepAudioCheckbox.checked);
+    await commitTake(take, false, keepAudio ? { blob: file, startTime: 0, downbeatTime: null } : null, transcription, segmenterOptions.tuning);
+}
+
+// Run decoded samples through the offline pipeline, showing progress and
+// letting the page repaint now and then on long files
+function transcribeSamples(samples, sampleRate, options = {}) {
+    const { label = "audio", ...transcribeOptions } = options;
+    return Transcriber.transcribe(samples, sampleRate, {
+        ...transcribeOptions,
+        onProgress: (fraction) => {
+            currentNoteEl.textContent = `Transcribing ${label}: ${Math.round(fraction * 100)}%`;
+            return new Promise(resolve => setTimeout(resolve, 0));
+        }
+    });
+}
+
+// Transcribe a melody's stored recording again with other settings
+// ({ bpm, tolerance, quantization, noiseFloor, algorithm, polyphonic, profile, tuning }) and return the new
+// melody without storing it. Notes are named in the melody's own tuning, leaving the current one alone.
+async function retranscribeRecording(audio, settings, label) {
+    const { samples, sampleRate } = await decodeAudioFile(audio.blob);
+    const tuning = settings.tuning ? Tuning.fromJSON(settings.tuning) : NoteDetector.tuning;
+    try {
+        const take = await transcribeSamples(samples, sampleRate, {
+            label,
+            startTime: audio.startTime || 0,
+            downbeatTime: audio.downbeatTime ?? null,
+            polyphonic: settings.polyphonic,
+            frameSize: settings.profile.analysisFrameSize(settings.polyphonic),
+            analyzerOptions: {
+                ...settings.profile.analyzerOptions(),
+                algorithm: settings.algorithm,
+                noiseFloor: settings.noiseFloor
+            },
+            segmenterOptions: {
+                bpm: settings.bpm,
+                tolerance: settings.tolerance,
+                quantization: settings.quantization,
+                key: getSelectedKey(),
+                tuning,
+                ...settings.profile.segmenterOptions()
+            }
+        });
+        return buildMelodyRecord(take, settings.bpm, settings.algorithm, {
+            noiseFloor: settings.noiseFloor,
+            tolerance: settings.tolerance,
+            quantization: settings.quantization,
+            polyphonic: settings.polyphonic
+        }, settings.profile, tuning);
+    } finally {
+        currentNoteEl.textContent = "No pitch detected";
+    }
+}
+
+const openFileButton = document.getElementById('openFileButton');
+const audioFileInput = document.getElementById('audioFileInput');
+if (openFileButton && audioFileInput) {
+    openFileButton.addEventListener('click', () => {
+        if (!recording) audioFileInput.click();
+    });
+    audioFileInput.addEventListener('change', async () => {
+        const files = Array.from(audioFileInput.files);
+        audioFileInput.value = "";
+        openFileButton.disabled = true;
+        recordButton.disabled = true;
+        // Files are transcribed one after another so progress shows one file at a time
+        for (const file of files) {
+            try {
+                await transcribeAudioFile(file);
+            } catch (err) {
+                console.error(`Could not transcribe ${file.name}:`, err);
+            }
+        }
+        currentNoteEl.textContent = "No pitch detected";
+        openFileButton.disabled = false;
+        recordButton.disabled = false;
+    });
+}
 
 // Storage handling
 
-// New helper function to compute total duration of the melody
-function getTotalDuration(melody) {
-    return melody.reduce((sum, n) => sum + n.duration, 0);
+// Modified saveMelody to trim pauses before saving and adjust total duration accordingly
+function saveMelody(melodyData, bpm = BPM, audio = null, transcription = getTranscriptionSettings(), tuning = NoteDetector.tuning) {
+    return storeMelody(buildMelodyRecord(melodyData, bpm, pitchAlgorithm, transcription, instrumentProfile, tuning), audio);
+}
+
+// Trim a take, find its key and record the settings and tuning it was transcribed with
+function buildMelodyRecord(melodyData, bpm, algorithm = pitchAlgorithm, transcription = getTranscriptionSettings(), profile = instrumentProfile, tuning = NoteDetector.tuning) {
+    // A key picked up front was already applied while segmenting
+    return Transcriber.buildMelody(melodyData, {
+        bpm,
+        key: getSelectedKey(),
+        snapToKey: scaleSnapMode === "detected",
+        pitchAlgorithm: algorithm,
+        transcription,
+        polyphonic: !!transcription.polyphonic,
+        instrument: profile,
+        tuning
+    });
 }
 
-// New helper function to trim leading and trailing pauses from the melody
-function trimMelody(melodyArray) {
-    let trimmed = melodyArray.slice();
-    while(trimmed.length && trimmed[0].note === "Pause") {
-        trimmed.shift();
+// Melody library (IndexedDB), opened once; legacy localStorage melodies migrate on first open
+const melodyLibrary = new MelodyLibrary({
+    onBlocked: () => {
+        currentNoteEl.textContent = "Close the other tabs of this page to finish updating the melody library";
+    },
+    onVersionChange: () => {
+        currentNoteEl.textContent = "The melody library was updated in another tab; reload this page to keep using it";
     }
-    while(trimmed.length && trimmed[trimmed.length - 1].note === "Pause") {
-        trimmed.pop();
+});
+const libraryReady = melodyLibrary.open();
+
+// Add a complete melody object (and optionally its recording) to the library and refresh the list
+async function storeMelody(melodyObj, audio = null) {
+    try {
+        await libraryReady;
+        await melodyLibrary.add(melodyObj, audio);
+    } catch (err) {
+        console.error('Could not save melody:', err);
     }
-    return trimmed;
+    updateMelodyList();
 }
 
-// Modified saveMelody to trim pauses before saving and adjust total duration accordingly
-function saveMelody(melodyData) {
-    const trimmedMelody = trimMelody(melodyData);
-    let stored = JSON.parse(localStorage.getItem('melodies')) || [];
-    const melodyObj = {
-        bpm: BPM,
-        totalDuration: getTotalDuration(trimmedMelody),
-        notes: trimmedMelody,
-        savedAt: new Date().toISOString() // timestamp for when melody is saved
+// Replace fields of a stored melody, optionally refreshing the list
+async function updateStoredMelody(id, changes, refresh = true) {
+    try {
+        await libraryReady;
+        await melodyLibrary.update(id, changes);
+    } catch (err) {
+        console.error('Could not update melody:', err);
+    }
+    if (refresh) updateMelodyList();
+}
+
+// Library search and filter controls
+const searchInput = document.getElementById('searchInput');
+const tagFilterSelect = document.getElementById('tagFilterSelect');
+const keyFilterSelect = document.getElementById('keyFilterSelect');
+const minBpmInput = document.getElementById('minBpmInput');
+const maxBpmInput = document.getElementById('maxBpmInput');
+const fromDateInput = document.getElementById('fromDateInput');
+const toDateInput = document.getElementById('toDateInput');
+const showTrashCheckbox = document.getElementById('showTrashCheckbox');
+const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+
+function getLibraryFilter() {
+    return {
+        text: searchInput ? searchInput.value.trim() : "",
+        tag: tagFilterSelect ? tagFilterSelect.value : "",
+        key: keyFilterSelect ? keyFilterSelect.value : "",
+        minBpm: minBpmInput && minBpmInput.value !== "" ? Number(minBpmInput.value) : null,
+        maxBpm: maxBpmInput && maxBpmInput.value !== "" ? Number(maxBpmInput.value) : null,
+        from: fromDateInput ? fromDateInput.value : "",
+        to: toDateInput ? toDateInput.value : ""
     };
-    stored.push(melodyObj);
-    localStorage.setItem('melodies', JSON.stringify(stored));
-    updateMelodyList();
 }
 
-// Updated updateMelodyList to display melodies in reverse chronological order along with formatted timestamps
-function updateMelodyList() {
-    let stored = JSON.parse(localStorage.getItem('melodies')) || [];
-    stored.sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt)); // reverse chronological order
+// Show every stored melody again
+function clearLibraryFilter() {
+    [searchInput, tagFilterSelect, keyFilterSelect, minBpmInput, maxBpmInput, fromDateInput, toDateInput].forEach(input => {
+        if (input) input.value = "";
+    });
+    if (showTrashCheckbox) showTrashCheckbox.checked = false;
+}
+
+function isTrashView() {
+    return !!(showTrashCheckbox && showTrashCheckbox.checked);
+}
+
+// Offer the tags and keys that occur in the library, keeping the current choice
+function updateFilterOptions(records) {
+    const fill = (select, label, values) => {
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = "";
+        [["", label], ...values.map(value => [value, value])].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.value = values.includes(current) ? current : "";
+    };
+    const tags = [...new Set(records.flatMap(mel => mel.tags || []))].sort();
+    const keys = [...new Set(records.filter(mel => mel.key).map(mel => KeyDetector.keyName(mel.key)))].sort();
+    fill(tagFilterSelect, "All tags", tags);
+    fill(keyFilterSelect, "All keys", keys);
+}
+
+[searchInput, minBpmInput, maxBpmInput].forEach(input => {
+    if (input) input.addEventListener('input', () => updateMelodyList());
+});
+[tagFilterSelect, keyFilterSelect, fromDateInput, toDateInput, showTrashCheckbox].forEach(input => {
+    if (input) input.addEventListener('change', () => updateMelodyList());
+});
+
+if (emptyTrashBtn) {
+    emptyTrashBtn.addEventListener('click', async () => {
+        if (!confirm("Delete every melody in the trash for good?")) return;
+        try {
+            await melodyLibrary.emptyTrash();
+        } catch (err) {
+            console.error('Could not empty the trash:', err);
+        }
+        updateMelodyList();
+    });
+}
+
+// Stored melodies show as the duration grid or as staff notation, remembered between sessions
+const notationViewSelect = document.getElementById('notationViewSelect');
+let notationView = localStorage.getItem('notationView') === 'staff' ? 'staff' : 'grid';
+if (notationViewSelect) {
+    notationViewSelect.value = notationView;
+    notationViewSelect.addEventListener('change', () => {
+        notationView = notationViewSelect.value;
+        localStorage.setItem('notationView', notationView);
+        updateMelodyList();
+    });
+}
+
+// Staff notation of a monophonic melody, wrapped to the width of the list
+function buildStaffView(mel) {
+    const staffView = document.createElement('div');
+    staffView.className = "staff-view";
+    const width = Math.max(StaffRenderer.WIDTH / 2, melodyListEl.clientWidth - 20);
+    staffView.innerHTML = StaffRenderer.render(mel.notes, mel.bpm, { fifths: mel.key?.fifths, width });
+    return staffView;
+}
+
+// Query by humming: a hummed fragment ranks the stored melodies by similarity
+const humSearchBtn = document.getElementById('humSearchBtn');
+const humSearchResultsEl = document.getElementById('humSearchResults');
+let humming = false;
+let searchHighlight = null;  // { id, start, end } of the chosen result, marked in its grid
+
+async function startHumSearch() {
+    melodyPlayer.stop();
+    humming = true;
+    recording = true;
+    recordButton.disabled = true;
+    humSearchBtn.textContent = "Stop Humming";
+    humSearchResultsEl.textContent = "Hum a few notes of the tune";
+    // The fragment is compared by intervals, so no key snapping
+    noteSegmenter = new NoteSegmenter({ ...getSegmenterOptions(), key: null });
+    frequencyAnalyzer = new FrequencyAnalyzer(getAnalyzerOptions());
+    await initAudio({ metronome: false, keepAudio: false });
+}
+
+// The whole library is searched, whatever the filters or the trash view show
+async function stopHumSearch() {
+    if (!humming) return;
+    humming = false;
+    recording = false;
+    stopAudio();
+    const take = noteSegmenter.finish();
+    recordButton.disabled = false;
+    humSearchBtn.textContent = "Hum to Search";
+    let melodies;
+    try {
+        await libraryReady;
+        melodies = await melodyLibrary.list();
+    } catch (err) {
+        console.error('Could not load melodies to search:', err);
+        humSearchResultsEl.textContent = "Could not search the library";
+        return;
+    }
+    showHumSearchResults(take, MelodySearch.search(take, BPM, melodies));
+}
+
+// One button per matching melody, best first; clicking one marks the matching span
+function showHumSearchResults(take, results) {
+    humSearchResultsEl.innerHTML = "";
+    const hummed = take.filter(event => event.note !== "Pause").length;
+    if (hummed < MelodySearch.MIN_QUERY_NOTES) {
+        humSearchResultsEl.textContent = `Hum at least ${MelodySearch.MIN_QUERY_NOTES} notes to search`;
+        return;
+    }
+    if (results.length === 0) {
+        humSearchResultsEl.textContent = "No similar melodies stored";
+        return;
+    }
+    results.forEach(({ melody, score, start, end }) => {
+        const resultBtn = document.createElement('button');
+        resultBtn.textContent = `${melody.title} (${score}%)`;
+        resultBtn.addEventListener('click', async () => {
+            searchHighlight = { id: melody.id, start, end };
+            // A match the filters hide is shown by clearing them
+            if (!listedMelodies.some(mel => mel.id === melody.id)) {
+                clearLibraryFilter();
+                await updateMelodyList();
+            }
+            showSearchMatch(true);
+        });
+        humSearchResultsEl.appendChild(resultBtn);
+    });
+}
+
+// Mark the chosen result's span in its grid and staff, optionally scrolling it into view
+function showSearchMatch(scroll = false) {
+    melodyListEl.querySelectorAll('.search-match').forEach(box => box.classList.remove("search-match"));
+    if (!searchHighlight) return;
+    const li = Array.from(melodyListEl.children).find(item => item.dataset.id === searchHighlight.id);
+    const gridContainer = li && li.querySelector('.grid-container');
+    if (!gridContainer) return;
+    li.querySelectorAll('.staff-note').forEach(note => {
+        const index = Number(note.dataset.index);
+        if (index >= searchHighlight.start && index <= searchHighlight.end) note.classList.add("search-match");
+    });
+    const boxes = gridContainer.querySelectorAll('.note-box');
+    for (let i = searchHighlight.start; i <= searchHighlight.end && i < boxes.length; i++) {
+        boxes[i].classList.add("search-match");
+    }
+    if (scroll && boxes[searchHighlight.start]) {
+        li.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        gridContainer.scrollLeft = boxes[searchHighlight.start].offsetLeft - gridContainer.offsetLeft;
+    }
+}
+
+if (humSearchBtn) {
+    humSearchBtn.addEventListener('click', async () => {
+        if (humming) {
+            stopHumSearch();
+            return;
+        }
+        // Wait for recording, transcription or practice to finish first
+        if (recording || recordButton.disabled) return;
+        try {
+            await startHumSearch();
+        } catch (err) {
+            console.error('Could not start listening:', err);
+            stopHumSearch();
+        }
+    });
+}
+
+// Several refreshes can overlap while the library answers; only the latest renders
+let melodyListGeneration = 0;
+let listedMelodies = [];
+
+// Show the library (or its trash), newest first, filtered by the search controls
+async function updateMelodyList() {
+    const generation = ++melodyListGeneration;
+    let records;
+    try {
+        await libraryReady;
+        records = await melodyLibrary.list(isTrashView() ? { deletedOnly: true } : {});
+    } catch (err) {
+        console.error('Could not load melodies:', err);
+        return;
+    }
+    if (generation !== melodyListGeneration) return;
+
+    melodyPlayer.stop();
+    recordingUrls.forEach(url => URL.revokeObjectURL(url));
+    recordingUrls = [];
+    updateFilterOptions(records);
+    if (emptyTrashBtn) emptyTrashBtn.hidden = !isTrashView();
+    const filter = getLibraryFilter();
+    listedMelodies = records.filter(mel => MelodyLibrary.matches(mel, filter, KeyDetector.keyName));
+
     melodyListEl.innerHTML = "";
-    stored.forEach((mel, index) => {
+    listedMelodies.forEach(mel => {
         let li = document.createElement('li');
-        let header = document.createElement('div');
-        const savedDate = new Date(mel.savedAt);
-        header.textContent = `Melody ${index + 1} | BPM: ${mel.bpm} | Duration: ${mel.totalDuration?.toFixed(2)}s | Saved on: ${savedDate.toLocaleString()}`;
-        li.appendChild(header);
-        li.appendChild(buildGridView(mel.notes, mel.bpm));
+        li.dataset.id = mel.id;
+        li.appendChild(buildMelodyHeader(mel));
+        const gridContainer = mel.polyphonic ? buildPolyphonicView(mel) : buildGridView(mel.notes, mel.bpm);
+        // The grid stays in the page under the staff, for the editor to replace
+        const staffView = !mel.polyphonic && notationView === 'staff' ? buildStaffView(mel) : null;
+        if (staffView) {
+            gridContainer.style.display = "none";
+            li.appendChild(staffView);
+        }
+        const playbackControls = buildPlaybackControls(mel, gridContainer, staffView);
+        li.appendChild(gridContainer);
+        li.appendChild(playbackControls);
         
         // Add buttons container
         const buttonContainer = document.createElement('div');
         buttonContainer.style.marginTop = '10px';
         
+        if (mel.deletedAt) {
+            // Trashed melodies can only be restored or deleted for good
+            let restoreBtn = document.createElement('button');
+            restoreBtn.textContent = "Restore";
+            restoreBtn.style.marginRight = "10px";
+            restoreBtn.addEventListener('click', async () => {
+                try {
+                    await melodyLibrary.restore(mel.id);
+                } catch (err) {
+                    console.error(`Could not restore "${mel.title}":`, err);
+                }
+                updateMelodyList();
+            });
+            
+            let purgeBtn = document.createElement('button');
+            purgeBtn.textContent = "Delete Forever";
+            purgeBtn.addEventListener('click', async () => {
+                if (!confirm(`Delete "${mel.title}" for good?`)) return;
+                try {
+                    await melodyLibrary.purge(mel.id);
+                } catch (err) {
+                    console.error(`Could not delete "${mel.title}":`, err);
+                }
+                updateMelodyList();
+            });
+            
+            buttonContainer.appendChild(restoreBtn);
+            buttonContainer.appendChild(purgeBtn);
+            li.appendChild(buttonContainer);
+            melodyListEl.appendChild(li);
+            return;
+        }
+        
         // JSON download button
         let jsonBtn = document.createElement('button');
         jsonBtn.textContent = "Download JSON";
         jsonBtn.style.marginRight = "10px";
-        jsonBtn.addEventListener('click', () => downloadJSON(mel, index));
+        jsonBtn.addEventListener('click', () => downloadJSON(mel));
         
         // MIDI download button
         let midiBtn = document.createElement('button');
         midiBtn.textContent = "Download MIDI";
-        midiBtn.addEventListener('click', () => downloadMIDI(mel, index));
+        midiBtn.style.marginRight = "10px";
+        midiBtn.addEventListener('click', () => downloadMIDI(mel));
+        
+        // MusicXML download button
+        let musicXmlBtn = document.createElement('button');
+        musicXmlBtn.textContent = "Download MusicXML";
+        musicXmlBtn.style.marginRight = "10px";
+        musicXmlBtn.addEventListener('click', () => downloadMusicXML(mel));
+        
+        let abcBtn = document.createElement('button');
+        abcBtn.textContent = "Download ABC";
+        abcBtn.style.marginRight = "10px";
+        abcBtn.addEventListener('click', () => downloadABC(mel));
+        
+        // Edit button swaps the read-only grid for the editor
+        let editBtn = document.createElement('button');
+        editBtn.textContent = "Edit";
+        editBtn.style.marginRight = "10px";
+        editBtn.addEventListener('click', () => {
+            melodyPlayer.stop();
+            const melodyEditor = buildMelodyEditor(mel, () => updateMelodyList());
+            gridContainer.replaceWith(melodyEditor);
+            if (staffView) staffView.remove();
+            playbackControls.remove();
+            buttonContainer.remove();
+        });
+        
+        // Sing the melody back and have it scored
+        let practiceBtn = document.createElement('button');
+        practiceBtn.textContent = "Practice";
+        practiceBtn.style.marginRight = "10px";
+        practiceBtn.addEventListener('click', () => {
+            if (li.querySelector('.practice-panel')) return;
+            const panel = buildPracticePanel(mel, () => panel.remove());
+            li.appendChild(panel);
+        });
+        
+        // Delete button moves the melody to the trash
+        let deleteBtn = document.createElement('button');
+        deleteBtn.textContent = "Delete";
+        deleteBtn.addEventListener('click', async () => {
+            try {
+                await melodyLibrary.trash(mel.id);
+            } catch (err) {
+                console.error(`Could not move "${mel.title}" to the trash:`, err);
+            }
+            updateMelodyList();
+        });
         
         buttonContainer.appendChild(jsonBtn);
         buttonContainer.appendChild(midiBtn);
+        // Notation export, the editor and practice handle a single melody line only
+        if (!mel.polyphonic) {
+            buttonContainer.appendChild(musicXmlBtn);
+            buttonContainer.appendChild(abcBtn);
+            buttonContainer.appendChild(editBtn);
+            buttonContainer.appendChild(practiceBtn);
+        }
+        buttonContainer.appendChild(deleteBtn);
+        
+        // The stored recording can be heard again and re-transcribed
+        if (mel.hasAudio) {
+            let recordingBtn = document.createElement('button');
+            recordingBtn.textContent = "Play Recording";
+            recordingBtn.style.marginLeft = "10px";
+            recordingBtn.addEventListener('click', () => showRecording(mel, buttonContainer));
+            
+            let retranscribeBtn = document.createElement('button');
+            retranscribeBtn.textContent = "Re-transcribe";
+            retranscribeBtn.style.marginLeft = "10px";
+            retranscribeBtn.addEventListener('click', () => {
+                if (li.querySelector('.retranscribe-panel')) return;
+                const panel = buildRetranscribePanel(mel, () => panel.remove());
+                li.appendChild(panel);
+            });
+            
+            buttonContainer.appendChild(recordingBtn);
+            buttonContainer.appendChild(retranscribeBtn);
+        }
         li.appendChild(buttonContainer);
         
         melodyListEl.appendChild(li);
     });
+    showSearchMatch();
+}
+
+// Object URLs of recordings shown in the list, released on the next refresh
+let recordingUrls = [];
+
+// Audio player for a melody's stored recording
+async function showRecording(mel, container) {
+    const existing = container.querySelector('audio');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+    try {
+        const audio = await melodyLibrary.getAudio(mel.id);
+        if (!audio) {
+            console.warn(`No recording stored for "${mel.title}"`);
+            return;
+        }
+        const url = URL.createObjectURL(audio.blob);
+        recordingUrls.push(url);
+        const player = document.createElement('audio');
+        player.controls = true;
+        player.src = url;
+        container.appendChild(player);
+        player.play();
+    } catch (err) {
+        console.error('Could not load the recording:', err);
+    }
+}
+
+// Settings for re-transcribing a stored recording, with the result shown next
+// to the current notes until it replaces them, is saved as a new melody or dropped
+function buildRetranscribePanel(mel, onClose) {
+    const panel = document.createElement('div');
+    panel.className = "retranscribe-panel";
+
+    const form = document.createElement('div');
+    form.className = "retranscribe-settings";
+    const addField = (label, input) => {
+        const wrapper = document.createElement('label');
+        wrapper.appendChild(document.createTextNode(`${label} `));
+        wrapper.appendChild(input);
+        form.appendChild(wrapper);
+        return input;
+    };
+    const numberInput = (value, min, max) => {
+        const input = document.createElement('input');
+        input.type = "number";
+        input.value = value;
+        input.min = min;
+        input.max = max;
+        return input;
+    };
+
+    const previous = mel.transcription || {};
+    const bpmField = addField("BPM", numberInput(mel.bpm, 20, 300));
+    const toleranceField = addField("Tolerance (cents)", numberInput(previous.tolerance ?? tolerance, 1, 50));
+    const noiseFloorField = addField("Noise floor (dB)", numberInput(previous.noiseFloor ?? frequencyAnalyzer.noiseFloor, -100, -10));
+    const quantizationField = document.createElement('select');
+    [[4, "Quarter notes"], [8, "Eighth notes"], [16, "Sixteenth notes"]].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        quantizationField.appendChild(option);
+    });
+    quantizationField.value = previous.quantization ?? quantizationSetting;
+    addField("Grid", quantizationField);
+    const algorithmField = algorithmSelect ? algorithmSelect.cloneNode(true) : document.createElement('select');
+    algorithmField.removeAttribute('id');
+    algorithmField.value = mel.pitchAlgorithm || pitchAlgorithm;
+    addField("Pitch detection", algorithmField);
+    const modeField = analysisModeSelect ? analysisModeSelect.cloneNode(true) : document.createElement('select');
+    modeField.removeAttribute('id');
+    modeField.value = (previous.polyphonic ?? mel.polyphonic) ? 'poly' : 'mono';
+    addField("Mode", modeField);
+    const profileField = profileSelect ? profileSelect.cloneNode(true) : document.createElement('select');
+    profileField.removeAttribute('id');
+    profileField.value = mel.instrument?.id ?? instrumentProfile.id;
+    addField("Instrument", profileField);
+
+    const runBtn = document.createElement('button');
+    runBtn.textContent = "Run";
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = "Close";
+    closeBtn.addEventListener('click', () => onClose());
+    form.appendChild(runBtn);
+    form.appendChild(closeBtn);
+
+    const result = document.createElement('div');
+    panel.appendChild(form);
+    panel.appendChild(result);
+
+    const describe = (melodyObj) => {
+        const count = melodyObj.notes.filter(event => event.note !== "Pause").length;
+        const keyText = melodyObj.key ? `, ${KeyDetector.keyName(melodyObj.key)}` : "";
+        return `${count} notes, ${melodyObj.bpm} BPM${keyText}, ${melodyObj.totalDuration.toFixed(2)}s`;
+    };
+
+    runBtn.addEventListener('click', async () => {
+        // Wait for recording or file transcription to finish first
+        if (recording || recordButton.disabled) return;
+        const settings = {
+            bpm: Number(bpmField.value) || mel.bpm,
+            tolerance: Number(toleranceField.value) || tolerance,
+            noiseFloor: Number(noiseFloorField.value) || frequencyAnalyzer.noiseFloor,
+            quantization: Number(quantizationField.value),
+            algorithm: algorithmField.value,
+            polyphonic: modeField.value === 'poly',
+            profile: resolveInstrumentProfile(profileField.value, mel.instrument),
+            tuning: mel.tuning
+        };
+        runBtn.disabled = recordButton.disabled = true;
+        if (openFileButton) openFileButton.disabled = true;
+        let retranscribed;
+        try {
+            const audio = await melodyLibrary.getAudio(mel.id);
+            retranscribed = await retranscribeRecording(audio, settings, mel.title);
+        } catch (err) {
+            console.error(`Could not re-transcribe "${mel.title}":`, err);
+            return;
+        } finally {
+            runBtn.disabled = recordButton.disabled = false;
+            if (openFileButton) openFileButton.disabled = false;
+        }
+
+        result.innerHTML = "";
+        const summary = document.createElement('div');
+        summary.textContent = `Current: ${describe(mel)} | New: ${describe(retranscribed)}`;
+        result.appendChild(summary);
+        const previewGrid = retranscribed.polyphonic
+            ? buildPolyphonicView(retranscribed)
+            : buildGridView(retranscribed.notes, retranscribed.bpm);
+        result.appendChild(previewGrid);
+        result.appendChild(buildPlaybackControls(retranscribed, previewGrid));
+
+        const replaceBtn = document.createElement('button');
+        replaceBtn.textContent = "Replace Notes";
+        replaceBtn.style.marginRight = "10px";
+        replaceBtn.addEventListener('click', () => {
+            updateStoredMelody(mel.id, { ...retranscribed, editedAt: new Date().toISOString() });
+        });
+        const saveNewBtn = document.createElement('button');
+        saveNewBtn.textContent = "Save as New Melody";
+        saveNewBtn.addEventListener('click', async () => {
+            let audio;
+            try {
+                audio = await melodyLibrary.getAudio(mel.id);
+            } catch (err) {
+                console.error(`Could not load the recording of "${mel.title}":`, err);
+                return;
+            }
+            storeMelody({
+                ...retranscribed,
+                title: `${mel.title} (re-transcribed)`,
+                tags: mel.tags
+            }, audio ? { blob: audio.blob, startTime: audio.startTime, downbeatTime: audio.downbeatTime } : null);
+        });
+        result.appendChild(replaceBtn);
+        result.appendChild(saveNewBtn);
+    });
+
+    return panel;
+}
+
+// Profile for an id picked in a re-transcription: the melody's own one, the
+// current one (which holds the custom range) or a built-in one
+function resolveInstrumentProfile(id, stored = null) {
+    if (stored && stored.id === id) return InstrumentProfile.fromJSON(stored);
+    if (id === instrumentProfile.id) return instrumentProfile;
+    return new InstrumentProfile({ id });
+}
+
+// Sing-along practice: the melody is shown (and can be heard) as a target, then
+// sung back against its own metronome through the usual analysis pipeline.
+// Each attempt is scored note by note and kept with the melody.
+const PRACTICE_TAIL_BEATS = 2;  // Listening goes on this long after the target ends
+const PRACTICE_HISTORY = 20;    // Latest attempts drawn in the progress chart
+let practice = null;            // Attempt in progress: { mel, view, timer }
+
+function buildPracticePanel(mel, onClose) {
+    const panel = document.createElement('div');
+    panel.className = "practice-panel";
+
+    const controls = document.createElement('div');
+    controls.className = "practice-controls";
+    const singBtn = document.createElement('button');
+    singBtn.textContent = "Sing";
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = "Close";
+    const status = document.createElement('span');
+    controls.appendChild(singBtn);
+    controls.appendChild(closeBtn);
+    controls.appendChild(status);
+
+    // The target scrolls under the playhead while singing; Play previews it
+    const gridContainer = buildGridView(mel.notes, mel.bpm);
+    const result = document.createElement('div');
+    const history = document.createElement('div');
+    history.className = "practice-history";
+
+    panel.appendChild(controls);
+    panel.appendChild(gridContainer);
+    panel.appendChild(buildPlaybackControls(mel, gridContainer));
+    panel.appendChild(result);
+    panel.appendChild(history);
+
+    const view = { gridContainer, singBtn, status, result, history };
+    singBtn.addEventListener('click', async () => {
+        if (practice && practice.view === view) {
+            stopPractice();
+            return;
+        }
+        // Wait for recording, transcription or another attempt to finish first
+        if (recording || recordButton.disabled) return;
+        singBtn.textContent = "Stop";
+        try {
+            await startPractice(mel, view);
+        } catch (err) {
+            console.error('Could not start practice:', err);
+            stopPractice(false);
+        }
+    });
+    closeBtn.addEventListener('click', () => {
+        if (practice && practice.view === view) stopPractice(false);
+        onClose();
+    });
+
+    showPracticeHistory(mel, history);
+    return panel;
+}
+
+// Tuning a stored melody was recorded in; melodies stored before tunings were kept use the current one
+function tuningOf(mel) {
+    return mel.tuning ? Tuning.fromJSON(mel.tuning) : NoteDetector.tuning;
+}
+
+async function startPractice(mel, view) {
+    melodyPlayer.stop();
+    recording = true;
+    recordButton.disabled = true;
+    // The attempt is sung on the melody's grid and in its tuning; no key snapping, so wrong notes stay wrong
+    noteSegmenter = new NoteSegmenter({ ...getSegmenterOptions(), bpm: mel.bpm, key: null, tuning: tuningOf(mel) });
+    frequencyAnalyzer = new FrequencyAnalyzer(getAnalyzerOptions());
+    const current = { mel, view, timer: null };
+    practice = current;
+    view.status.textContent = "Listen to the count-in, then sing";
+
+    await initAudio({ bpm: mel.bpm, metronome: true, countInBars: Math.max(1, Number(countInInput.value) || 0), keepAudio: false });
+    // Stopped while the microphone was being opened
+    if (practice !== current || !metronome) return;
+
+    const schedule = MelodyPlayer.buildSchedule(mel.notes, mel.bpm);
+    const endTime = metronome.downbeatTime + schedule.length + PRACTICE_TAIL_BEATS * 60 / mel.bpm;
+    current.timer = setTimeout(() => stopPractice(), (endTime - audioContext.currentTime) * 1000);
+    animatePracticeTarget(current, schedule);
+}
+
+// End the attempt; unless it is abandoned (or stopped during the count-in) score and save it
+async function stopPractice(save = true) {
+    if (!practice) return;
+    const { mel, view, timer } = practice;
+    practice = null;
+    clearTimeout(timer);
+    const started = !!(audioContext && metronome && audioContext.currentTime >= metronome.downbeatTime);
+    recording = false;
+    stopAudio();
+    const take = noteSegmenter.finish();
+    recordButton.disabled = false;
+    view.singBtn.textContent = "Sing";
+    view.status.textContent = "";
+    if (!save || !started) return;
+
+    const result = PracticeScorer.score(mel.notes, take, mel.bpm, tuningOf(mel));
+    showPracticeResult(view, result);
+    try {
+        await melodyLibrary.addAttempt(mel.id, result);
+    } catch (err) {
+        console.error('Could not save the attempt:', err);
+    }
+    showPracticeHistory(mel, view.history);
+}
+
+// Playhead over the target from the downbeat on, scrolled to stay in view
+function animatePracticeTarget(current, schedule) {
+    const { gridContainer } = current.view;
+    const boxes = gridContainer.querySelectorAll('.note-box');
+    const playhead = document.createElement('div');
+    playhead.className = "playhead";
+    gridContainer.appendChild(playhead);
+
+    const step = () => {
+        if (practice !== current || !audioContext || !metronome) {
+            playhead.remove();
+            return;
+        }
+        const position = Math.max(0, audioContext.currentTime - metronome.downbeatTime);
+        const offset = playheadOffset(boxes, schedule.items, position);
+        playhead.style.left = `${offset}px`;
+        gridContainer.scrollLeft = offset - gridContainer.clientWidth / 3;
+        requestAnimationFrame(step);
+    };
+    step();
+}
+
+// Colour the target notes by result and summarise the attempt
+function showPracticeResult(view, result) {
+    const signed = value => `${value > 0 ? '+' : ''}${value}`;
+    const boxes = view.gridContainer.querySelectorAll('.note-box');
+    result.notes.forEach(note => {
+        const box = boxes[note.index];
+        if (!box) return;
+        box.classList.remove("practice-hit", "practice-wrong", "practice-missed");
+        box.classList.add(`practice-${note.status}`);
+        box.title = note.status === 'missed'
+            ? `${note.note}: not sung`
+            : `${note.note}: sang ${note.sung}, ${signed(note.cents)} cents, ${signed(note.offset)} beats ${note.offset > 0 ? 'late' : 'early'}`;
+    });
+
+    view.result.innerHTML = "";
+    const summary = document.createElement('div');
+    summary.className = "practice-summary";
+    summary.textContent = `Score ${result.score} (pitch ${result.pitchScore}, timing ${result.timingScore}): ` +
+        `${result.hits} right, ${result.wrong} wrong, ${result.missed} missed, ${result.extra} extra`;
+    view.result.appendChild(summary);
+    if (result.extras.length) {
+        const extras = document.createElement('div');
+        extras.textContent = `Extra notes: ${result.extras.map(extra => `${extra.sung} at beat ${extra.start}`).join(', ')}`;
+        view.result.appendChild(extras);
+    }
+}
+
+// Earlier attempts at a melody as a bar chart of scores, oldest on the left
+async function showPracticeHistory(mel, container) {
+    let attempts;
+    try {
+        await libraryReady;
+        attempts = await melodyLibrary.listAttempts(mel.id);
+    } catch (err) {
+        console.error('Could not load practice attempts:', err);
+        return;
+    }
+
+    container.innerHTML = "";
+    if (attempts.length === 0) {
+        container.textContent = "No attempts yet";
+        return;
+    }
+    const best = Math.max(...attempts.map(attempt => attempt.score));
+    const label = document.createElement('div');
+    label.textContent = `${attempts.length} attempts, best ${best}, last ${attempts[attempts.length - 1].score}`;
+    const chart = document.createElement('div');
+    chart.className = "practice-chart";
+    attempts.slice(-PRACTICE_HISTORY).forEach(attempt => {
+        const bar = document.createElement('div');
+        bar.className = "practice-bar";
+        bar.style.height = `${Math.max(2, attempt.score)}%`;
+        bar.title = `${new Date(attempt.date).toLocaleString()}: ${attempt.score} ` +
+            `(pitch ${attempt.pitchScore}, timing ${attempt.timingScore})`;
+        chart.appendChild(bar);
+    });
+    container.appendChild(label);
+    container.appendChild(chart);
+}
+
+// Editable title, tags and description above a melody's grid
+function buildMelodyHeader(mel) {
+    const header = document.createElement('div');
+    header.className = "melody-header";
+
+    const titleInput = document.createElement('input');
+    titleInput.className = "melody-title";
+    titleInput.value = mel.title;
+    titleInput.disabled = !!mel.deletedAt;
+    titleInput.addEventListener('change', () => {
+        const title = titleInput.value.trim() || mel.title;
+        titleInput.value = mel.title = title;
+        updateStoredMelody(mel.id, { title }, false);
+    });
+
+    const info = document.createElement('span');
+    const savedDate = new Date(mel.savedAt);
+    const keyText = mel.key ? ` | Key: ${KeyDetector.keyName(mel.key)}` : "";
+    const trashText = mel.deletedAt ? ` | Deleted on: ${new Date(mel.deletedAt).toLocaleString()}` : "";
+    info.textContent = `BPM: ${mel.bpm}${keyText} | Duration: ${mel.totalDuration?.toFixed(2)}s | Saved on: ${savedDate.toLocaleString()}${trashText}`;
+
+    const tagsInput = document.createElement('input');
+    tagsInput.className = "melody-tags";
+    tagsInput.placeholder = "Tags, comma separated";
+    tagsInput.value = (mel.tags || []).join(', ');
+    tagsInput.disabled = !!mel.deletedAt;
+    tagsInput.addEventListener('change', () => {
+        updateStoredMelody(mel.id, { tags: MelodyLibrary.parseTags(tagsInput.value) });
+    });
+
+    const descriptionInput = document.createElement('textarea');
+    descriptionInput.className = "melody-description";
+    descriptionInput.placeholder = "Notes";
+    descriptionInput.rows = 1;
+    descriptionInput.value = mel.description || "";
+    descriptionInput.disabled = !!mel.deletedAt;
+    descriptionInput.addEventListener('change', () => {
+        mel.description = descriptionInput.value;
+        updateStoredMelody(mel.id, { description: mel.description }, false);
+    });
+
+    header.appendChild(titleInput);
+    header.appendChild(info);
+    header.appendChild(tagsInput);
+    header.appendChild(descriptionInput);
+    return header;
+}
+
+// File name for downloads, derived from the melody title
+function fileBaseName(melody) {
+    return (melody.title || "melody").trim().replace(/[^\w\-]+/g, '_');
 }
 
 // Split download functionality into separate functions
-function downloadJSON(melody, index) {
+function downloadJSON(melody) {
     const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(melody, null, 2));
     const a = document.createElement('a');
     a.setAttribute("href", dataStr);
-    a.setAttribute("download", `melody_${index + 1}.json`);
+    a.setAttribute("download", `${fileBaseName(melody)}.json`);
     a.click();
 }
 
-function downloadMIDI(melody, index) {
-    const midiData = MidiUtils.melodyToMidi(melody.notes, melody.bpm);
+const expressiveMidiCheckbox = document.getElementById('expressiveMidiCheckbox');
+const velocityCurveSelect = document.getElementById('velocityCurveSelect');
+const expressionCheckbox = document.getElementById('expressionCheckbox');
+const ornamentsCheckbox = document.getElementById('ornamentsCheckbox');
+
+function downloadMIDI(melody) {
+    const midiData = MidiUtils.melodyToMidi(melody.notes, melody.bpm, melody.key, {
+        expressive: !!(expressiveMidiCheckbox && expressiveMidiCheckbox.checked),
+        velocityCurve: velocityCurveSelect ? velocityCurveSelect.value : null,
+        expressionEvents: !!(expressionCheckbox && expressionCheckbox.checked),
+        ornaments: !!(ornamentsCheckbox && ornamentsCheckbox.checked),
+        polyphonic: !!melody.polyphonic,
+        program: melody.instrument?.program,
+        tuning: melody.tuning
+    });
     const blob = new Blob([midiData], { type: 'audio/midi' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `melody_${index + 1}.mid`;
+    a.download = `${fileBaseName(melody)}.mid`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function downloadMusicXML(melody) {
+    const xml = MusicXmlUtils.melodyToMusicXml(melody.notes, melody.bpm, {
+        title: melody.title,
+        fifths: melody.key?.fifths,
+        mode: melody.key?.mode,
+        ornaments: !!(ornamentsCheckbox && ornamentsCheckbox.checked)
+    });
+    const blob = new Blob([xml], { type: 'application/vnd.recordare.musicxml+xml' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${fileBaseName(melody)}.musicxml`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function downloadABC(melody) {
+    const abc = AbcUtils.melodyToAbc(melody.notes, melody.bpm, {
+        title: melody.title,
+        fifths: melody.key?.fifths,
+        mode: melody.key?.mode
+    });
+    const blob = new Blob([abc], { type: 'text/vnd.abc' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${fileBaseName(melody)}.abc`;
     a.click();
     URL.revokeObjectURL(url);
 }
 
-// Add "Clear Stored Melodies" button functionality
+// Move every listed melody to the trash (they can be restored from there)
 const clearMelodiesBtn = document.getElementById('clearMelodiesBtn');
 if (clearMelodiesBtn) {
-    clearMelodiesBtn.addEventListener('click', () => {
-        localStorage.removeItem('melodies');
+    clearMelodiesBtn.addEventListener('click', async () => {
+        const active = listedMelodies.filter(mel => !mel.deletedAt);
+        if (active.length === 0 || !confirm(`Move ${active.length} melodies to the trash?`)) return;
+        try {
+            for (const mel of active) {
+                await melodyLibrary.trash(mel.id);
+            }
+        } catch (err) {
+            console.error('Could not move melodies to the trash:', err);
+        }
         updateMelodyList();
     });
 }
 
-// Call updateMelodyList on page load
-document.addEventListener('DOMContentLoaded', () => {
-    updateMelodyList();
-});
-
-// Maps frequency to note name and computes deviation in cents
-function frequencyToNoteInfo(frequency) {
-    const midiNote = NoteDetector.frequencyToMIDI(frequency);
-    const deviation = NoteDetector.getCentsDeviation(frequency, midiNote);
-    
-    // Check if the note is within vocal range
-    if (midiNote < VOCAL_RANGE.MIN_MIDI || midiNote > VOCAL_RANGE.MAX_MIDI) {
-        return null;
-    }
+// Import Standard MIDI Files into the melody library
+const importMidiBtn = document.getElementById('importMidiBtn');
+const midiFileInput = document.getElementById('midiFileInput');
+if (importMidiBtn && midiFileInput) {
+    importMidiBtn.addEventListener('click', () => midiFileInput.click());
+    midiFileInput.addEventListener('change', async () => {
+        const files = Array.from(midiFileInput.files);
+        midiFileInput.value = "";
+        for (const file of files) {
+            try {
+                const { keySignature, ...imported } = MidiUtils.midiToMelody(await file.arrayBuffer());
+                if (imported.notes.length === 0) {
+                    console.warn(`${file.name} contains no notes`);
+                    continue;
+                }
+                // Trust the file's key signature over an estimate
+                imported.key = keySignature
+                    ? KeyDetector.fromKeySignature(keySignature.fifths, keySignature.mode)
+                    : KeyDetector.detect(imported.notes);
+                await storeMelody(imported);
+            } catch (err) {
+                console.error(`Could not import ${file.name}:`, err);
+            }
+        }
+    });
+}
 
-    // Convert MIDI note to note name
-    const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    const octave = Math.floor(midiNote / 12) - 1;
-    const noteName = noteNames[midiNote % 12];
-    
-    return {
-        note: `${noteName}${octave}`,
-        midi: midiNote,
-        frequency,
-        deviation
-    };
+// Import pasted ABC tunes into the melody library, one melody per tune
+const importAbcBtn = document.getElementById('importAbcBtn');
+const abcImportPanel = document.getElementById('abcImportPanel');
+const abcInput = document.getElementById('abcInput');
+const abcImportConfirmBtn = document.getElementById('abcImportConfirmBtn');
+const abcImportCancelBtn = document.getElementById('abcImportCancelBtn');
+const abcImportStatus = document.getElementById('abcImportStatus');
+if (importAbcBtn && abcImportPanel) {
+    importAbcBtn.addEventListener('click', () => {
+        abcImportPanel.hidden = false;
+        abcImportStatus.textContent = "";
+        abcInput.focus();
+    });
+    abcImportCancelBtn.addEventListener('click', () => {
+        abcImportPanel.hidden = true;
+    });
+    abcImportConfirmBtn.addEventListener('click', async () => {
+        const problems = [];
+        const failed = [];
+        let imported = 0;
+        for (const [i, tune] of AbcUtils.splitTunes(abcInput.value).entries()) {
+            try {
+                const { keySignature, ...melody } = AbcUtils.abcToMelody(tune);
+                if (melody.notes.length === 0) {
+                    problems.push(`tune ${i + 1} contains no notes`);
+                    failed.push(tune);
+                    continue;
+                }
+                // Trust the tune's key over an estimate
+                melody.key = keySignature
+                    ? KeyDetector.fromKeySignature(keySignature.fifths, keySignature.mode)
+                    : KeyDetector.detect(melody.notes);
+                await libraryReady;
+                await melodyLibrary.add(melody);
+                imported++;
+            } catch (err) {
+                problems.push(`tune ${i + 1}: ${err.message}`);
+                failed.push(tune);
+            }
+        }
+        if (imported > 0) updateMelodyList();
+        // Only the tunes that were not stored stay pasted, to be fixed and imported again
+        abcInput.value = failed.join('\n\n');
+        if (problems.length === 0) {
+            abcImportPanel.hidden = true;
+        } else {
+            abcImportStatus.textContent = `Imported ${imported}; ${problems.join('; ')}`;
+        }
+    });
 }
 
-// Add near the top with other state variables
-let lastDetectedFrequency = null;
-const noteDetector = new NoteDetector({
-    bufferSize: 5,
-    minDuration: 0.1
+// Call updateMelodyList on page load
+document.addEventListener('DOMContentLoaded', () => {
+    updateMelodyList();
 });
 
-let lastEventTime = null;
-let frequencyHistory = [];
+// Note segmentation of the live take; replaced by resetTakeState() for every recording
+let noteSegmenter = new NoteSegmenter();
@@ -0,0 +1,98 @@
+/**
+ * AnalysisWorker - runs pitch analysis off the main thread.
+ *
+ * Receives hop-sized sample blocks from CaptureProcessor, keeps a sliding
+ * analysis window and posts one pitch frame per hop back to the page. Frame
+ * times are derived from sample positions (in ms on the AudioContext clock),
+ * so note timing does not depend on how often the page gets to render.
+ * With keepAudio it also keeps every block and hands the take back as a WAV
+ * file when the page asks for it. In polyphonic mode each frame carries every
+ * pitch found (pitches) instead of a single one.
+ * Note detection and segmentation stay on the page: they cost a few
+ * comparisons per frame against the worker's FFT and pitch search, and the
+ * page reads the segmenter's state (sounding note, melody so far, beat grid)
+ * on every redraw and locks its downbeat to the metronome. The frames are
+ * time-stamped here, so a busy page only delays them, never retimes them.
+ */
+import { FrequencyAnalyzer } from './FrequencyAnalyzer.js';
+import { WavUtils } from './WavUtils.js';
+
+let analyzer = null;
+let sampleRate = 44100;
+let analysisWindow = null;
+let windowFill = 0;
+let keepAudio = false;
+let polyphonic = false;
+let recordedBlocks = [];
+let firstFrame = null;
+
+function handleBlock(event) {
+    const { samples, startFrame } = event.data;
+    const frameSize = analysisWindow.length;
+
+    if (keepAudio) {
+        if (firstFrame === null) firstFrame = startFrame;
+        recordedBlocks.push(samples);
+    }
+
+    // Slide the window left by one hop and append the new block
+    if (samples.length >= frameSize) {
+        analysisWindow.set(samples.subarray(samples.length - frameSize));
+    } else {
+        analysisWindow.copyWithin(0, samples.length);
+        analysisWindow.set(samples, frameSize - samples.length);
+    }
+    windowFill = Math.min(frameSize, windowFill + samples.length);
+
+    // Wait until the first full window is available
+    if (windowFill < frameSize) return;
+
+    const estimate = polyphonic
+        ? { pitches: analyzer.analyzePitches(analysisWindow, sampleRate) }
+        : { pitch: analyzer.analyzePitch(analysisWindow, sampleRate) };
+    self.postMessage({
+        type: 'pitch',
+        ...estimate,
+        level: analyzer.lastLevel,
+        // The window ends with the last sample of this block
+        time: (startFrame + samples.length) / sampleRate * 1000
+    });
+}
+
+// Post the kept blocks as one WAV file; startTime (ms on the frame clock) is
+// the time of its first sample
+function flushAudio() {
+    const length = recordedBlocks.reduce((sum, block) => sum + block.length, 0);
+    const samples = new Float32Array(length);
+    let offset = 0;
+    recordedBlocks.forEach(block => {
+        samples.set(block, offset);
+        offset += block.length;
+    });
+    const wav = WavUtils.encode(samples, sampleRate);
+    self.postMessage({
+        type: 'audio',
+        wav,
+        startTime: (firstFrame ?? 0) / sampleRate * 1000
+    }, [wav]);
+    recordedBlocks = [];
+    firstFrame = null;
+}
+
+self.onmessage = (event) => {
+    if (event.data.type === 'flush') {
+        flushAudio();
+        return;
+    }
+    if (event.data.type !== 'init') return;
+
+    sampleRate = event.data.sampleRate;
+    analyzer = new FrequencyAnalyzer(event.data.analyzerOptions || {});
+    analysisWindow = new Float32Array(event.data.frameSize);
+    windowFill = 0;
+    keepAudio = !!event.data.keepAudio;
+    polyphonic = !!event.data.polyphonic;
+    recordedBlocks = [];
+    firstFrame = null;
+    event.data.port.onmessage = handleBlock;
+};
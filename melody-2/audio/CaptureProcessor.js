@@ -0,0 +1,58 @@
+/**
+ * CaptureProcessor - AudioWorklet processor that collects microphone input
+ * into hop-sized blocks and streams them to the analysis worker.
+ *
+ * Runs on the audio rendering thread, so it only copies samples: every block
+ * is tagged with the context frame of its first sample and posted straight to
+ * the worker through the MessagePort handed over in the "connect" message.
+ */
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.hopSize = options.processorOptions.hopSize;
+        this.block = new Float32Array(this.hopSize);
+        this.blockFill = 0;
+        this.blockStartFrame = 0;
+        this.analysisPort = null;
+
+        this.port.onmessage = (event) => {
+            if (event.data.type === 'connect') {
+                this.analysisPort = event.data.port;
+            }
+        };
+    }
+
+    process(inputs) {
+        const channels = inputs[0];
+        if (!this.analysisPort || !channels || channels.length === 0) return true;
+
+        const quantumSize = channels[0].length;
+        for (let i = 0; i < quantumSize; i++) {
+            if (this.blockFill === 0) {
+                this.blockStartFrame = currentFrame + i;
+            }
+
+            // Mix down to mono
+            let sample = 0;
+            for (let c = 0; c < channels.length; c++) {
+                sample += channels[c][i];
+            }
+            this.block[this.blockFill++] = sample / channels.length;
+
+            if (this.blockFill === this.hopSize) {
+                // Transfer the block instead of copying it, then start a fresh one
+                this.analysisPort.postMessage({
+                    type: 'block',
+                    samples: this.block,
+                    startFrame: this.blockStartFrame
+                }, [this.block.buffer]);
+                this.block = new Float32Array(this.hopSize);
+                this.blockFill = 0;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
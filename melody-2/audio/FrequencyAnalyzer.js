@@ -1,3 +1,6 @@
+import { PitchDetectors } from './pitch/PitchDetectors.js';
+import { MultiPitchDetector } from './pitch/MultiPitchDetector.js';
+
 class FrequencyAnalyzer {
     constructor(options = {}) {
         // Analysis configuration
@@ -21,19 +24,37 @@ class FrequencyAnalyzer {
         this.harmonicWeighting = options.harmonicWeighting || 0.8; // Weight for harmonic detection (0-1)
         this.maxOctaveJump = options.maxOctaveJump || 2; // Maximum allowed octave jump
         this.contextWeight = options.contextWeight || 0.3; // Weight for context in decision making
+        
+        // Pitch estimation strategy: 'classic' uses the built-in peak picking below,
+        // anything else is looked up in PitchDetectors
+        this.algorithm = options.algorithm || PitchDetectors.CLASSIC;
+        this.detector = PitchDetectors.create(this.algorithm, options);
+        this.minClarity = options.minClarity || 0.5; // Reject detector estimates below this clarity
+        this.multiPitchDetector = new MultiPitchDetector(options); // Polyphonic mode (analyzePitches)
+        this.lastClarity = 0; // Clarity/confidence (0-1) of the most recent frame
+        this.lastCandidateScore = null; // Score of the chosen spectral candidate; null when the frame had none
+        this.lastLevel = -Infinity; // RMS level (dB) of the most recent frame
     }
     
     analyzePitch(audioData, sampleRate, frequencyData = null) {
+        this.lastClarity = 0;
+        this.lastCandidateScore = null;
+        
         // Check if audio is above noise floor
         if (!this.isAboveNoiseFloor(audioData)) {
             return null;
         }
 
-        // Get frequency spectrum data
-        const frequencies = this.getFrequencies(audioData, sampleRate, frequencyData);
-        
-        // Find dominant frequency
-        let frequency = this.findDominantFrequency(frequencies, sampleRate);
+        let frequency;
+        if (this.detector) {
+            frequency = this.detectWithStrategy(audioData, sampleRate, frequencyData);
+        } else {
+            // Get frequency spectrum data
+            const frequencies = this.getFrequencies(audioData, sampleRate, frequencyData);
+            
+            // Find dominant frequency
+            frequency = this.findDominantFrequency(frequencies, sampleRate, !!(frequencyData && frequencyData.length));
+        }
         
         // Apply frequency constraints
         if (frequency !== null && (frequency < this.minFrequency || frequency > this.maxFrequency)) {
@@ -49,6 +70,43 @@ class FrequencyAnalyzer {
         return frequency;
     }
     
+    /**
+     * Estimate every pitch sounding in a frame (polyphonic mode). No smoothing
+     * or context filtering is applied; note tracking smooths over frames.
+     * @param {Float32Array} audioData - Time-domain samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @return {Array<number>} Frequencies in Hz, lowest first; empty in silence
+     */
+    analyzePitches(audioData, sampleRate) {
+        this.lastClarity = 0;
+        if (!this.isAboveNoiseFloor(audioData)) {
+            return [];
+        }
+        
+        const estimates = this.multiPitchDetector.detect(audioData, sampleRate, {
+            minFrequency: this.minFrequency,
+            maxFrequency: this.maxFrequency
+        });
+        this.lastClarity = estimates.length ? 1 : 0;
+        return estimates.map(estimate => estimate.frequency * this.calibrationFactor);
+    }
+    
+    // Run the selected detector; its clarity replaces the classic path's peak
+    // heuristics when deciding whether the frame is pitched at all
+    detectWithStrategy(audioData, sampleRate, frequencyData = null) {
+        const result = this.detector.detect(audioData, sampleRate, {
+            minFrequency: this.minFrequency,
+            maxFrequency: this.maxFrequency,
+            frequencyData
+        });
+        if (!result || !isFinite(result.frequency)) return null;
+        
+        this.lastClarity = result.clarity;
+        if (result.clarity < this.minClarity) return null;
+        
+        return result.frequency * this.calibrationFactor;
+    }
+    
     getFrequencies(audioData, sampleRate, frequencyData = null) {
         // If frequency data is already provided (from an analyser node), use it
         if (frequencyData && frequencyData.length) {
@@ -86,12 +144,13 @@ class FrequencyAnalyzer {
         return correlations;
     }
     
-    findDominantFrequency(frequencies, sampleRate) {
-        if (frequencies.length > 1000) {
-            // This is probably FFT data
+    // Spectrum data comes from an analyser node; otherwise getFrequencies()
+    // returned autocorrelation, one value per lag up to the longest period,
+    // which is longer than any spectrum's length for low ranges
+    findDominantFrequency(frequencies, sampleRate, isSpectrum) {
+        if (isSpectrum) {
             return this.findFrequencyFromFFT(frequencies, sampleRate);
         } else {
-            // This is probably autocorrelation data
             return this.findFrequencyFromAutocorrelation(frequencies, sampleRate);
         }
     }
@@ -112,14 +171,16 @@ class FrequencyAnalyzer {
         
         // Analyze harmonic relationships between peaks
         const fundamentalCandidate = this.analyzeFundamentalFrequency(peaks, binSize, frequencies);
+        this.lastClarity = this.lastCandidateScore === null ? 0 : Math.min(1, this.lastCandidateScore);
         
         // Apply context-aware filtering
         return this.applyContextFilter(fundamentalCandidate);
     }
     
     findFrequencyFromAutocorrelation(correlations, sampleRate) {
-        // Skip the first few bins to avoid false peaks from the zero lag
-        const skipBins = Math.min(30, correlations.length / 8);
+        // Skip the first few bins to avoid false peaks from the zero lag, but
+        // not the shortest periods of high ranges
+        const skipBins = Math.min(30, Math.floor(sampleRate / this.maxFrequency));
         
         // Find multiple peaks in the correlation
         const peaks = [];
@@ -151,6 +212,7 @@ class FrequencyAnalyzer {
         
         // Sort peaks by strength
         peaks.sort((a, b) => b.strength - a.strength);
+        this.lastClarity = Math.min(1, peaks[0].strength);
         
         // Check for subharmonics (common issue in autocorrelation)
         // The true fundamental might not be the strongest peak
@@ -243,10 +305,16 @@ class FrequencyAnalyzer {
         
         // Convert to decibels (avoid log of zero)
         const db = 20 * Math.log10(Math.max(rms, 1e-10));
+        this.lastLevel = db;
         
         // Compare with noise floor threshold
         return db > this.noiseFloor;
     }
+
+    reset() {
+        this.previousFrequencies = [];
+        this.lastValidFrequency = null;
+    }
     
     findSpectralPeaks(frequencies, minBin, maxBin, binSize) {
         const peaks = [];
@@ -283,10 +351,14 @@ class FrequencyAnalyzer {
     }
     
     analyzeFundamentalFrequency(peaks, binSize, frequencies) {
-        if (peaks.length === 0) return null;
+        if (peaks.length === 0) {
+            this.lastCandidateScore = null;
+            return null;
+        }
         
         // If only one peak, it's our best guess
         if (peaks.length === 1) {
+            this.lastCandidateScore = 1;
             return peaks[0].frequency * this.calibrationFactor;
         }
         
@@ -331,6 +403,7 @@ class FrequencyAnalyzer {
         
         // Return the frequency with the highest score
         candidates.sort((a, b) => b.score - a.score);
+        this.lastCandidateScore = candidates[0].score;
         return candidates[0].frequency;
     }
     
@@ -0,0 +1,164 @@
+import { NoteDetector } from './NoteDetector.js';
+import { MidiUtils } from './MidiUtils.js';
+import { PolyphonicSegmenter } from './PolyphonicSegmenter.js';
+
+/**
+ * InstrumentProfile - Note range and analysis settings for a voice or instrument
+ *
+ * A profile gives the lowest and highest MIDI note that count as notes, the
+ * analysis window (long enough for a few periods of the lowest note), the
+ * noise floor and the General MIDI program used for export. The frequency
+ * range handed to the pitch detectors follows the current tuning and reaches
+ * half a semitone past both ends, so slightly flat or sharp edge notes are
+ * still found and then judged by the tolerance like any other.
+ */
+class InstrumentProfile {
+    static CUSTOM = 'custom';
+    static DEFAULT = 'voice';
+
+    // lowest/highest are MIDI notes; program is the 0-based General MIDI program
+    static PROFILES = {
+        voice: { label: 'Voice', lowest: 40, highest: 84, frameSize: 2048, noiseFloor: -70, program: 0 },                // E2-C6, Piano
+        'bass-voice': { label: 'Bass voice', lowest: 36, highest: 65, frameSize: 4096, noiseFloor: -70, program: 52 },   // C2-F4, Choir Aahs
+        soprano: { label: 'Soprano', lowest: 59, highest: 89, frameSize: 2048, noiseFloor: -70, program: 52 },           // B3-F6, Choir Aahs
+        whistle: { label: 'Whistle', lowest: 71, highest: 108, frameSize: 1024, noiseFloor: -60, program: 78 },          // B4-C8, Whistle
+        guitar: { label: 'Guitar', lowest: 40, highest: 88, frameSize: 2048, noiseFloor: -65, program: 25 },             // E2-E6, Steel Guitar
+        'bass-guitar': { label: 'Bass guitar', lowest: 23, highest: 67, frameSize: 8192, noiseFloor: -65, program: 33 }, // B0-G4, Finger Bass
+        violin: { label: 'Violin', lowest: 55, highest: 105, frameSize: 2048, noiseFloor: -65, program: 40 }             // G3-A7, Violin
+    };
+
+    static EDGE_CENTS = 50;              // How far the frequency range reaches past the lowest and highest notes
+    static MIN_FRAME_SIZE = 1024;
+    static MAX_FRAME_SIZE = 8192;
+    static FRAME_PERIODS = 3;            // Periods of the lowest note a custom profile's window must hold
+    static REFERENCE_SAMPLE_RATE = 44100; // Window sizes are chosen for this rate
+
+    // Range calibration: the comfortable range leaves out the extremes of what was heard
+    static CALIBRATION_SECONDS = 10;
+    static CALIBRATION_RANGE = { lowest: 36, highest: 96 }; // C2-C7, listened to while calibrating
+    static CALIBRATION_PERCENTILE = 0.05;
+    static CALIBRATION_MARGIN = 2;       // Semitones added on either side of the comfortable range
+    static MIN_CALIBRATION_FRAMES = 30;
+
+    /**
+     * @param {Object} options - { id, lowest, highest (MIDI notes, custom profiles only), program (custom only) };
+     *                           built-in profiles take everything else from PROFILES
+     */
+    constructor(options = {}) {
+        this.id = options.id || InstrumentProfile.DEFAULT;
+        const preset = InstrumentProfile.PROFILES[this.id];
+        if (!preset && this.id !== InstrumentProfile.CUSTOM) {
+            throw new Error(`Unknown instrument profile: ${this.id}`);
+        }
+
+        if (preset) {
+            Object.assign(this, preset);
+        } else {
+            const fallback = InstrumentProfile.PROFILES[InstrumentProfile.DEFAULT];
+            this.label = 'Custom';
+            this.lowest = options.lowest ?? fallback.lowest;
+            this.highest = options.highest ?? fallback.highest;
+            if (!Number.isInteger(this.lowest) || !Number.isInteger(this.highest) ||
+                this.lowest < 0 || this.highest > 127 || this.lowest >= this.highest) {
+                throw new Error("A custom range needs a lowest note below its highest note");
+            }
+            this.frameSize = InstrumentProfile.frameSizeFor(this.lowest);
+            this.noiseFloor = options.noiseFloor ?? fallback.noiseFloor;
+            this.program = options.program ?? fallback.program;
+        }
+    }
+
+    /**
+     * Profiles that can be picked, custom last
+     * @return {Array} { id, label }
+     */
+    static list() {
+        return [
+            ...Object.entries(this.PROFILES).map(([id, preset]) => ({ id, label: preset.label })),
+            { id: this.CUSTOM, label: 'Custom' }
+        ];
+    }
+
+    /**
+     * Smallest power-of-two window holding FRAME_PERIODS periods of a note
+     * @param {number} midi - Lowest MIDI note
+     * @return {number} Window in samples
+     */
+    static frameSizeFor(midi) {
+        const samples = this.FRAME_PERIODS * this.REFERENCE_SAMPLE_RATE / NoteDetector.midiToFrequency(midi);
+        let size = this.MIN_FRAME_SIZE;
+        while (size < samples && size < this.MAX_FRAME_SIZE) size *= 2;
+        return size;
+    }
+
+    get minFrequency() {
+        return NoteDetector.midiToFrequency(this.lowest) * Math.pow(2, -InstrumentProfile.EDGE_CENTS / 1200);
+    }
+
+    get maxFrequency() {
+        return NoteDetector.midiToFrequency(this.highest) * Math.pow(2, InstrumentProfile.EDGE_CENTS / 1200);
+    }
+
+    // Range as note names, e.g. "E2-C6"
+    describe() {
+        return `${MidiUtils.midiToNote(this.lowest)}-${MidiUtils.midiToNote(this.highest)}`;
+    }
+
+    // FrequencyAnalyzer options for this profile
+    analyzerOptions() {
+        return { minFrequency: this.minFrequency, maxFrequency: this.maxFrequency, noiseFloor: this.noiseFloor };
+    }
+
+    // NoteSegmenter/PolyphonicSegmenter options for this profile
+    segmenterOptions() {
+        return { minMidi: this.lowest, maxMidi: this.highest };
+    }
+
+    /**
+     * Analysis window for a mode; polyphonic mode never goes below its own window
+     * @param {boolean} polyphonic - Polyphonic analysis
+     * @return {number} Window in samples
+     */
+    analysisFrameSize(polyphonic = false) {
+        return polyphonic ? Math.max(this.frameSize, PolyphonicSegmenter.FRAME_SIZE) : this.frameSize;
+    }
+
+    /**
+     * Custom profile around the range a calibration take covered
+     * @param {Array<number>} frequencies - Pitches heard while calibrating, in Hz
+     * @return {InstrumentProfile|null} Null when too little was heard to tell
+     */
+    static fromCalibration(frequencies) {
+        const notes = frequencies
+            .filter(frequency => frequency > 0)
+            .map(frequency => NoteDetector.frequencyToMIDI(frequency))
+            .sort((a, b) => a - b);
+        if (notes.length < this.MIN_CALIBRATION_FRAMES) return null;
+
+        const cut = Math.floor(notes.length * this.CALIBRATION_PERCENTILE);
+        const lowest = notes[cut] - this.CALIBRATION_MARGIN;
+        const highest = notes[notes.length - 1 - cut] + this.CALIBRATION_MARGIN;
+        if (highest <= lowest) return null;
+        return new InstrumentProfile({
+            id: this.CUSTOM,
+            lowest: Math.max(0, lowest),
+            highest: Math.min(127, highest)
+        });
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            lowest: this.lowest,
+            highest: this.highest,
+            noiseFloor: this.noiseFloor,
+            program: this.program
+        };
+    }
+
+    static fromJSON(data) {
+        return new InstrumentProfile(data || {});
+    }
+}
+
+export { InstrumentProfile };
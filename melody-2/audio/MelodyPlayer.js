@@ -0,0 +1,197 @@
+import { MidiUtils } from './MidiUtils.js';
+import { NoteDetector } from './NoteDetector.js';
+import { Tuning } from './Tuning.js';
+import { MelodyTimeline } from '../notation/MelodyTimeline.js';
+
+/**
+ * MelodyPlayer - Plays stored melodies through a simple Web Audio synthesizer
+ *
+ * Every note is an oscillator with a short attack/release envelope, scheduled
+ * ahead on the AudioContext clock. Looping schedules the next pass shortly
+ * before the current one ends, so passes join without a gap.
+ */
+class MelodyPlayer {
+    static LOOKAHEAD = 0.1;    // Seconds between scheduling and sound, and before a loop boundary
+    static MODE_QUANTIZED = 'quantized';
+    static MODE_RAW = 'raw';
+
+    constructor(options = {}) {
+        this.waveform = options.waveform || 'triangle';
+        this.volume = options.volume || 0.25;
+        this.voiceVolume = this.volume;
+        this.attack = options.attack || 0.01;   // seconds
+        this.release = options.release || 0.08; // seconds
+        
+        this.audioContext = null;
+        this.voices = [];
+        this.loopTimer = null;
+        this.endTimer = null;
+        this.passStartTime = 0;
+        this.schedule = null;
+        this.playing = false;
+    }
+
+    /**
+     * Build the playback schedule of a melody
+     * @param {Array} notes - Stored melody events
+     * @param {number} bpm - Beats per minute
+     * @param {string} mode - MODE_QUANTIZED (grid durations at bpm) or MODE_RAW (recorded timing)
+     * @param {boolean} polyphonic - Notes may overlap and are placed by their own start times
+     * @return {{items: Array, length: number}} Items of { index, midi, start, end } in seconds and the pass
+     *                                           length; pauses are included with midi -1 so a playhead can follow them
+     */
+    static buildSchedule(notes, bpm, mode = this.MODE_QUANTIZED, polyphonic = false) {
+        if (polyphonic) {
+            const secondsPerBeat = 60 / bpm;
+            const origin = notes.length && Number.isFinite(notes[0].timestamp) ? notes[0].timestamp : 0;
+            const items = notes.map((event, index) => {
+                const raw = mode === this.MODE_RAW;
+                const start = raw ? event.timestamp - origin : event.quantizedStart * secondsPerBeat;
+                const end = raw ? start + event.rawDuration : event.quantizedEnd * secondsPerBeat;
+                return { index, midi: MidiUtils.noteToMidi(event.note), start, end };
+            });
+            return { items, length: items.reduce((length, item) => Math.max(length, item.end), 0) };
+        }
+
+        if (mode === this.MODE_RAW) {
+            const origin = notes.length && Number.isFinite(notes[0].timestamp) ? notes[0].timestamp : 0;
+            const items = [];
+            let cursor = 0;
+            let length = 0;
+            notes.forEach((event, index) => {
+                const start = Number.isFinite(event.timestamp) ? event.timestamp - origin : cursor;
+                const end = start + (event.rawDuration ?? event.duration);
+                cursor = end;
+                length = Math.max(length, end);
+                items.push({ index, midi: MidiUtils.noteToMidi(event.note), start, end });
+            });
+            return { items, length };
+        }
+
+        const secondsPerBeat = 60 / bpm;
+        const timeline = MelodyTimeline.fromMelody(notes, bpm);
+        return {
+            items: timeline
+                .filter(event => event.index !== null)
+                .map(event => ({
+                    index: event.index,
+                    midi: event.midi,
+                    start: event.start * secondsPerBeat,
+                    end: event.end * secondsPerBeat
+                })),
+            length: timeline.length ? timeline[timeline.length - 1].end * secondsPerBeat : 0
+        };
+    }
+
+    /**
+     * Start playing a stored melody, stopping anything already playing
+     * @param {Object} melody - Stored melody ({ bpm, notes })
+     * @param {Object} options - { mode, loop, onEnd }
+     */
+    play(melody, options = {}) {
+        this.stop();
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        this.audioContext.resume();
+
+        // Play back in the tuning the melody was recorded in
+        this.tuning = melody.tuning ? Tuning.fromJSON(melody.tuning) : NoteDetector.tuning;
+        this.schedule = MelodyPlayer.buildSchedule(melody.notes, melody.bpm, options.mode, !!melody.polyphonic);
+        if (this.schedule.length <= 0) return;
+        // Share the volume between the notes of the fullest chord
+        this.voiceVolume = this.volume / Math.sqrt(MelodyPlayer.maxOverlap(this.schedule.items));
+
+        this.loop = !!options.loop;
+        this.onEnd = options.onEnd || null;
+        this.playing = true;
+        this.schedulePass(this.audioContext.currentTime + MelodyPlayer.LOOKAHEAD);
+    }
+
+    // Most notes sounding at once; each chord's fullest moment is at one of its notes' starts
+    static maxOverlap(items) {
+        const notes = items.filter(item => item.midi >= 0);
+        return notes.reduce((max, item) => Math.max(max,
+            notes.filter(other => other.start <= item.start && other.end > item.start).length), 1);
+    }
+
+    schedulePass(startTime) {
+        this.passStartTime = startTime;
+        this.voices = this.voices.filter(voice => voice.endTime > this.audioContext.currentTime);
+        this.schedule.items.forEach(item => {
+            if (item.midi < 0) return;
+            this.voices.push(this.scheduleNote(item.midi, startTime + item.start, startTime + item.end));
+        });
+
+        // Timers only need to be roughly on time; the notes themselves are sample-accurate
+        const passEnd = startTime + this.schedule.length;
+        const msUntil = (time) => Math.max(0, (time - this.audioContext.currentTime) * 1000);
+        if (this.loop) {
+            this.loopTimer = setTimeout(() => this.schedulePass(passEnd), msUntil(passEnd - MelodyPlayer.LOOKAHEAD));
+        } else {
+            this.endTimer = setTimeout(() => this.finish(), msUntil(passEnd));
+        }
+    }
+
+    scheduleNote(midi, startTime, endTime) {
+        const ctx = this.audioContext;
+        const oscillator = ctx.createOscillator();
+        const envelope = ctx.createGain();
+        oscillator.type = this.waveform;
+        oscillator.frequency.value = this.tuning.midiToFrequency(midi);
+
+        // Attack, hold, then release inside the note so repeated notes stay separate
+        const releaseStart = Math.max(startTime + this.attack, endTime - this.release);
+        envelope.gain.setValueAtTime(0, startTime);
+        envelope.gain.linearRampToValueAtTime(this.voiceVolume, startTime + this.attack);
+        envelope.gain.setValueAtTime(this.voiceVolume, releaseStart);
+        envelope.gain.linearRampToValueAtTime(0, endTime);
+
+        oscillator.connect(envelope);
+        envelope.connect(ctx.destination);
+        oscillator.start(startTime);
+        oscillator.stop(endTime + 0.01);
+        return { oscillator, envelope, endTime };
+    }
+
+    /**
+     * Position of the playhead within the current pass
+     * @return {number|null} Seconds from the start of the melody, or null when stopped
+     */
+    getPosition() {
+        if (!this.playing) return null;
+        const elapsed = this.audioContext.currentTime - this.passStartTime;
+        return Math.max(0, Math.min(elapsed, this.schedule.length));
+    }
+
+    isPlaying() {
+        return this.playing;
+    }
+
+    stop() {
+        clearTimeout(this.loopTimer);
+        clearTimeout(this.endTimer);
+        this.loopTimer = null;
+        this.endTimer = null;
+        this.voices.forEach(voice => {
+            try {
+                voice.oscillator.stop();
+            } catch (err) {
+                // Oscillator already stopped
+            }
+            voice.envelope.disconnect();
+        });
+        this.voices = [];
+        this.finish();
+    }
+
+    finish() {
+        if (!this.playing) return;
+        this.playing = false;
+        const onEnd = this.onEnd;
+        this.onEnd = null;
+        if (onEnd) onEnd();
+    }
+}
+
+export { MelodyPlayer };
@@ -0,0 +1,120 @@
+/**
+ * Metronome - Audible click track scheduled on an AudioContext clock
+ *
+ * Clicks are scheduled slightly ahead from a timer so they stay sample-accurate
+ * even when the page is busy. The first `countInBars` bars are a count-in; the
+ * beat after them (downbeatTime) is where the take's beat grid starts.
+ * Clicks are filtered noise bursts rather than tones so the pitch detector
+ * does not mistake them for sung notes.
+ */
+class Metronome {
+    static SCHEDULE_AHEAD = 0.2;  // Seconds of clicks scheduled in advance
+    static TIMER_INTERVAL = 25;   // ms between scheduling passes
+    static CLICK_LENGTH = 0.03;   // seconds
+
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.bpm = options.bpm || 120;
+        this.beatsPerBar = options.beatsPerBar || 4;
+        this.countInBars = options.countInBars ?? 1;
+        this.accentDownbeat = options.accentDownbeat ?? true;
+        this.volume = options.volume || 0.5;
+
+        this.startTime = null;
+        this.nextBeat = 0;
+        this.timer = null;
+        this.clickBuffer = this.createClickBuffer();
+    }
+
+    get beatDuration() {
+        return 60 / this.bpm;
+    }
+
+    /**
+     * Context time (seconds) of the first beat after the count-in
+     */
+    get downbeatTime() {
+        return this.startTime + this.countInBars * this.beatsPerBar * this.beatDuration;
+    }
+
+    /**
+     * Start clicking
+     * @param {number} startTime - Context time of the first count-in beat
+     */
+    start(startTime = this.audioContext.currentTime + 0.1) {
+        this.stop();
+        this.startTime = startTime;
+        this.nextBeat = 0;
+        this.scheduleAhead();
+        this.timer = setInterval(() => this.scheduleAhead(), Metronome.TIMER_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    scheduleAhead() {
+        const horizon = this.audioContext.currentTime + Metronome.SCHEDULE_AHEAD;
+        while (this.startTime + this.nextBeat * this.beatDuration < horizon) {
+            const time = this.startTime + this.nextBeat * this.beatDuration;
+            const isDownbeat = this.nextBeat % this.beatsPerBar === 0;
+            // Clicks that were missed while the timer was throttled are dropped
+            if (time >= this.audioContext.currentTime) {
+                this.scheduleClick(time, isDownbeat && this.accentDownbeat);
+            }
+            this.nextBeat++;
+        }
+    }
+
+    scheduleClick(time, accent) {
+        const ctx = this.audioContext;
+        const source = ctx.createBufferSource();
+        source.buffer = this.clickBuffer;
+
+        // Higher, louder click on the downbeat
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = accent ? 5000 : 3000;
+        filter.Q.value = 2;
+
+        const gain = ctx.createGain();
+        gain.gain.value = accent ? this.volume : this.volume * 0.6;
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(ctx.destination);
+        source.start(time);
+    }
+
+    createClickBuffer() {
+        const length = Math.round(this.audioContext.sampleRate * Metronome.CLICK_LENGTH);
+        const buffer = this.audioContext.createBuffer(1, length, this.audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            // Noise with a fast exponential decay
+            data[i] = (Math.random() * 2 - 1) * Math.exp(-i / (length / 6));
+        }
+        return buffer;
+    }
+
+    /**
+     * Describe the beat sounding at a context time
+     * @param {number} time - Context time in seconds
+     * @return {{beat: number, bar: number, beatInBar: number, countIn: boolean}|null}
+     *         Beat numbers count from the downbeat (negative during the count-in); null before the first click
+     */
+    beatAt(time) {
+        if (this.startTime === null || time < this.startTime) return null;
+        const beatsSinceStart = Math.floor((time - this.startTime) / this.beatDuration);
+        const beat = beatsSinceStart - this.countInBars * this.beatsPerBar;
+        return {
+            beat,
+            bar: Math.floor(beat / this.beatsPerBar),
+            beatInBar: ((beat % this.beatsPerBar) + this.beatsPerBar) % this.beatsPerBar,
+            countIn: beat < 0
+        };
+    }
+}
+
+export { Metronome };
@@ -1,9 +1,28 @@
+import { NoteDetector } from './NoteDetector.js';
+import { Tuning } from './Tuning.js';
+import { ExpressionAnalyzer } from '../analysis/ExpressionAnalyzer.js';
+
 /**
- * MidiUtils - Utility class for MIDI file creation
+ * MidiUtils - Utility class for MIDI file creation and import
  */
 class MidiUtils {
     // Add static constants at the top of the class
     static TICKS_PER_QUARTER = 480; // Standard MIDI resolution
+    static NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    static DEFAULT_TEMPO = 500000; // Microseconds per quarter note (120 BPM) until a tempo event says otherwise
+    static DRUM_CHANNEL = 9;       // General MIDI percussion (channel 10), never taken as the melody
+    static MIN_PAUSE_BEATS = 1 / 16; // Gaps shorter than this are not turned into Pause events
+    static PITCH_BEND_CENTER = 8192;
+    static DEFAULT_BEND_RANGE = 2;   // Semitones either way, set with the pitch-bend-range RPN
+    static MAX_BEND_RATE = 50;       // Pitch-bend events per second at most
+    static MIN_BEND_CHANGE = 3;      // Cents a bend has to move before another event is written
+    static DEFAULT_VELOCITY = 80;    // Used when no curve is chosen or a note has no level
+    static VELOCITY_CURVES = { linear: 1, soft: 0.6, hard: 1.6 }; // Exponents applied to the normalised level
+    static LEVEL_RANGE_DB = [-60, -6]; // RMS levels mapped onto the quietest and loudest velocity
+    static EXPRESSION_RANGE_DB = 30; // CC11 spans this many dB below a note's peak
+    static MIN_EXPRESSION_NOTE = 0.5; // Seconds a note has to last to get expression events
+    static MIN_EXPRESSION_CHANGE = 2; // CC11 steps between written events
+    static FULL_MODULATION_CENTS = 100; // Vibrato extent written as full modulation (CC1)
 
     /**
      * Convert note name to MIDI note number
@@ -16,8 +35,8 @@ class MidiUtils {
         const notes = { "C": 0, "C#": 1, "D": 2, "D#": 3, "E": 4, "F": 5, 
                         "F#": 6, "G": 7, "G#": 8, "A": 9, "A#": 10, "B": 11 };
                         
-        // Parse note and octave
-        const match = noteName.match(/^([A-G]#?)(\d)$/);
+        // Parse note and octave; MIDI notes 0-11 are in octave -1
+        const match = noteName.match(/^([A-G]#?)(-?\d)$/);
         if (!match) return -1;
         
         const note = match[1];
@@ -27,17 +46,46 @@ class MidiUtils {
         return notes[note] + (octave + 1) * 12;
     }
     
+    /**
+     * Convert MIDI note number to note name
+     * @param {number} midi - MIDI note number
+     * @return {string} Note name (e.g., "C4", "F#5")
+     */
+    static midiToNote(midi) {
+        return `${this.NOTE_NAMES[midi % 12]}${Math.floor(midi / 12) - 1}`;
+    }
+    
     /**
      * Converts a melody array to MIDI file data
      * @param {Array} melody - Array of note objects with note, duration
      * @param {number} bpm - Beats per minute
+     * @param {Object} key - Optional key ({ fifths, mode }) written as a key signature
+     * @param {Object} options - { expressive, pitchBendRange, tuning, velocityCurve, expressionEvents, ornaments, polyphonic, program };
+     *                           expressive export turns each note's pitchTrack into pitch-bend
+     *                           events measured from each note's pitch in tuning (the melody's stored
+     *                           tuning; the current one if left out), velocityCurve ('linear' | 'soft' |
+     *                           'hard') maps each note's averageDb to a velocity and expressionEvents adds CC11 inside long notes.
+     *                           ornaments marks each note's analysed vibrato and onset glide with a
+     *                           text event and, unless pitch bends already carry it, turns vibrato
+     *                           into modulation (CC1) scaled by its extent.
+     *                           polyphonic places notes at their quantizedStart/quantizedEnd so they
+     *                           can overlap; bends, expression and ornaments are left out there, as they would
+     *                           apply to every sounding note on the channel. program is the 0-based
+     *                           General MIDI instrument (default 0, piano)
      * @return {Uint8Array} MIDI file data
      */
-    static melodyToMidi(melody, bpm = 120) {
+    static melodyToMidi(melody, bpm = 120, key = null, options = {}) {
         // MIDI file constants
         const FORMAT_TYPE = 0;      // Single track format
         const TRACK_COUNT = 1;      // One track
-        const DEFAULT_VELOCITY = 80; // Medium velocity for notes
+        
+        // Simultaneous notes are placed on the beat grid rather than one after another
+        if (options.polyphonic) {
+            melody = melody
+                .filter(noteObj => Number.isFinite(noteObj.quantizedStart) && Number.isFinite(noteObj.quantizedEnd))
+                .sort((a, b) => a.quantizedStart - b.quantizedStart);
+            options = { ...options, expressive: false, expressionEvents: false, ornaments: false };
+        }
         
         // Calculate microseconds per quarter note from BPM
         const microsecondsPerQuarter = Math.round(60000000 / bpm);
@@ -65,35 +113,114 @@ class MidiUtils {
             ]
         });
         
-        // Add instrument program change (GM Acoustic Grand Piano)
+        // Add key signature meta event (sharps/flats as a signed byte, 0 = major, 1 = minor)
+        if (key) {
+            trackEvents.push({
+                deltaTime: 0,
+                eventData: [0xFF, 0x59, 0x02, key.fifths & 0xFF, key.mode === 'minor' ? 1 : 0]
+            });
+        }
+        
+        // Add instrument program change (GM Acoustic Grand Piano unless the options name another)
         trackEvents.push({
             deltaTime: 0,
-            eventData: [0xC0, 0x00]  // Program change to instrument 0 (piano)
+            eventData: [0xC0, (options.program || 0) & 0x7F]  // Program change, channel 0
         });
         
+        // Set the pitch bend range (RPN 0) so bends mean the same on every synth
+        const bendRange = options.pitchBendRange || this.DEFAULT_BEND_RANGE;
+        const tuning = options.tuning ? Tuning.fromJSON(options.tuning) : NoteDetector.tuning;
+        if (options.expressive) {
+            [
+                [0x65, 0x00], [0x64, 0x00],  // Select RPN 0,0 (pitch bend sensitivity)
+                [0x06, bendRange], [0x26, 0x00],  // Data entry: semitones, cents
+                [0x65, 0x7F], [0x64, 0x7F]   // Deselect RPN
+            ].forEach(([controller, value]) => {
+                trackEvents.push({ deltaTime: 0, eventData: [0xB0, controller, value] });
+            });
+        }
+        
         // Process each note in the melody
         let currentTick = 0;
         let allEvents = [];
         
         melody.forEach(noteObj => {
+            if (options.polyphonic) {
+                currentTick = Math.round(noteObj.quantizedStart * this.TICKS_PER_QUARTER);
+            }
+            
             // Convert duration from seconds to ticks
-            const durationInTicks = Math.round(noteObj.duration * (bpm / 60) * this.TICKS_PER_QUARTER);
+            const durationInTicks = options.polyphonic
+                ? Math.round(noteObj.quantizedEnd * this.TICKS_PER_QUARTER) - currentTick
+                : Math.round(noteObj.duration * (bpm / 60) * this.TICKS_PER_QUARTER);
             
             if (noteObj.note !== "Pause") {
                 // Convert note name to MIDI note number
                 const midiNote = this.noteToMidi(noteObj.note);
                 if (midiNote >= 0) {  // Skip invalid notes
+                    const bends = options.expressive
+                        ? this.pitchTrackToBends(noteObj, midiNote, currentTick, durationInTicks, bpm, bendRange, tuning)
+                        : [];
+                    
+                    // Bend to the first detected pitch before the note sounds
+                    if (bends.length && bends[0].tick === currentTick) {
+                        allEvents.push(bends.shift());
+                    }
+                    
+                    const expression = options.expressionEvents
+                        ? this.levelTrackToExpression(noteObj, currentTick, durationInTicks, bpm)
+                        : [];
+                    if (expression.length && expression[0].tick === currentTick) {
+                        allEvents.push(expression.shift());
+                    }
+                    
+                    const ornaments = options.ornaments ? ExpressionAnalyzer.ornaments(noteObj.expression) : [];
+                    if (ornaments.length) {
+                        allEvents.push({ tick: currentTick, eventData: this.textEvent(ornaments.join(' ')) });
+                    }
+                    const modulation = ornaments.includes('vibrato') && !options.expressive
+                        ? Math.min(127, Math.round(noteObj.expression.vibrato.extent / this.FULL_MODULATION_CENTS * 127))
+                        : 0;
+                    if (modulation) {
+                        allEvents.push({ tick: currentTick, eventData: [0xB0, 0x01, modulation] });
+                    }
+                    
                     // Add note-on event
                     allEvents.push({
                         tick: currentTick,
-                        eventData: [0x90, midiNote, DEFAULT_VELOCITY]  // Note on, channel 0
+                        eventData: [0x90, midiNote, this.levelToVelocity(noteObj.averageDb, options.velocityCurve)]  // Note on, channel 0
                     });
+                    allEvents.push(...bends, ...expression);
                     
                     // Add note-off event
                     allEvents.push({
                         tick: currentTick + durationInTicks,
                         eventData: [0x80, midiNote, 0x00]  // Note off, channel 0
                     });
+                    
+                    // Recenter so the next note starts unbent
+                    if (options.expressive) {
+                        allEvents.push({
+                            tick: currentTick + durationInTicks,
+                            eventData: this.pitchBendEvent(this.PITCH_BEND_CENTER)
+                        });
+                    }
+                    
+                    // Restore full expression for the next note
+                    if (expression.length) {
+                        allEvents.push({
+                            tick: currentTick + durationInTicks,
+                            eventData: [0xB0, 0x0B, 0x7F]
+                        });
+                    }
+                    
+                    // Stop the vibrato before the next note
+                    if (modulation) {
+                        allEvents.push({
+                            tick: currentTick + durationInTicks,
+                            eventData: [0xB0, 0x01, 0x00]
+                        });
+                    }
                 }
             }
             
@@ -101,7 +228,7 @@ class MidiUtils {
             currentTick += durationInTicks;
         });
         
-        // Sort all events by tick
+        // Sort all events by tick (stable, so same-tick events keep their order)
         allEvents.sort((a, b) => a.tick - b.tick);
         
         // Convert absolute ticks to delta times
@@ -150,6 +277,132 @@ class MidiUtils {
         return midiData;
     }
     
+    /**
+     * Turn a note's pitch track into thinned pitch-bend events relative to its MIDI note
+     * @param {Object} noteObj - Melody event with pitchTrack ([seconds since note start, Hz] pairs)
+     * @param {number} midiNote - MIDI note the bends are relative to
+     * @param {number} startTick - Tick of the note-on
+     * @param {number} durationInTicks - Written length of the note
+     * @param {number} bpm - Beats per minute
+     * @param {number} bendRange - Pitch bend range in semitones
+     * @param {Tuning} tuning - Tuning the note was named in
+     * @return {Array} Events of { tick, eventData }
+     */
+    static pitchTrackToBends(noteObj, midiNote, startTick, durationInTicks, bpm, bendRange, tuning = NoteDetector.tuning) {
+        const track = noteObj.pitchTrack;
+        if (!Array.isArray(track) || track.length === 0 || durationInTicks <= 0) return [];
+        
+        // The recorded timing is stretched onto the (quantized) written length
+        const sungDuration = noteObj.rawDuration || noteObj.duration || track[track.length - 1][0] || 1;
+        const ticksPerSecond = durationInTicks / sungDuration;
+        const minTickGap = Math.max(1, Math.round(bpm / 60 * this.TICKS_PER_QUARTER / this.MAX_BEND_RATE));
+        const targetFrequency = tuning.midiToFrequency(midiNote);
+        
+        const bends = [];
+        let lastTick = -Infinity;
+        let lastCents = null;
+        track.forEach(([seconds, frequency]) => {
+            const tick = startTick + Math.min(durationInTicks - 1, Math.round(seconds * ticksPerSecond));
+            const cents = 1200 * Math.log2(frequency / targetFrequency);
+            if (tick - lastTick < minTickGap) return;
+            if (lastCents !== null && Math.abs(cents - lastCents) < this.MIN_BEND_CHANGE) return;
+            
+            const value = this.PITCH_BEND_CENTER + Math.round(cents / (bendRange * 100) * this.PITCH_BEND_CENTER);
+            bends.push({ tick, eventData: this.pitchBendEvent(value) });
+            lastTick = tick;
+            lastCents = cents;
+        });
+        return bends;
+    }
+    
+    /**
+     * Turn the level column of a long note's pitch track into thinned CC11 expression events
+     * @param {Object} noteObj - Melody event with pitchTrack ([seconds, Hz, dB] entries) and peakDb
+     * @param {number} startTick - Tick of the note-on
+     * @param {number} durationInTicks - Written length of the note
+     * @param {number} bpm - Beats per minute
+     * @return {Array} Events of { tick, eventData }
+     */
+    static levelTrackToExpression(noteObj, startTick, durationInTicks, bpm) {
+        const track = noteObj.pitchTrack;
+        const sungDuration = noteObj.rawDuration || noteObj.duration || 0;
+        if (!Array.isArray(track) || !Number.isFinite(noteObj.peakDb) || durationInTicks <= 0) return [];
+        if (sungDuration < this.MIN_EXPRESSION_NOTE) return [];
+        
+        const ticksPerSecond = durationInTicks / sungDuration;
+        const minTickGap = Math.max(1, Math.round(bpm / 60 * this.TICKS_PER_QUARTER / this.MAX_BEND_RATE));
+        
+        const events = [];
+        let lastTick = -Infinity;
+        let lastValue = null;
+        track.forEach(([seconds, , level]) => {
+            if (!Number.isFinite(level)) return;
+            const tick = startTick + Math.min(durationInTicks - 1, Math.round(seconds * ticksPerSecond));
+            const unit = Math.max(0, 1 + (level - noteObj.peakDb) / this.EXPRESSION_RANGE_DB);
+            const value = Math.round(unit * 127);
+            if (tick - lastTick < minTickGap) return;
+            if (lastValue !== null && Math.abs(value - lastValue) < this.MIN_EXPRESSION_CHANGE) return;
+            
+            events.push({ tick, eventData: [0xB0, 0x0B, value] });
+            lastTick = tick;
+            lastValue = value;
+        });
+        return events;
+    }
+    
+    /**
+     * Position of an RMS level within LEVEL_RANGE_DB
+     * @param {number} db - Level in dB
+     * @return {number} 0 (quietest) to 1 (loudest)
+     */
+    static levelToUnit(db) {
+        const [minDb, maxDb] = this.LEVEL_RANGE_DB;
+        return Math.max(0, Math.min(1, (db - minDb) / (maxDb - minDb)));
+    }
+    
+    /**
+     * Map a note's level to a MIDI velocity through one of VELOCITY_CURVES
+     * @param {number} db - Average level of the note in dB
+     * @param {string} curve - Curve name; anything else gives DEFAULT_VELOCITY
+     * @return {number} Velocity (1-127)
+     */
+    static levelToVelocity(db, curve) {
+        const exponent = this.VELOCITY_CURVES[curve];
+        if (!exponent || !Number.isFinite(db)) return this.DEFAULT_VELOCITY;
+        return 1 + Math.round(Math.pow(this.levelToUnit(db), exponent) * 126);
+    }
+    
+    /**
+     * Level that the linear curve maps to a velocity, so imported notes keep their dynamics
+     * @param {number} velocity - MIDI velocity (1-127)
+     * @return {number} Level in dB
+     */
+    static velocityToLevel(velocity) {
+        const [minDb, maxDb] = this.LEVEL_RANGE_DB;
+        const unit = (Math.max(1, Math.min(127, velocity)) - 1) / 126;
+        return Math.round((minDb + unit * (maxDb - minDb)) * 10) / 10;
+    }
+    
+    /**
+     * Pitch-bend event on channel 0
+     * @param {number} value - 14-bit bend value (8192 = no bend)
+     * @return {Array} Event bytes
+     */
+    static pitchBendEvent(value) {
+        const clamped = Math.max(0, Math.min(16383, value));
+        return [0xE0, clamped & 0x7F, (clamped >> 7) & 0x7F];
+    }
+    
+    /**
+     * Text meta event
+     * @param {string} text - ASCII text
+     * @return {Array} Event bytes
+     */
+    static textEvent(text) {
+        const bytes = Array.from(text, character => character.charCodeAt(0) & 0x7F);
+        return [0xFF, 0x01, ...this.encodeVariableLengthQuantity(bytes.length), ...bytes];
+    }
+    
     /**
      * Encode a number as MIDI variable-length quantity
      * @param {number} value - The number to encode
@@ -171,6 +424,250 @@ class MidiUtils {
         
         return buffer;
     }
+    
+    /**
+     * Decode a MIDI variable-length quantity
+     * @param {Uint8Array} data - Byte array to read from
+     * @param {number} offset - Position of the first byte
+     * @return {{value: number, length: number}} Decoded value and number of bytes consumed
+     */
+    static decodeVariableLengthQuantity(data, offset) {
+        let value = 0;
+        let length = 0;
+        let byte;
+        
+        do {
+            if (offset + length >= data.length || length >= 4) {
+                throw new Error("Malformed variable-length quantity");
+            }
+            byte = data[offset + length++];
+            value = (value << 7) | (byte & 0x7F);
+        } while (byte & 0x80);
+        
+        return { value, length };
+    }
+    
+    /**
+     * Parse a Standard MIDI File (format 0 or 1)
+     * @param {Uint8Array|ArrayBuffer} input - MIDI file data
+     * @return {Object} { format, ticksPerQuarter, tracks } where each track is an
+     *                  array of { tick, type, ... } events with absolute ticks
+     */
+    static parseMidi(input) {
+        const data = input instanceof Uint8Array ? input : new Uint8Array(input);
+        const readUint32 = (pos) => ((data[pos] << 24) | (data[pos + 1] << 16) | (data[pos + 2] << 8) | data[pos + 3]) >>> 0;
+        const readUint16 = (pos) => (data[pos] << 8) | data[pos + 1];
+        const readChunkId = (pos) => String.fromCharCode(data[pos], data[pos + 1], data[pos + 2], data[pos + 3]);
+        
+        if (data.length < 14 || readChunkId(0) !== 'MThd') {
+            throw new Error("Not a Standard MIDI File");
+        }
+        
+        const headerLength = readUint32(4);
+        const format = readUint16(8);
+        const trackCount = readUint16(10);
+        const division = readUint16(12);
+        
+        if (format > 1) {
+            throw new Error(`Unsupported MIDI format ${format}`);
+        }
+        if (division & 0x8000) {
+            throw new Error("SMPTE time division is not supported");
+        }
+        
+        const tracks = [];
+        let pos = 8 + headerLength;
+        while (tracks.length < trackCount && pos + 8 <= data.length) {
+            const chunkId = readChunkId(pos);
+            const chunkLength = readUint32(pos + 4);
+            const chunkStart = pos + 8;
+            const chunkEnd = Math.min(chunkStart + chunkLength, data.length);
+            
+            // Skip unknown chunks as the spec requires
+            if (chunkId === 'MTrk') {
+                tracks.push(this.parseTrack(data, chunkStart, chunkEnd));
+            }
+            pos = chunkStart + chunkLength;
+        }
+        
+        return { format, ticksPerQuarter: division, tracks };
+    }
+    
+    /**
+     * Parse the events of one MTrk chunk
+     * @param {Uint8Array} data - MIDI file data
+     * @param {number} start - First byte of the track data
+     * @param {number} end - Byte after the track data
+     * @return {Array} Events with absolute ticks
+     */
+    static parseTrack(data, start, end) {
+        const events = [];
+        let pos = start;
+        let tick = 0;
+        let runningStatus = null;
+        
+        while (pos < end) {
+            const delta = this.decodeVariableLengthQuantity(data, pos);
+            pos += delta.length;
+            tick += delta.value;
+            
+            let status = data[pos];
+            if (status & 0x80) {
+                pos++;
+            } else if (runningStatus !== null) {
+                // Running status: reuse the previous channel status byte
+                status = runningStatus;
+            } else {
+                throw new Error("Data byte without status byte");
+            }
+            
+            if (status === 0xFF) {
+                // Meta event
+                const metaType = data[pos++];
+                const length = this.decodeVariableLengthQuantity(data, pos);
+                pos += length.length;
+                const payload = data.subarray(pos, pos + length.value);
+                pos += length.value;
+                
+                if (metaType === 0x51 && payload.length === 3) {
+                    events.push({ tick, type: 'tempo', microsecondsPerQuarter: (payload[0] << 16) | (payload[1] << 8) | payload[2] });
+                } else if (metaType === 0x59 && payload.length === 2) {
+                    events.push({ tick, type: 'keySignature', fifths: (payload[0] << 24) >> 24, mode: payload[1] ? 'minor' : 'major' });
+                } else if (metaType === 0x2F) {
+                    events.push({ tick, type: 'endOfTrack' });
+                    break;
+                } else {
+                    events.push({ tick, type: 'meta', metaType, data: payload });
+                }
+            } else if (status === 0xF0 || status === 0xF7) {
+                // SysEx events carry their own length and cancel running status
+                const length = this.decodeVariableLengthQuantity(data, pos);
+                pos += length.length + length.value;
+                runningStatus = null;
+            } else {
+                runningStatus = status;
+                const command = status & 0xF0;
+                const channel = status & 0x0F;
+                const dataLength = (command === 0xC0 || command === 0xD0) ? 1 : 2;
+                const data1 = data[pos];
+                const data2 = dataLength === 2 ? data[pos + 1] : 0;
+                pos += dataLength;
+                
+                if (command === 0x90 && data2 > 0) {
+                    events.push({ tick, type: 'noteOn', channel, note: data1, velocity: data2 });
+                } else if (command === 0x80 || command === 0x90) {
+                    // Note-on with velocity 0 is a note-off
+                    events.push({ tick, type: 'noteOff', channel, note: data1 });
+                } else if (command === 0xC0) {
+                    events.push({ tick, type: 'programChange', channel, program: data1 });
+                } else if (command === 0xE0) {
+                    events.push({ tick, type: 'pitchBend', channel, value: data1 | (data2 << 7) });
+                }
+            }
+        }
+        
+        return events;
+    }
+    
+    /**
+     * Convert a Standard MIDI File into the stored melody format
+     * @param {Uint8Array|ArrayBuffer} input - MIDI file data
+     * @return {Object} { bpm, totalDuration, notes } with Pause events between notes, plus
+     *                  keySignature ({ fifths, mode }) when the file has one
+     */
+    static midiToMelody(input) {
+        const { ticksPerQuarter, tracks } = this.parseMidi(input);
+        
+        // Tempo changes may live on any track (track 0 in format 1)
+        const tempoMap = tracks.flat()
+            .filter(event => event.type === 'tempo')
+            .sort((a, b) => a.tick - b.tick);
+        if (tempoMap.length === 0 || tempoMap[0].tick > 0) {
+            tempoMap.unshift({ tick: 0, microsecondsPerQuarter: this.DEFAULT_TEMPO });
+        }
+        
+        const tickToSeconds = (tick) => {
+            let seconds = 0;
+            for (let i = 0; i < tempoMap.length && tempoMap[i].tick < tick; i++) {
+                const segmentEnd = i + 1 < tempoMap.length ? Math.min(tempoMap[i + 1].tick, tick) : tick;
+                seconds += (segmentEnd - tempoMap[i].tick) / ticksPerQuarter * tempoMap[i].microsecondsPerQuarter / 1000000;
+            }
+            return seconds;
+        };
+        
+        // Use the track with the most notes as the melody; channel 10 (9 counted from 0) is drums
+        const melodyTrack = tracks
+            .map(track => track.filter(event => (event.type === 'noteOn' || event.type === 'noteOff') && event.channel !== this.DRUM_CHANNEL))
+            .reduce((best, track) => (track.length > best.length ? track : best), []);
+        
+        // Pair note-ons with their note-offs
+        const spans = [];
+        const openNotes = new Map();
+        melodyTrack.forEach(event => {
+            const key = `${event.channel}:${event.note}`;
+            if (event.type === 'noteOn') {
+                if (openNotes.has(key)) {
+                    spans.push({ ...openNotes.get(key), endTick: event.tick });
+                }
+                openNotes.set(key, { midi: event.note, velocity: event.velocity, startTick: event.tick });
+            } else if (openNotes.has(key)) {
+                spans.push({ ...openNotes.get(key), endTick: event.tick });
+                openNotes.delete(key);
+            }
+        });
+        
+        // The melody is monophonic: a note that overlaps the next one is cut short
+        spans.sort((a, b) => a.startTick - b.startTick);
+        for (let i = 0; i < spans.length - 1; i++) {
+            spans[i].endTick = Math.min(spans[i].endTick, spans[i + 1].startTick);
+        }
+        
+        const notes = [];
+        let previousEndTick = spans.length ? spans[0].startTick : 0;
+        spans.forEach(span => {
+            if (span.endTick <= span.startTick) return;
+            
+            if ((span.startTick - previousEndTick) / ticksPerQuarter >= this.MIN_PAUSE_BEATS) {
+                notes.push(this.createMelodyEvent("Pause", previousEndTick, span.startTick, ticksPerQuarter, tickToSeconds));
+            }
+            
+            const event = this.createMelodyEvent(this.midiToNote(span.midi), span.startTick, span.endTick, ticksPerQuarter, tickToSeconds);
+            event.frequency = NoteDetector.midiToFrequency(span.midi);
+            event.averageDb = event.peakDb = this.velocityToLevel(span.velocity);
+            notes.push(event);
+            previousEndTick = span.endTick;
+        });
+        
+        const melody = {
+            bpm: Math.round(60000000 / tempoMap[0].microsecondsPerQuarter),
+            totalDuration: notes.reduce((sum, n) => sum + n.duration, 0),
+            notes
+        };
+        
+        const keySignature = tracks.flat().find(event => event.type === 'keySignature');
+        if (keySignature) {
+            melody.keySignature = { fifths: keySignature.fifths, mode: keySignature.mode };
+        }
+        
+        return melody;
+    }
+    
+    /**
+     * Build a melody event between two ticks, in the shape recording produces
+     * @return {Object} { note, rawDuration, duration, quantizedStart, quantizedEnd, timestamp }
+     */
+    static createMelodyEvent(note, startTick, endTick, ticksPerQuarter, tickToSeconds) {
+        const start = tickToSeconds(startTick);
+        const duration = tickToSeconds(endTick) - start;
+        return {
+            note,
+            rawDuration: duration,
+            duration,
+            quantizedStart: startTick / ticksPerQuarter,
+            quantizedEnd: endTick / ticksPerQuarter,
+            timestamp: start
+        };
+    }
 }
 
 export { MidiUtils };
@@ -1,5 +1,18 @@
+import { Tuning } from './Tuning.js';
+
 class NoteDetector {
+    // Tuning used for every frequency/note conversion; A4 = 440 Hz equal temperament by default
+    static tuning = new Tuning();
+
+    static setTuning(tuning) {
+        this.tuning = tuning;
+    }
+
+    /**
+     * @param {Object} options - { bufferSize, minDuration, tuning (to name notes in; the current one by default) }
+     */
     constructor(options = {}) {
+        this.tuning = options.tuning || NoteDetector.tuning;
         this.noteBuffer = [];
         this.bufferSize = options.bufferSize || 5;
         this.minDuration = options.minDuration || 0.1; // minimum note duration in seconds
@@ -12,19 +25,19 @@ class NoteDetector {
         this.vibratoCents = 50; // maximum cents deviation for vibrato detection
     }
 
-    // Convert frequency to MIDI note number
-    static frequencyToMIDI(frequency) {
-        return Math.round(12 * Math.log2(frequency / 440) + 69);
+    // Convert frequency to MIDI note number, in the current tuning unless another is given
+    static frequencyToMIDI(frequency, tuning = this.tuning) {
+        return tuning.frequencyToMidi(frequency);
     }
 
     // Convert MIDI note to frequency
-    static midiToFrequency(midi) {
-        return 440 * Math.pow(2, (midi - 69) / 12);
+    static midiToFrequency(midi, tuning = this.tuning) {
+        return tuning.midiToFrequency(midi);
     }
 
     // Calculate cents deviation from perfect pitch
-    static getCentsDeviation(frequency, midiNote) {
-        const perfectFreq = this.midiToFrequency(midiNote);
+    static getCentsDeviation(frequency, midiNote, tuning = this.tuning) {
+        const perfectFreq = this.midiToFrequency(midiNote, tuning);
         return 1200 * Math.log2(frequency / perfectFreq);
     }
 
@@ -43,7 +56,7 @@ class NoteDetector {
 
         // Convert frequencies to MIDI notes
         const midiNotes = this.frequencyBuffer.map(f => ({
-            midi: NoteDetector.frequencyToMIDI(f.frequency),
+            midi: NoteDetector.frequencyToMIDI(f.frequency, this.tuning),
             timestamp: f.timestamp
         }));
 
@@ -66,7 +79,7 @@ class NoteDetector {
         // Check for vibrato by analyzing frequency variation
         const avgFreq = this.frequencyBuffer.reduce((sum, f) => sum + f.frequency, 0) / this.bufferSize;
         const maxDeviation = Math.max(...this.frequencyBuffer.map(f => 
-            Math.abs(NoteDetector.getCentsDeviation(f.frequency, dominantNote))
+            Math.abs(NoteDetector.getCentsDeviation(f.frequency, dominantNote, this.tuning))
         ));
 
         // If we detect vibrato, keep the previous note
@@ -0,0 +1,291 @@
+import { NoteDetector } from './NoteDetector.js';
+import { MidiUtils } from './MidiUtils.js';
+import { KeyDetector } from '../analysis/KeyDetector.js';
+import { ExpressionAnalyzer } from '../analysis/ExpressionAnalyzer.js';
+
+/**
+ * NoteSegmenter - Turns a stream of pitch frames into melody events
+ *
+ * Frames arrive with a time in ms (any clock, as long as it is consistent
+ * within a take). Stable pitches within tolerance become notes quantized to
+ * the beat grid; unvoiced or out-of-tune frames end the sounding note and
+ * start a pause. The grid starts at the first note unless a downbeat is set.
+ * Each note is annotated with its vibrato, onset glide and drift; the voiced
+ * frames just before a note count towards its glide, even where they were
+ * too far out of tune to be a note themselves.
+ * Has no DOM or timer dependencies, so it runs in the page and under Node.
+ */
+class NoteSegmenter {
+    static DEFAULT_TOLERANCE = 35;   // cents
+    static MIN_PAUSE_DURATION = 0.1; // seconds; shorter pauses left open at the end of a take are dropped
+    static MIN_MIDI = 40;            // E2, lowest note of the default vocal range
+    static MAX_MIDI = 84;            // C6, highest note of the default vocal range
+    static LEAD_IN_SECONDS = 0.3;    // Voiced frames this far before a note are kept for its onset glide
+
+    /**
+     * @param {Object} options - { bpm, tolerance (cents), quantization (4 = quarter ... 16 = sixteenth),
+     *                           key (snap pitches to this key's scale), minMidi, maxMidi,
+     *                           tuning (to name notes in; the current one when the segmenter is made) }
+     */
+    constructor(options = {}) {
+        this.bpm = options.bpm || 120;
+        this.tolerance = options.tolerance || NoteSegmenter.DEFAULT_TOLERANCE;
+        this.quantization = options.quantization || 16;
+        this.key = options.key || null;
+        this.minMidi = options.minMidi ?? NoteSegmenter.MIN_MIDI;
+        this.maxMidi = options.maxMidi ?? NoteSegmenter.MAX_MIDI;
+        this.tuning = options.tuning || NoteDetector.tuning;
+        this.noteDetector = new NoteDetector({
+            bufferSize: 5,
+            minDuration: 0.1,
+            tuning: this.tuning
+        });
+        this.reset();
+    }
+
+    reset() {
+        this.melody = [];
+        this.lastDetectedNote = null;
+        this.lastDetectedFrequency = null;
+        this.lastNoteStartTime = null;
+        this.recordingStartTime = null;
+        this.beatStartTime = null;
+        this.downbeatTime = null;
+        this.pauseStartTime = null;
+        this.lastEventTime = null;
+        this.lastFrameTime = null;
+        this.lastFrameLevel = null;
+        this.currentPitchTrack = [];
+        this.currentLeadIn = [];
+        this.recentFrames = [];
+        this.noteDetector.reset();
+    }
+
+    /**
+     * Lock the beat grid to a known downbeat (e.g. a metronome's first beat);
+     * frames before it are ignored
+     * @param {number} time - Downbeat time in ms on the frame clock
+     */
+    setDownbeat(time) {
+        this.downbeatTime = time;
+        this.beatStartTime = time;
+        this.recordingStartTime = time;
+    }
+
+    /**
+     * Feed one analysed frame
+     * @param {number|null} pitch - Detected frequency in Hz, or null when unvoiced
+     * @param {number} now - Frame time in ms
+     * @param {number} level - Frame RMS level in dB
+     * @return {Object|null} null when the frame was ignored (before the downbeat), otherwise
+     *                       { noteInfo } with the accepted pitch or noteInfo null
+     */
+    processFrame(pitch, now, level) {
+        if (this.downbeatTime !== null && now < this.downbeatTime) return null;
+
+        this.lastFrameTime = now;
+        this.lastFrameLevel = level;
+        this.rememberFrame(pitch, now);
+        if (pitch !== null && !isNaN(pitch) && pitch > 0) {
+            const noteInfo = NoteSegmenter.noteInfo(pitch, this);
+            if (noteInfo && Math.abs(noteInfo.deviation) <= this.tolerance) {
+                this.processValidPitch(noteInfo, now);
+                return { noteInfo };
+            }
+        }
+        // No pitch, out of range or too far out of tune
+        this.processNoPitch(now);
+        return { noteInfo: null };
+    }
+
+    /**
+     * The note still sounding, which is not in the melody until it ends
+     * @return {Array} { midi, startTime (ms) }; empty during a pause
+     */
+    sounding() {
+        if (this.lastDetectedNote === null) return [];
+        return [{ midi: MidiUtils.noteToMidi(this.lastDetectedNote), startTime: this.lastNoteStartTime }];
+    }
+
+    /**
+     * Close the note or pause still open and return the take
+     * @param {number} now - End time in ms; defaults to the last frame's time
+     * @return {Array} Melody events sorted by timestamp; the final note has no quantized fields
+     */
+    finish(now = this.lastFrameTime) {
+        if (this.lastDetectedNote !== null) {
+            const noteDuration = (now - this.lastNoteStartTime) / 1000;
+            this.melody.push({
+                note: this.lastDetectedNote,
+                duration: noteDuration,
+                timestamp: (this.lastNoteStartTime - this.recordingStartTime) / 1000,
+                frequency: this.lastDetectedFrequency,
+                pitchTrack: this.currentPitchTrack,
+                ...NoteSegmenter.getTrackDynamics(this.currentPitchTrack),
+                expression: ExpressionAnalyzer.analyze(this.currentPitchTrack, this.currentLeadIn)
+            });
+        } else if (this.pauseStartTime !== null) {
+            const pauseDuration = (now - this.pauseStartTime) / 1000;
+            if (pauseDuration >= NoteSegmenter.MIN_PAUSE_DURATION) {
+                this.melody.push({
+                    note: "Pause",
+                    duration: pauseDuration,
+                    timestamp: (this.pauseStartTime - this.recordingStartTime) / 1000
+                });
+            }
+        }
+        // Sort melody events by timestamp
+        this.melody.sort((a, b) => a.timestamp - b.timestamp);
+        return this.melody;
+    }
+
+    /**
+     * Name the note of a frequency, snapped to the key's scale if one is set.
+     * The deviation is always from the nearest semitone, so tolerance still
+     * measures how in tune the pitch was.
+     * @param {number} frequency - Frequency in Hz
+     * @param {Object} range - { key, minMidi, maxMidi, tuning }
+     * @return {Object|null} { note, midi, frequency, deviation } or null outside the note range
+     */
+    static noteInfo(frequency, { key = null, minMidi = this.MIN_MIDI, maxMidi = this.MAX_MIDI, tuning = NoteDetector.tuning } = {}) {
+        const nearestMidi = NoteDetector.frequencyToMIDI(frequency, tuning);
+        const deviation = NoteDetector.getCentsDeviation(frequency, nearestMidi, tuning);
+        const midiNote = key ? KeyDetector.snapMidi(frequency, key, KeyDetector.SNAP_THRESHOLD_CENTS, tuning) : nearestMidi;
+
+        if (midiNote < minMidi || midiNote > maxMidi) {
+            return null;
+        }
+
+        return {
+            note: MidiUtils.midiToNote(midiNote),
+            midi: midiNote,
+            frequency,
+            deviation
+        };
+    }
+
+    // Round a beat position to the quantization grid
+    quantize(beats) {
+        return Math.round(beats * this.quantization / 4) * (4 / this.quantization);
+    }
+
+    // End the sounding note (if it lasted long enough) and start a pause
+    processNoPitch(now) {
+        if (this.lastEventTime && !this.pauseStartTime) {
+            if (this.lastDetectedNote !== null) {
+                const rawDuration = (now - this.lastNoteStartTime) / 1000;
+                if (rawDuration >= this.noteDetector.minDuration) {
+                    const beatDuration = 60 / this.bpm;
+                    const startBeat = (this.lastNoteStartTime - this.beatStartTime) / 1000 / beatDuration;
+                    const endBeat = (now - this.beatStartTime) / 1000 / beatDuration;
+
+                    const quantizedStart = this.quantize(startBeat);
+                    const quantizedEnd = this.quantize(endBeat);
+
+                    this.pushNote(rawDuration, (quantizedEnd - quantizedStart) * beatDuration, quantizedStart, quantizedEnd);
+                }
+            }
+            this.pauseStartTime = now;
+            this.lastDetectedNote = null;
+            this.lastDetectedFrequency = null;
+            this.currentPitchTrack = [];
+        }
+    }
+
+    // Extend the sounding note, or end it and start a new one when the stable note changes
+    processValidPitch(noteInfo, now) {
+        // A clock may start at 0, so only a missing start counts as none
+        if (this.recordingStartTime === null) {
+            this.recordingStartTime = now;
+            this.beatStartTime = now;
+        }
+
+        const detectedNote = this.noteDetector.addFrequency(noteInfo.frequency, now);
+        if (!detectedNote) {
+            this.recordPitchFrame(noteInfo.frequency, now);
+            return;
+        }
+
+        const beatDuration = 60 / this.bpm; // seconds per beat
+        const gridPosition = this.quantize((now - this.beatStartTime) / 1000 / beatDuration);
+
+        if (this.lastDetectedNote === null || this.lastDetectedNote !== noteInfo.note) {
+            if (this.lastDetectedNote !== null) {
+                // End previous note
+                const rawDuration = (now - this.lastNoteStartTime) / 1000;
+                if (rawDuration >= this.noteDetector.minDuration) {
+                    const startBeat = (this.lastNoteStartTime - this.beatStartTime) / 1000 / beatDuration;
+                    const quantizedStart = this.quantize(startBeat);
+                    this.pushNote(rawDuration, (gridPosition - quantizedStart) * beatDuration, quantizedStart, gridPosition);
+                }
+            }
+
+            this.lastDetectedNote = noteInfo.note;
+            this.lastDetectedFrequency = noteInfo.frequency;
+            this.lastNoteStartTime = now;
+            this.pauseStartTime = null;
+            this.currentPitchTrack = [];
+            this.currentLeadIn = this.recentFrames
+                .filter(([time]) => time < now)
+                .map(([time, frequency]) => [Math.round(time - now) / 1000, Math.round(frequency * 100) / 100]);
+        }
+
+        this.lastEventTime = now;
+        this.recordPitchFrame(noteInfo.frequency, now);
+    }
+
+    pushNote(rawDuration, duration, quantizedStart, quantizedEnd) {
+        this.melody.push({
+            note: this.lastDetectedNote,
+            rawDuration,
+            duration,
+            quantizedStart,
+            quantizedEnd,
+            timestamp: (this.lastNoteStartTime - this.recordingStartTime) / 1000,
+            frequency: this.lastDetectedFrequency,
+            pitchTrack: this.currentPitchTrack,
+            ...NoteSegmenter.getTrackDynamics(this.currentPitchTrack),
+            expression: ExpressionAnalyzer.analyze(this.currentPitchTrack, this.currentLeadIn)
+        });
+    }
+
+    // Keep the voiced frames of the last LEAD_IN_SECONDS, in or out of tune; silence clears them
+    rememberFrame(pitch, now) {
+        if (!(pitch > 0)) {
+            this.recentFrames = [];
+            return;
+        }
+        this.recentFrames.push([now, pitch]);
+        const horizon = now - NoteSegmenter.LEAD_IN_SECONDS * 1000;
+        while (this.recentFrames[0][0] < horizon) this.recentFrames.shift();
+    }
+
+    // Keep the frame-by-frame pitch and level of the sounding note as
+    // [seconds since note start, Hz, dB] entries, so slides, vibrato and
+    // dynamics can be exported as pitch bends, velocities and expression
+    recordPitchFrame(frequency, now) {
+        if (this.lastDetectedNote === null) return;
+        this.currentPitchTrack.push([
+            Math.round(now - this.lastNoteStartTime) / 1000,
+            Math.round(frequency * 100) / 100,
+            Number.isFinite(this.lastFrameLevel) ? Math.round(this.lastFrameLevel * 10) / 10 : null
+        ]);
+    }
+
+    /**
+     * Peak and average (power mean) level of a note's frames
+     * @param {Array} track - Pitch track of [seconds, Hz, dB] entries
+     * @return {Object} { peakDb, averageDb }, or {} when no frame has a level
+     */
+    static getTrackDynamics(track) {
+        const levels = track.map(frame => frame[2]).filter(Number.isFinite);
+        if (levels.length === 0) return {};
+        const meanPower = levels.reduce((sum, db) => sum + Math.pow(10, db / 10), 0) / levels.length;
+        return {
+            peakDb: Math.max(...levels),
+            averageDb: Math.round(10 * Math.log10(meanPower) * 10) / 10
+        };
+    }
+}
+
+export { NoteSegmenter };
@@ -0,0 +1,179 @@
+import { NoteSegmenter } from './NoteSegmenter.js';
+import { NoteDetector } from './NoteDetector.js';
+import { ChordDetector } from '../analysis/ChordDetector.js';
+import { ExpressionAnalyzer } from '../analysis/ExpressionAnalyzer.js';
+
+/**
+ * PolyphonicSegmenter - Turns frames of concurrent pitches into overlapping notes
+ *
+ * The polyphonic counterpart of NoteSegmenter, with the same interface. Each
+ * MIDI note is tracked on its own: it starts once it has been heard in
+ * ONSET_FRAMES consecutive frames (dated back to the first of them) and ends
+ * when it has been missing for more than RELEASE_FRAMES, so a frame in which
+ * the multi-pitch estimate drops a note does not split it. Notes are
+ * quantized to the same beat grid as monophonic takes; there are no pauses.
+ */
+class PolyphonicSegmenter {
+    static FRAME_SIZE = 4096;  // Longer analysis window than monophonic mode, to separate close low notes
+    static ONSET_FRAMES = 3;
+    static RELEASE_FRAMES = 4;
+    static MIN_DURATION = 0.1; // seconds
+
+    /**
+     * @param {Object} options - { bpm, tolerance (cents), quantization, key, minMidi, maxMidi, tuning } as for NoteSegmenter
+     */
+    constructor(options = {}) {
+        this.bpm = options.bpm || 120;
+        this.tolerance = options.tolerance || NoteSegmenter.DEFAULT_TOLERANCE;
+        this.quantization = options.quantization || 16;
+        this.key = options.key || null;
+        this.minMidi = options.minMidi ?? NoteSegmenter.MIN_MIDI;
+        this.maxMidi = options.maxMidi ?? NoteSegmenter.MAX_MIDI;
+        this.tuning = options.tuning || NoteDetector.tuning;
+        this.reset();
+    }
+
+    reset() {
+        this.melody = [];
+        this.pending = new Map();   // midi -> { count, startTime, frames } heard but not yet a note
+        this.active = new Map();    // midi -> { note, startTime, lastTime, missed, track }
+        this.recordingStartTime = null;
+        this.beatStartTime = null;
+        this.downbeatTime = null;
+        this.lastFrameTime = null;
+    }
+
+    /**
+     * Lock the beat grid to a known downbeat; frames before it are ignored
+     * @param {number} time - Downbeat time in ms on the frame clock
+     */
+    setDownbeat(time) {
+        this.downbeatTime = time;
+        this.beatStartTime = time;
+        this.recordingStartTime = time;
+    }
+
+    /**
+     * Feed one analysed frame
+     * @param {Array<number>} pitches - Frequencies in Hz sounding in the frame
+     * @param {number} now - Frame time in ms
+     * @param {number} level - Frame RMS level in dB, stored with every sounding note
+     * @return {Object|null} null when the frame was ignored (before the downbeat), otherwise
+     *                       { notes: accepted noteInfos, chord: name of the sounding notes' chord or null }
+     */
+    processFrame(pitches, now, level) {
+        if (this.downbeatTime !== null && now < this.downbeatTime) return null;
+        this.lastFrameTime = now;
+
+        // One entry per MIDI note; the estimate closest to the semitone wins
+        const heard = new Map();
+        (pitches || []).forEach(pitch => {
+            if (!(pitch > 0)) return;
+            const noteInfo = NoteSegmenter.noteInfo(pitch, this);
+            if (!noteInfo || Math.abs(noteInfo.deviation) > this.tolerance) return;
+            const existing = heard.get(noteInfo.midi);
+            if (!existing || Math.abs(noteInfo.deviation) < Math.abs(existing.deviation)) heard.set(noteInfo.midi, noteInfo);
+        });
+
+        heard.forEach((noteInfo, midi) => {
+            const frame = [noteInfo.frequency, level];
+            const note = this.active.get(midi);
+            if (note) {
+                note.lastTime = now;
+                note.missed = 0;
+                note.track.push([now, ...frame]);
+                return;
+            }
+            const candidate = this.pending.get(midi) || { count: 0, startTime: now, frames: [] };
+            candidate.count++;
+            candidate.frames.push([now, ...frame]);
+            if (candidate.count < PolyphonicSegmenter.ONSET_FRAMES) {
+                this.pending.set(midi, candidate);
+                return;
+            }
+            this.pending.delete(midi);
+            if (this.recordingStartTime === null) this.recordingStartTime = candidate.startTime;
+            if (this.beatStartTime === null) this.beatStartTime = candidate.startTime;
+            this.active.set(midi, {
+                note: noteInfo.note,
+                startTime: candidate.startTime,
+                lastTime: now,
+                missed: 0,
+                track: candidate.frames
+            });
+        });
+
+        // Pending notes must be heard in consecutive frames; sounding ones may drop out briefly
+        [...this.pending.keys()].forEach(midi => {
+            if (!heard.has(midi)) this.pending.delete(midi);
+        });
+        [...this.active.entries()].forEach(([midi, note]) => {
+            if (heard.has(midi)) return;
+            if (++note.missed > PolyphonicSegmenter.RELEASE_FRAMES) this.endNote(midi);
+        });
+
+        const chord = ChordDetector.detect([...this.active.keys()]);
+        return { notes: [...heard.values()], chord: chord ? chord.name : null };
+    }
+
+    /**
+     * Notes still sounding, which are not in the melody until they end
+     * @return {Array} { midi, startTime (ms) }
+     */
+    sounding() {
+        return [...this.active.entries()].map(([midi, note]) => ({ midi, startTime: note.startTime }));
+    }
+
+    /**
+     * Close the notes still sounding and return the take
+     * @return {Array} Notes sorted by timestamp, then pitch; they may overlap
+     */
+    finish() {
+        [...this.active.keys()].forEach(midi => this.endNote(midi));
+        this.pending.clear();
+        this.melody.sort((a, b) => a.timestamp - b.timestamp || a.midi - b.midi);
+        return this.melody.map(({ midi, ...event }) => event);
+    }
+
+    // Round a beat position to the quantization grid
+    quantize(beats) {
+        return Math.round(beats * this.quantization / 4) * (4 / this.quantization);
+    }
+
+    // Store a sounding note, ending it at the last frame it was heard in
+    endNote(midi) {
+        const note = this.active.get(midi);
+        this.active.delete(midi);
+        const rawDuration = (note.lastTime - note.startTime) / 1000;
+        if (rawDuration < PolyphonicSegmenter.MIN_DURATION) return;
+
+        const beatDuration = 60 / this.bpm;
+        const step = 4 / this.quantization;
+        const quantizedStart = this.quantize((note.startTime - this.beatStartTime) / 1000 / beatDuration);
+        const quantizedEnd = Math.max(quantizedStart + step,
+            this.quantize((note.lastTime - this.beatStartTime) / 1000 / beatDuration));
+        const frequencies = note.track.map(frame => frame[1]).sort((a, b) => a - b);
+        // Pitch track entries are [seconds since note start, Hz, dB]
+        const pitchTrack = note.track.map(([time, frequency, level]) => [
+            Math.round(time - note.startTime) / 1000,
+            Math.round(frequency * 100) / 100,
+            Number.isFinite(level) ? Math.round(level * 10) / 10 : null
+        ]);
+
+        this.melody.push({
+            note: note.note,
+            midi,
+            rawDuration,
+            duration: (quantizedEnd - quantizedStart) * beatDuration,
+            quantizedStart,
+            quantizedEnd,
+            timestamp: (note.startTime - this.recordingStartTime) / 1000,
+            frequency: frequencies[Math.floor(frequencies.length / 2)],
+            pitchTrack,
+            ...NoteSegmenter.getTrackDynamics(pitchTrack),
+            expression: ExpressionAnalyzer.analyze(pitchTrack)
+        });
+    }
+}
+
+export { PolyphonicSegmenter };
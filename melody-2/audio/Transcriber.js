@@ -0,0 +1,137 @@
+import { FrequencyAnalyzer } from './FrequencyAnalyzer.js';
+import { NoteSegmenter } from './NoteSegmenter.js';
+import { PolyphonicSegmenter } from './PolyphonicSegmenter.js';
+import { NoteDetector } from './NoteDetector.js';
+import { KeyDetector } from '../analysis/KeyDetector.js';
+import { ChordDetector } from '../analysis/ChordDetector.js';
+
+/**
+ * Transcriber - Offline transcription of decoded audio into a stored melody
+ *
+ * Walks the samples hop by hop through FrequencyAnalyzer and NoteSegmenter,
+ * stamping frames like the live worker does, then trims the take and adds
+ * its key. Used by the page for files and stored takes and by the CLI.
+ * In polyphonic mode every frame yields a set of pitches, segmented into
+ * overlapping notes by PolyphonicSegmenter, and the melody gets chord symbols.
+ */
+class Transcriber {
+    static FRAME_SIZE = 2048;    // Analysis window in samples
+    static FRAME_RATE = 60;      // Frames per second; the hop is sampleRate / FRAME_RATE
+    static FRAMES_PER_CHUNK = 200; // Frames analysed between onProgress calls
+
+    /**
+     * Transcribe mono samples into a take
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} options - { analyzerOptions, segmenterOptions (tuning among them names the notes),
+     *                           startTime (ms of the first sample),
+     *                           downbeatTime (ms; locks the grid and skips what comes before),
+     *                           polyphonic (track several simultaneous notes),
+     *                           frameSize (analysis window in samples; defaults to frameSize(polyphonic)),
+     *                           onProgress (called with 0-1 now and then; may return a promise) }
+     * @return {Promise<Array>} Melody events as NoteSegmenter.finish() (or PolyphonicSegmenter.finish()) returns them
+     */
+    static async transcribe(samples, sampleRate, options = {}) {
+        const { startTime = 0, downbeatTime = null, onProgress = null, polyphonic = false } = options;
+        const analyzer = new FrequencyAnalyzer(options.analyzerOptions || {});
+        const segmenter = polyphonic
+            ? new PolyphonicSegmenter(options.segmenterOptions || {})
+            : new NoteSegmenter(options.segmenterOptions || {});
+        if (downbeatTime !== null) segmenter.setDownbeat(downbeatTime);
+
+        const frameSize = options.frameSize || this.frameSize(polyphonic);
+        const hopSize = Math.round(sampleRate / this.FRAME_RATE);
+        let frameCount = 0;
+        let now = startTime;
+        for (let offset = 0; offset + frameSize <= samples.length; offset += hopSize) {
+            // Frames are stamped with their last sample
+            const frameTime = startTime + (offset + frameSize) / sampleRate * 1000;
+            if (downbeatTime === null || frameTime >= downbeatTime) {
+                now = frameTime;
+                const frame = samples.subarray(offset, offset + frameSize);
+                const pitch = polyphonic
+                    ? analyzer.analyzePitches(frame, sampleRate)
+                    : analyzer.analyzePitch(frame, sampleRate);
+                segmenter.processFrame(pitch, now, analyzer.lastLevel);
+            }
+
+            if (onProgress && ++frameCount % this.FRAMES_PER_CHUNK === 0) {
+                await onProgress(offset / samples.length);
+            }
+        }
+
+        return segmenter.finish(now);
+    }
+
+    // Analysis window in samples for a mode
+    static frameSize(polyphonic = false) {
+        return polyphonic ? PolyphonicSegmenter.FRAME_SIZE : this.FRAME_SIZE;
+    }
+
+    /**
+     * Turn a take into a stored melody: trim surrounding pauses and add its key
+     * @param {Array} take - Melody events
+     * @param {Object} options - { bpm, key (chosen up front, already applied while segmenting),
+     *                           snapToKey (snap borderline pitches to the detected key),
+     *                           pitchAlgorithm, transcription (settings to store with it),
+     *                           polyphonic (the take has overlapping notes),
+     *                           instrument (InstrumentProfile the take was transcribed for),
+     *                           tuning (the take's notes were named in; the current one if left out) }
+     * @return {Object} { bpm, totalDuration, notes, key, tuning, pitchAlgorithm, transcription, instrument },
+     *                  plus polyphonic: true and chords ({ start, end, name } in beats) for polyphonic takes
+     */
+    static buildMelody(take, options = {}) {
+        let notes = this.trimPauses(take);
+
+        const tuning = options.tuning || NoteDetector.tuning;
+        let key = options.key || null;
+        if (!key) {
+            key = KeyDetector.detect(notes);
+            if (key && options.snapToKey) {
+                notes = KeyDetector.snapNotes(notes, key, KeyDetector.SNAP_THRESHOLD_CENTS, tuning);
+            }
+        }
+
+        const bpm = options.bpm || 120;
+        const melody = {
+            bpm,
+            totalDuration: options.polyphonic ? this.getEndTime(notes, bpm) : this.getTotalDuration(notes),
+            notes,
+            key,
+            tuning: tuning.toJSON(),
+            pitchAlgorithm: options.pitchAlgorithm,
+            transcription: options.transcription,
+            instrument: options.instrument ? options.instrument.toJSON() : undefined
+        };
+        if (options.polyphonic) {
+            melody.polyphonic = true;
+            melody.chords = ChordDetector.fromNotes(notes);
+        }
+        return melody;
+    }
+
+    // Drop leading and trailing pauses
+    static trimPauses(notes) {
+        let trimmed = notes.slice();
+        while (trimmed.length && trimmed[0].note === "Pause") {
+            trimmed.shift();
+        }
+        while (trimmed.length && trimmed[trimmed.length - 1].note === "Pause") {
+            trimmed.pop();
+        }
+        return trimmed;
+    }
+
+    static getTotalDuration(notes) {
+        return notes.reduce((sum, n) => sum + n.duration, 0);
+    }
+
+    // Length of a melody whose notes may overlap: the end of its last note in seconds
+    static getEndTime(notes, bpm) {
+        return notes.reduce((end, n) => Math.max(end, Number.isFinite(n.quantizedEnd)
+            ? n.quantizedEnd * 60 / bpm
+            : n.timestamp + n.duration), 0);
+    }
+}
+
+export { Transcriber };
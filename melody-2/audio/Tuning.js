@@ -0,0 +1,90 @@
+/**
+ * Tuning - Reference pitch and tuning system used to name notes
+ *
+ * Equal temperament is anchored on the reference A4. Just intonation and
+ * custom tables give each scale degree's offset in cents above a tonic; the
+ * tonic itself stays where equal temperament puts it, so A4 only keeps the
+ * reference frequency when it is the tonic or the table agrees.
+ */
+class Tuning {
+    static EQUAL = 'equal';
+    static JUST = 'just';
+    static CUSTOM = 'custom';
+
+    static DEFAULT_REFERENCE = 440; // A4 in Hz
+
+    // 5-limit just intonation, cents above the tonic
+    static JUST_INTONATION_CENTS = [0, 111.73, 203.91, 315.64, 386.31, 498.04, 590.22, 701.96, 813.69, 884.36, 1017.60, 1088.27];
+    static EQUAL_CENTS = [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100];
+
+    constructor(options = {}) {
+        this.referenceFrequency = options.referenceFrequency || Tuning.DEFAULT_REFERENCE;
+        this.system = options.system || Tuning.EQUAL;
+        this.tonic = options.tonic || 0; // Pitch class the cents table is relative to (0 = C)
+
+        if (this.system === Tuning.CUSTOM) {
+            if (!Tuning.isValidCentsTable(options.cents)) {
+                throw new Error("A custom tuning needs 12 cents values");
+            }
+            this.cents = options.cents.slice();
+        } else {
+            this.cents = this.system === Tuning.JUST ? Tuning.JUST_INTONATION_CENTS : Tuning.EQUAL_CENTS;
+        }
+    }
+
+    static isValidCentsTable(cents) {
+        return Array.isArray(cents) && cents.length === 12 && cents.every(Number.isFinite);
+    }
+
+    /**
+     * Frequency of a MIDI note in this tuning
+     * @param {number} midi - MIDI note number
+     * @return {number} Frequency in Hz
+     */
+    midiToFrequency(midi) {
+        if (this.system === Tuning.EQUAL) {
+            return this.referenceFrequency * Math.pow(2, (midi - 69) / 12);
+        }
+        const degree = ((midi - this.tonic) % 12 + 12) % 12;
+        const tonicMidi = midi - degree;
+        const tonicFrequency = this.referenceFrequency * Math.pow(2, (tonicMidi - 69) / 12);
+        return tonicFrequency * Math.pow(2, this.cents[degree] / 1200);
+    }
+
+    /**
+     * Nearest MIDI note to a frequency in this tuning
+     * @param {number} frequency - Frequency in Hz
+     * @return {number} MIDI note number
+     */
+    frequencyToMidi(frequency) {
+        const equalTempered = Math.round(12 * Math.log2(frequency / this.referenceFrequency) + 69);
+        if (this.system === Tuning.EQUAL) return equalTempered;
+
+        // Table entries stay within a semitone or so of equal temperament
+        let best = equalTempered;
+        let bestDistance = Infinity;
+        for (let midi = equalTempered - 1; midi <= equalTempered + 1; midi++) {
+            const distance = Math.abs(Math.log2(frequency / this.midiToFrequency(midi)));
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = midi;
+            }
+        }
+        return best;
+    }
+
+    toJSON() {
+        return {
+            referenceFrequency: this.referenceFrequency,
+            system: this.system,
+            tonic: this.tonic,
+            cents: this.cents.slice()
+        };
+    }
+
+    static fromJSON(data) {
+        return new Tuning(data || {});
+    }
+}
+
+export { Tuning };
@@ -0,0 +1,135 @@
+/**
+ * WavUtils - Encodes mono PCM as 16-bit WAV and decodes PCM WAV files
+ *
+ * 16-bit samples take half the space of the Float32 blocks the capture
+ * produces and every browser can both play and decode the result. Decoding
+ * needs no Web Audio, so the CLI can read WAV files under Node.
+ */
+class WavUtils {
+    static BITS_PER_SAMPLE = 16;
+    static HEADER_SIZE = 44;
+    static FORMAT_PCM = 1;
+    static FORMAT_FLOAT = 3;
+    static FORMAT_EXTENSIBLE = 0xFFFE;
+
+    /**
+     * Encode mono samples as a 16-bit PCM WAV file
+     * @param {Float32Array} samples - Samples in the range -1..1
+     * @param {number} sampleRate - Sample rate in Hz
+     * @return {ArrayBuffer} WAV file data
+     */
+    static encode(samples, sampleRate) {
+        const bytesPerSample = this.BITS_PER_SAMPLE / 8;
+        const dataSize = samples.length * bytesPerSample;
+        const buffer = new ArrayBuffer(this.HEADER_SIZE + dataSize);
+        const view = new DataView(buffer);
+
+        this.writeString(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        this.writeString(view, 8, 'WAVE');
+        this.writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);                              // fmt chunk size
+        view.setUint16(20, 1, true);                               // PCM
+        view.setUint16(22, 1, true);                               // Mono
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * bytesPerSample, true);     // Byte rate
+        view.setUint16(32, bytesPerSample, true);                  // Block align
+        view.setUint16(34, this.BITS_PER_SAMPLE, true);
+        this.writeString(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        let offset = this.HEADER_SIZE;
+        for (let i = 0; i < samples.length; i++, offset += bytesPerSample) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+        }
+        return buffer;
+    }
+
+    /**
+     * Decode a PCM (8/16/24/32-bit integer) or 32/64-bit float WAV file and mix it down to mono
+     * @param {ArrayBuffer|Uint8Array} input - WAV file data
+     * @return {{samples: Float32Array, sampleRate: number}} Mono samples in the range -1..1
+     */
+    static decode(input) {
+        const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (this.readString(view, 0, 4) !== 'RIFF' || this.readString(view, 8, 4) !== 'WAVE') {
+            throw new Error('Not a WAV file');
+        }
+
+        let format = null;
+        let data = null;
+        for (let offset = 12; offset + 8 <= view.byteLength;) {
+            const id = this.readString(view, offset, 4);
+            const size = view.getUint32(offset + 4, true);
+            const body = offset + 8;
+            if (id === 'fmt ') {
+                format = {
+                    type: view.getUint16(body, true),
+                    channels: view.getUint16(body + 2, true),
+                    sampleRate: view.getUint32(body + 4, true),
+                    bitsPerSample: view.getUint16(body + 14, true)
+                };
+                // The real format of an extensible file is the first field of its subformat GUID
+                if (format.type === this.FORMAT_EXTENSIBLE && size >= 26) {
+                    format.type = view.getUint16(body + 24, true);
+                }
+            } else if (id === 'data') {
+                data = { offset: body, size: Math.min(size, view.byteLength - body) };
+            }
+            offset = body + size + (size % 2); // Chunks are padded to an even length
+        }
+        if (!format || !data) throw new Error('WAV file has no fmt or data chunk');
+
+        const readSample = this.sampleReader(view, format);
+        const bytesPerSample = format.bitsPerSample / 8;
+        const frameSize = bytesPerSample * format.channels;
+        const length = Math.floor(data.size / frameSize);
+        const samples = new Float32Array(length);
+        for (let i = 0; i < length; i++) {
+            let sum = 0;
+            for (let channel = 0; channel < format.channels; channel++) {
+                sum += readSample(data.offset + i * frameSize + channel * bytesPerSample);
+            }
+            samples[i] = sum / format.channels;
+        }
+        return { samples, sampleRate: format.sampleRate };
+    }
+
+    // Function reading one sample at a byte offset as a -1..1 float
+    static sampleReader(view, format) {
+        const bits = format.bitsPerSample;
+        if (format.type === this.FORMAT_FLOAT) {
+            if (bits === 32) return offset => view.getFloat32(offset, true);
+            if (bits === 64) return offset => view.getFloat64(offset, true);
+        } else if (format.type === this.FORMAT_PCM) {
+            if (bits === 8) return offset => (view.getUint8(offset) - 128) / 128;
+            if (bits === 16) return offset => view.getInt16(offset, true) / 0x8000;
+            if (bits === 24) {
+                return offset => {
+                    const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+                    return value / 0x800000;
+                };
+            }
+            if (bits === 32) return offset => view.getInt32(offset, true) / 0x80000000;
+        }
+        throw new Error(`Unsupported WAV format ${format.type} with ${bits} bits per sample`);
+    }
+
+    static readString(view, offset, length) {
+        let text = '';
+        for (let i = 0; i < length; i++) {
+            text += String.fromCharCode(view.getUint8(offset + i));
+        }
+        return text;
+    }
+
+    static writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+}
+
+export { WavUtils };
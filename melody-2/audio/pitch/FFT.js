@@ -0,0 +1,83 @@
+/**
+ * FFT - Minimal radix-2 FFT for spectral pitch detectors
+ */
+class FFT {
+    /**
+     * Smallest power of two that is >= n
+     * @param {number} n - Minimum size
+     * @return {number} Power of two
+     */
+    static nextPowerOfTwo(n) {
+        let size = 1;
+        while (size < n) size <<= 1;
+        return size;
+    }
+
+    /**
+     * Hann-windowed magnitude spectrum of a real signal
+     * @param {Float32Array} audioData - Time-domain samples
+     * @param {number} size - FFT size (power of two, zero-padded if larger than the input)
+     * @return {Float32Array} Linear magnitudes for bins 0..size/2
+     */
+    static magnitudeSpectrum(audioData, size = this.nextPowerOfTwo(audioData.length)) {
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        const length = Math.min(audioData.length, size);
+        for (let i = 0; i < length; i++) {
+            re[i] = audioData[i] * 0.5 * (1 - Math.cos(2 * Math.PI * i / (length - 1)));
+        }
+
+        this.transform(re, im);
+
+        const magnitudes = new Float32Array(size / 2 + 1);
+        for (let i = 0; i < magnitudes.length; i++) {
+            magnitudes[i] = Math.sqrt(re[i] * re[i] + im[i] * im[i]);
+        }
+        return magnitudes;
+    }
+
+    /**
+     * In-place iterative Cooley-Tukey FFT
+     * @param {Float64Array} re - Real parts
+     * @param {Float64Array} im - Imaginary parts
+     */
+    static transform(re, im) {
+        const n = re.length;
+
+        // Bit-reversal permutation
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let len = 2; len <= n; len <<= 1) {
+            const angle = -2 * Math.PI / len;
+            const wRe = Math.cos(angle);
+            const wIm = Math.sin(angle);
+            for (let start = 0; start < n; start += len) {
+                let curRe = 1;
+                let curIm = 0;
+                for (let k = 0; k < len / 2; k++) {
+                    const a = start + k;
+                    const b = a + len / 2;
+                    const tRe = re[b] * curRe - im[b] * curIm;
+                    const tIm = re[b] * curIm + im[b] * curRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+    }
+}
+
+export { FFT };
@@ -0,0 +1,136 @@
+import { FFT } from './FFT.js';
+
+/**
+ * HpsDetector - Harmonic product spectrum pitch estimator
+ *
+ * Multiplies the spectrum with copies of itself compressed by 2, 3, 4... so
+ * the harmonics of a rich tone pile up on the fundamental, even when the
+ * fundamental itself is weak or missing. Clarity is the normalized
+ * autocorrelation of the frame at the estimated period.
+ */
+class HpsDetector {
+    static MAGNITUDE_FLOOR = 0.01; // Relative to the spectral peak
+    static TIE_TOLERANCE = 1;      // Log-magnitude margin treated as a tie between candidates
+
+    constructor(options = {}) {
+        this.harmonics = options.hpsHarmonics || 5;         // Number of spectra multiplied together
+        this.fftSize = options.hpsFftSize || 8192;          // Zero-padded FFT size for finer bins
+        this.subharmonicRatio = options.hpsSubharmonicRatio || 0.2; // Octave-down check, relative to the spectral peak
+    }
+
+    /**
+     * Estimate the fundamental frequency of a frame
+     * @param {Float32Array} audioData - Time-domain samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} range - { minFrequency, maxFrequency, frequencyData } with optional linear
+     *                         analyser magnitudes to use instead of computing a spectrum
+     * @return {{frequency: number, clarity: number}|null} Estimate, or null for a silent spectrum
+     */
+    detect(audioData, sampleRate, { minFrequency, maxFrequency, frequencyData = null }) {
+        let spectrum, binSize, lobeWidth;
+        if (frequencyData && frequencyData.length) {
+            spectrum = frequencyData;
+            binSize = sampleRate / (2 * frequencyData.length);
+            lobeWidth = 2;
+        } else {
+            const size = Math.max(this.fftSize, FFT.nextPowerOfTwo(audioData.length));
+            spectrum = FFT.magnitudeSpectrum(audioData, size);
+            binSize = sampleRate / size;
+            // Hann main lobe spans +/-2 bins of the unpadded transform
+            lobeWidth = Math.ceil(2 * size / audioData.length);
+        }
+
+        const minBin = Math.max(1, Math.floor(minFrequency / binSize));
+        const maxBin = Math.min(Math.floor((spectrum.length - 1) / this.harmonics), Math.ceil(maxFrequency / binSize));
+        if (maxBin <= minBin) return null;
+
+        let peakMagnitude = 0;
+        for (let i = 0; i < spectrum.length; i++) {
+            if (spectrum[i] > peakMagnitude) peakMagnitude = spectrum[i];
+        }
+        if (peakMagnitude === 0) return null;
+        // Clamp the noise between harmonics so it cannot break ties between candidates
+        const magnitudeFloor = peakMagnitude * HpsDetector.MAGNITUDE_FLOOR;
+
+        // Product of the compressed spectra, summed in the log domain
+        const scores = new Float32Array(maxBin + 1);
+        let bestScore = -Infinity;
+        for (let bin = minBin; bin <= maxBin; bin++) {
+            let score = 0;
+            for (let h = 1; h <= this.harmonics; h++) {
+                const magnitude = this.localMaximum(spectrum, bin * h, Math.floor(h / 2));
+                score += Math.log(Math.max(magnitude, magnitudeFloor));
+            }
+            scores[bin] = score;
+            bestScore = Math.max(bestScore, score);
+        }
+
+        // A pure tone scores the same on every subharmonic, so take the
+        // highest bin among the (near) ties
+        let bestBin = minBin;
+        for (let bin = maxBin; bin >= minBin; bin--) {
+            if (scores[bin] >= bestScore - HpsDetector.TIE_TOLERANCE) {
+                bestBin = bin;
+                break;
+            }
+        }
+
+        // HPS tends to land an octave high; prefer the subharmonic when it is a real spectral peak
+        const halfBin = Math.round(bestBin / 2);
+        if (halfBin >= minBin &&
+            this.localMaximum(spectrum, halfBin, 1) > this.subharmonicRatio * peakMagnitude) {
+            bestBin = halfBin;
+        }
+
+        // Refine on the strongest harmonic, since the fundamental may be missing
+        let peakBin = -1;
+        let peakHarmonic = 1;
+        for (let h = 1; h <= this.harmonics; h++) {
+            const center = bestBin * h;
+            for (let i = Math.max(1, center - lobeWidth); i <= Math.min(spectrum.length - 2, center + lobeWidth); i++) {
+                if (peakBin === -1 || spectrum[i] > spectrum[peakBin]) {
+                    peakBin = i;
+                    peakHarmonic = h;
+                }
+            }
+        }
+        if (peakBin === -1) return null;
+        const y1 = spectrum[peakBin - 1];
+        const y2 = spectrum[peakBin];
+        const y3 = spectrum[peakBin + 1];
+        const denominator = y1 - 2 * y2 + y3;
+        const refinedBin = (denominator === 0 ? peakBin : peakBin + 0.5 * (y1 - y3) / denominator) / peakHarmonic;
+
+        const frequency = refinedBin * binSize;
+        return {
+            frequency,
+            clarity: HpsDetector.periodicity(audioData, sampleRate / frequency)
+        };
+    }
+
+    localMaximum(spectrum, center, radius) {
+        let max = 0;
+        for (let i = Math.max(0, center - radius); i <= Math.min(spectrum.length - 1, center + radius); i++) {
+            if (spectrum[i] > max) max = spectrum[i];
+        }
+        return max;
+    }
+
+    // Normalized autocorrelation at the given period, best of the neighbouring integer lags
+    static periodicity(audioData, period) {
+        let best = 0;
+        for (let lag = Math.floor(period); lag <= Math.ceil(period); lag++) {
+            if (lag <= 0 || lag >= audioData.length) continue;
+            let acf = 0;
+            let energy = 0;
+            for (let i = 0; i < audioData.length - lag; i++) {
+                acf += audioData[i] * audioData[i + lag];
+                energy += audioData[i] * audioData[i] + audioData[i + lag] * audioData[i + lag];
+            }
+            if (energy > 0) best = Math.max(best, 2 * acf / energy);
+        }
+        return Math.max(0, Math.min(1, best));
+    }
+}
+
+export { HpsDetector };
@@ -0,0 +1,91 @@
+/**
+ * McLeodDetector - McLeod Pitch Method (McLeod & Wyvill, 2005)
+ *
+ * Picks the first "key maximum" of the normalized square difference function
+ * that comes close to the highest one. Its clarity is the NSDF peak height,
+ * which tracks how periodic the frame is; works well on instruments.
+ */
+class McLeodDetector {
+    constructor(options = {}) {
+        this.cutoff = options.mpmCutoff || 0.93;      // Fraction of the highest key maximum to accept
+        this.smallCutoff = options.mpmSmallCutoff || 0.5; // Ignore key maxima below this height
+    }
+
+    /**
+     * Estimate the fundamental frequency of a frame
+     * @param {Float32Array} audioData - Time-domain samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} range - { minFrequency, maxFrequency } in Hz
+     * @return {{frequency: number, clarity: number}|null} Estimate, or null if no key maximum qualifies
+     */
+    detect(audioData, sampleRate, { minFrequency, maxFrequency }) {
+        const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+        const maxLag = Math.min(audioData.length - 1, Math.ceil(sampleRate / minFrequency));
+        if (maxLag <= minLag + 1) return null;
+
+        const nsdf = this.normalizedSquareDifference(audioData, maxLag + 1);
+
+        // Collect the highest point between each positive-going and
+        // negative-going zero crossing, skipping the lobe around lag 0
+        const keyMaxima = [];
+        let lag = 1;
+        while (lag < nsdf.length - 1 && nsdf[lag] > 0) lag++;
+        let currentMax = -1;
+        for (; lag < nsdf.length - 1; lag++) {
+            if (nsdf[lag] > 0) {
+                if (nsdf[lag] > nsdf[lag - 1] && nsdf[lag] >= nsdf[lag + 1] &&
+                    (currentMax === -1 || nsdf[lag] > nsdf[currentMax])) {
+                    currentMax = lag;
+                }
+            } else if (currentMax !== -1) {
+                keyMaxima.push(currentMax);
+                currentMax = -1;
+            }
+        }
+        if (currentMax !== -1) keyMaxima.push(currentMax);
+
+        const candidates = keyMaxima.filter(index => index >= minLag && nsdf[index] >= this.smallCutoff);
+        if (candidates.length === 0) return null;
+
+        const highest = Math.max(...candidates.map(index => nsdf[index]));
+        const chosen = candidates.find(index => nsdf[index] >= this.cutoff * highest);
+
+        const { position, value } = McLeodDetector.parabolicPeak(nsdf, chosen);
+        return {
+            frequency: sampleRate / position,
+            clarity: Math.max(0, Math.min(1, value))
+        };
+    }
+
+    normalizedSquareDifference(audioData, lagCount) {
+        const nsdf = new Float32Array(lagCount);
+        for (let lag = 0; lag < lagCount; lag++) {
+            let acf = 0;
+            let energy = 0;
+            for (let i = 0; i < audioData.length - lag; i++) {
+                acf += audioData[i] * audioData[i + lag];
+                energy += audioData[i] * audioData[i] + audioData[i + lag] * audioData[i + lag];
+            }
+            nsdf[lag] = energy > 0 ? 2 * acf / energy : 0;
+        }
+        return nsdf;
+    }
+
+    static parabolicPeak(values, index) {
+        if (index <= 0 || index >= values.length - 1) {
+            return { position: index, value: values[index] };
+        }
+        const y1 = values[index - 1];
+        const y2 = values[index];
+        const y3 = values[index + 1];
+        const denominator = y1 - 2 * y2 + y3;
+        if (denominator === 0) return { position: index, value: y2 };
+        const offset = 0.5 * (y1 - y3) / denominator;
+        return {
+            position: index + offset,
+            value: y2 - 0.25 * (y1 - y3) * offset
+        };
+    }
+}
+
+export { McLeodDetector };
@@ -0,0 +1,153 @@
+import { FFT } from './FFT.js';
+
+/**
+ * MultiPitchDetector - Estimates several concurrent fundamentals per frame
+ *
+ * Iterative harmonic grouping (after Klapuri's iterative estimation and
+ * cancellation): spectral peaks are scored as harmonics of candidate
+ * fundamentals, the most salient candidate is taken, and a smoothed copy of
+ * its harmonic amplitudes is subtracted from the peaks before looking for
+ * the next one. Smoothing leaves energy behind where a harmonic is louder
+ * than its neighbours, so a note an octave above another is still found.
+ */
+class MultiPitchDetector {
+    static FFT_SIZE = 16384;              // Zero-padded transform size for finer peak positions
+    static PEAK_FLOOR = 0.02;             // Peaks below this fraction of the loudest one are ignored
+    static MAX_PEAKS = 40;                // Strongest peaks kept per frame
+    static CANDIDATE_PEAKS = 12;          // Strongest peaks whose subharmonics are tried as fundamentals
+    static MAX_SUBHARMONIC = 4;
+    static MAX_HARMONICS = 12;
+    static MAX_HARMONIC_FREQUENCY = 5000; // Hz; harmonics above this are not scored
+    static HARMONIC_TOLERANCE = 0.03;     // Relative distance of a peak from an ideal harmonic (about half a semitone)
+    static MIN_SEPARATION_CENTS = 80;     // Closest two estimates may be
+    // Harmonic weights (f0 + ALPHA) / (h * f0 + BETA), from Klapuri (2006)
+    static WEIGHT_ALPHA = 52;
+    static WEIGHT_BETA = 320;
+
+    constructor(options = {}) {
+        this.maxPolyphony = options.maxPolyphony || 6;
+        this.minSalience = options.minSalience || 0.2; // Relative to the first (most salient) estimate
+    }
+
+    /**
+     * Estimate the fundamentals sounding in a frame
+     * @param {Float32Array} audioData - Time-domain samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} range - { minFrequency, maxFrequency } for the fundamentals
+     * @return {Array} { frequency, salience } sorted by frequency; salience is relative to the strongest (0-1]
+     */
+    detect(audioData, sampleRate, { minFrequency, maxFrequency }) {
+        const size = Math.max(MultiPitchDetector.FFT_SIZE, FFT.nextPowerOfTwo(audioData.length));
+        const spectrum = FFT.magnitudeSpectrum(audioData, size);
+        const peaks = this.findPeaks(spectrum, sampleRate / size);
+        if (peaks.length === 0) return [];
+
+        const candidates = new Set();
+        peaks.slice(0, MultiPitchDetector.CANDIDATE_PEAKS).forEach(peak => {
+            for (let k = 1; k <= MultiPitchDetector.MAX_SUBHARMONIC; k++) {
+                const f0 = peak.frequency / k;
+                if (f0 >= minFrequency && f0 <= maxFrequency) candidates.add(f0);
+            }
+        });
+
+        const estimates = [];
+        const residual = peaks.map(peak => peak.magnitude);
+        while (estimates.length < this.maxPolyphony) {
+            let best = null;
+            candidates.forEach(f0 => {
+                if (estimates.some(estimate => Math.abs(1200 * Math.log2(f0 / estimate.frequency)) < MultiPitchDetector.MIN_SEPARATION_CENTS)) {
+                    return;
+                }
+                const scored = this.score(f0, peaks, residual);
+                if (scored && (!best || scored.salience > best.salience)) best = scored;
+            });
+            if (!best || (estimates.length && best.salience < this.minSalience * estimates[0].salience)) break;
+
+            estimates.push(best);
+            this.cancel(best, residual);
+        }
+
+        const strongest = estimates.length ? estimates[0].salience : 1;
+        return estimates
+            .map(estimate => ({ frequency: estimate.frequency, salience: estimate.salience / strongest }))
+            .sort((a, b) => a.frequency - b.frequency);
+    }
+
+    // Local maxima above the floor, strongest first, with interpolated frequencies
+    findPeaks(spectrum, binSize) {
+        let max = 0;
+        for (let i = 1; i < spectrum.length; i++) max = Math.max(max, spectrum[i]);
+        if (max === 0) return [];
+        const floor = max * MultiPitchDetector.PEAK_FLOOR;
+        const lastBin = Math.min(spectrum.length - 1, Math.ceil(MultiPitchDetector.MAX_HARMONIC_FREQUENCY / binSize));
+
+        const peaks = [];
+        for (let i = 2; i < lastBin; i++) {
+            const y2 = spectrum[i];
+            if (y2 < floor || y2 <= spectrum[i - 1] || y2 < spectrum[i + 1]) continue;
+            // Parabolic interpolation on log magnitudes
+            const y1 = Math.log(spectrum[i - 1] + 1e-12);
+            const y3 = Math.log(spectrum[i + 1] + 1e-12);
+            const ly2 = Math.log(y2);
+            const denominator = y1 - 2 * ly2 + y3;
+            const offset = denominator < 0 ? 0.5 * (y1 - y3) / denominator : 0;
+            peaks.push({ frequency: (i + offset) * binSize, magnitude: y2 });
+        }
+        return peaks
+            .sort((a, b) => b.magnitude - a.magnitude)
+            .slice(0, MultiPitchDetector.MAX_PEAKS);
+    }
+
+    /**
+     * Weighted sum of the remaining peak amplitudes at the harmonics of a fundamental
+     * @return {Object|null} { frequency (refined), salience, harmonics: [{ h, peak, amplitude }] }, or null
+     *                       when the fundamental is not among the peaks
+     */
+    score(f0, peaks, residual) {
+        const harmonics = [];
+        let salience = 0;
+        for (let h = 1; h <= MultiPitchDetector.MAX_HARMONICS && h * f0 <= MultiPitchDetector.MAX_HARMONIC_FREQUENCY; h++) {
+            const target = h * f0;
+            let match = -1;
+            peaks.forEach((peak, i) => {
+                if (Math.abs(peak.frequency / target - 1) > MultiPitchDetector.HARMONIC_TOLERANCE) return;
+                if (match === -1 || residual[i] > residual[match]) match = i;
+            });
+            const amplitude = match === -1 ? 0 : residual[match];
+            harmonics.push({ h, peak: match, amplitude });
+            const weight = (f0 + MultiPitchDetector.WEIGHT_ALPHA) / (target + MultiPitchDetector.WEIGHT_BETA);
+            salience += weight * amplitude;
+        }
+
+        // Without its fundamental a candidate is usually the common root of
+        // several notes' harmonics (C3 under a C major triad), not a note
+        if (harmonics[0].amplitude === 0) return null;
+        const present = harmonics.filter(harmonic => harmonic.amplitude > 0);
+
+        // Refine the fundamental from the low harmonics that were found, weighted by amplitude
+        let sum = 0;
+        let weights = 0;
+        present.filter(harmonic => harmonic.h <= 4).forEach(harmonic => {
+            sum += peaks[harmonic.peak].frequency / harmonic.h * harmonic.amplitude;
+            weights += harmonic.amplitude;
+        });
+        return { frequency: weights > 0 ? sum / weights : f0, salience, harmonics };
+    }
+
+    // Subtract the estimate's smoothed harmonic amplitudes from the residual peaks
+    cancel(estimate, residual) {
+        const amplitudes = estimate.harmonics.map(harmonic => harmonic.amplitude);
+        estimate.harmonics.forEach((harmonic, i) => {
+            if (harmonic.peak === -1) return;
+            const neighbours = amplitudes.slice(Math.max(0, i - 1), i + 2);
+            const smooth = Math.min(harmonic.amplitude, neighbours.reduce((sum, a) => sum + a, 0) / neighbours.length);
+            // A pure fundamental has no neighbours worth speaking of; it is removed entirely
+            const removed = estimate.harmonics.length === 1 || amplitudes.filter(a => a > 0).length === 1
+                ? harmonic.amplitude
+                : smooth;
+            residual[harmonic.peak] = Math.max(0, residual[harmonic.peak] - removed);
+        });
+    }
+}
+
+export { MultiPitchDetector };
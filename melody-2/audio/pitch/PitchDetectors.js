@@ -0,0 +1,41 @@
+import { YinDetector } from './YinDetector.js';
+import { McLeodDetector } from './McLeodDetector.js';
+import { HpsDetector } from './HpsDetector.js';
+
+/**
+ * PitchDetectors - Registry of pluggable pitch estimators for FrequencyAnalyzer
+ *
+ * Every detector implements detect(audioData, sampleRate, context) and returns
+ * { frequency, clarity } (clarity in 0..1) or null, where context carries
+ * minFrequency, maxFrequency and optional analyser frequencyData.
+ */
+class PitchDetectors {
+    static CLASSIC = 'classic'; // FrequencyAnalyzer's built-in autocorrelation/FFT peak picking
+
+    static ALGORITHMS = {
+        yin: YinDetector,
+        mcleod: McLeodDetector,
+        hps: HpsDetector
+    };
+
+    /**
+     * Names accepted by create(), classic first
+     * @return {Array<string>} Algorithm names
+     */
+    static names() {
+        return [this.CLASSIC, ...Object.keys(this.ALGORITHMS)];
+    }
+
+    /**
+     * Instantiate a detector by name
+     * @param {string} algorithm - One of names()
+     * @param {Object} options - Detector options, passed through from FrequencyAnalyzer
+     * @return {Object|null} Detector, or null for the classic path
+     */
+    static create(algorithm, options = {}) {
+        const Detector = this.ALGORITHMS[algorithm];
+        return Detector ? new Detector(options) : null;
+    }
+}
+
+export { PitchDetectors };
@@ -0,0 +1,75 @@
+/**
+ * YinDetector - YIN pitch estimator (de Cheveigné & Kawahara, 2002)
+ *
+ * Works on the cumulative mean normalized difference function, which keeps
+ * the true period ahead of its multiples; a good default for the voice.
+ */
+class YinDetector {
+    constructor(options = {}) {
+        this.threshold = options.yinThreshold || 0.15; // Absolute threshold on the normalized difference
+    }
+
+    /**
+     * Estimate the fundamental frequency of a frame
+     * @param {Float32Array} audioData - Time-domain samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {Object} range - { minFrequency, maxFrequency } in Hz
+     * @return {{frequency: number, clarity: number}|null} Estimate, or null if no period fits
+     */
+    detect(audioData, sampleRate, { minFrequency, maxFrequency }) {
+        const minLag = Math.max(2, Math.floor(sampleRate / maxFrequency));
+        const maxLag = Math.min(Math.floor(audioData.length / 2), Math.ceil(sampleRate / minFrequency));
+        if (maxLag <= minLag + 1) return null;
+
+        const windowSize = audioData.length - maxLag;
+        const cmnd = new Float32Array(maxLag + 1);
+        cmnd[0] = 1;
+
+        // Difference function, normalized by its running mean as we go
+        let runningSum = 0;
+        for (let lag = 1; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = 0; i < windowSize; i++) {
+                const delta = audioData[i] - audioData[i + lag];
+                sum += delta * delta;
+            }
+            runningSum += sum;
+            cmnd[lag] = runningSum > 0 ? sum * lag / runningSum : 1;
+        }
+
+        // First dip below the threshold, followed down to its local minimum
+        let bestLag = -1;
+        for (let lag = minLag; lag < maxLag; lag++) {
+            if (cmnd[lag] < this.threshold) {
+                while (lag + 1 < maxLag && cmnd[lag + 1] < cmnd[lag]) lag++;
+                bestLag = lag;
+                break;
+            }
+        }
+
+        // Nothing periodic enough: fall back to the global minimum with low clarity
+        if (bestLag === -1) {
+            bestLag = minLag;
+            for (let lag = minLag + 1; lag < maxLag; lag++) {
+                if (cmnd[lag] < cmnd[bestLag]) bestLag = lag;
+            }
+        }
+
+        const refinedLag = YinDetector.parabolicMinimum(cmnd, bestLag);
+        return {
+            frequency: sampleRate / refinedLag,
+            clarity: Math.max(0, Math.min(1, 1 - cmnd[bestLag]))
+        };
+    }
+
+    static parabolicMinimum(values, index) {
+        if (index <= 0 || index >= values.length - 1) return index;
+        const y1 = values[index - 1];
+        const y2 = values[index];
+        const y3 = values[index + 1];
+        const denominator = y1 - 2 * y2 + y3;
+        return denominator === 0 ? index : index + 0.5 * (y1 - y3) / denominator;
+    }
+}
+
+export { YinDetector };
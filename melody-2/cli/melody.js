@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * melody - Command-line transcription of WAV recordings
+ *
+ *   melody transcribe input.wav --bpm 100 --out take.mid --json take.json
+ *
+ * Runs the same analysis, segmentation and export code as the web app and
+ * writes its JSON and MIDI formats, so recordings can be batch-processed.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { WavUtils } from '../audio/WavUtils.js';
+import { Transcriber } from '../audio/Transcriber.js';
+import { MidiUtils } from '../audio/MidiUtils.js';
+import { NoteDetector } from '../audio/NoteDetector.js';
+import { NoteSegmenter } from '../audio/NoteSegmenter.js';
+import { Tuning } from '../audio/Tuning.js';
+import { InstrumentProfile } from '../audio/InstrumentProfile.js';
+import { PitchDetectors } from '../audio/pitch/PitchDetectors.js';
+
+const USAGE = `Usage: melody transcribe <input.wav> [options]
+
+Options:
+  --bpm <n>             Tempo of the beat grid (default 120)
+  --grid <n>            Quantization: 4 = quarter, 8 = eighth, 16 = sixteenth notes (default 16)
+  --tolerance <cents>   How far out of tune a pitch may be and still count (default ${NoteSegmenter.DEFAULT_TOLERANCE})
+  --profile <name>      Instrument or voice: ${InstrumentProfile.list().map(profile => profile.id).join(', ')} (default ${InstrumentProfile.DEFAULT});
+                        sets the note range, analysis window, noise floor and MIDI program
+  --range <low-high>    Note range of the custom profile, e.g. A1-E5 (implies --profile custom)
+  --noise-floor <dB>    Frames quieter than this are silence (default from the profile)
+  --algorithm <name>    Pitch detection: ${PitchDetectors.names().join(', ')} (default ${PitchDetectors.CLASSIC})
+  --reference <Hz>      Frequency of A4 (default ${Tuning.DEFAULT_REFERENCE})
+  --polyphonic          Track chords and simultaneous notes instead of a single melody line
+  --out <file.mid>      Write a Standard MIDI File
+  --json <file.json>    Write the melody as JSON
+  --velocity <curve>    MIDI velocity curve: fixed, ${Object.keys(MidiUtils.VELOCITY_CURVES).join(', ')} (default linear)
+  --expressive          Add pitch bends from each note's pitch track to the MIDI file (monophonic only)
+  --expression          Add expression (CC11) changes inside long notes to the MIDI file (monophonic only)
+  --ornaments           Mark vibrato and scoops in the MIDI file with text events and modulation (monophonic only)
+  -h, --help            Show this help
+
+Without --out or --json the melody JSON is written to standard output.`;
+
+const OPTIONS = {
+    bpm: { type: 'string', default: '120' },
+    grid: { type: 'string', default: '16' },
+    tolerance: { type: 'string', default: String(NoteSegmenter.DEFAULT_TOLERANCE) },
+    profile: { type: 'string', default: InstrumentProfile.DEFAULT },
+    range: { type: 'string' },
+    'noise-floor': { type: 'string' },
+    algorithm: { type: 'string', default: PitchDetectors.CLASSIC },
+    reference: { type: 'string', default: String(Tuning.DEFAULT_REFERENCE) },
+    polyphonic: { type: 'boolean', default: false },
+    out: { type: 'string' },
+    json: { type: 'string' },
+    velocity: { type: 'string', default: 'linear' },
+    expressive: { type: 'boolean', default: false },
+    expression: { type: 'boolean', default: false },
+    ornaments: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Build the instrument profile from --profile and --range
+function profileOption(values) {
+    if (values.range === undefined) {
+        if (values.profile === InstrumentProfile.CUSTOM) throw new Error("--profile custom needs --range");
+        if (!InstrumentProfile.list().some(profile => profile.id === values.profile)) {
+            throw new Error(`--profile must be one of ${InstrumentProfile.list().map(profile => profile.id).join(', ')}`);
+        }
+        return new InstrumentProfile({ id: values.profile });
+    }
+    const [lowest, highest] = values.range.toUpperCase().split('-').map(name => MidiUtils.noteToMidi(name || ''));
+    try {
+        return new InstrumentProfile({ id: InstrumentProfile.CUSTOM, lowest, highest });
+    } catch (err) {
+        throw new Error("--range must be two note names, lowest first, e.g. A1-E5");
+    }
+}
+
+// Parse a numeric option, rejecting anything outside [min, max]
+function numberOption(values, name, min, max) {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`--${name} must be a number from ${min} to ${max}`);
+    }
+    return value;
+}
+
+/**
+ * Transcribe one WAV file and write the requested outputs
+ * @param {string} input - Path of the WAV file
+ * @param {Object} values - Parsed options
+ */
+async function transcribe(input, values) {
+    const bpm = numberOption(values, 'bpm', 20, 300);
+    const quantization = numberOption(values, 'grid', 1, 64);
+    const tolerance = numberOption(values, 'tolerance', 1, 50);
+    const referenceFrequency = numberOption(values, 'reference', 380, 480);
+    if (!PitchDetectors.names().includes(values.algorithm)) {
+        throw new Error(`--algorithm must be one of ${PitchDetectors.names().join(', ')}`);
+    }
+    if (values.velocity !== 'fixed' && !MidiUtils.VELOCITY_CURVES[values.velocity]) {
+        throw new Error(`--velocity must be fixed or one of ${Object.keys(MidiUtils.VELOCITY_CURVES).join(', ')}`);
+    }
+
+    // The profile's frequency range follows the tuning
+    NoteDetector.setTuning(new Tuning({ referenceFrequency }));
+    const profile = profileOption(values);
+    const noiseFloor = values['noise-floor'] === undefined
+        ? profile.noiseFloor
+        : numberOption(values, 'noise-floor', -120, 0);
+    const { samples, sampleRate } = WavUtils.decode(await readFile(input));
+    const take = await Transcriber.transcribe(samples, sampleRate, {
+        analyzerOptions: { ...profile.analyzerOptions(), algorithm: values.algorithm, noiseFloor },
+        segmenterOptions: { bpm, tolerance, quantization, ...profile.segmenterOptions() },
+        polyphonic: values.polyphonic,
+        frameSize: profile.analysisFrameSize(values.polyphonic)
+    });
+    const melody = {
+        title: basename(input, extname(input)),
+        ...Transcriber.buildMelody(take, {
+            bpm,
+            pitchAlgorithm: values.algorithm,
+            transcription: { noiseFloor, tolerance, quantization, polyphonic: values.polyphonic },
+            polyphonic: values.polyphonic,
+            instrument: profile
+        }),
+        savedAt: new Date().toISOString()
+    };
+
+    const json = JSON.stringify(melody, null, 2);
+    if (values.json) await writeFile(values.json, json);
+    if (values.out) {
+        const midi = MidiUtils.melodyToMidi(melody.notes, melody.bpm, melody.key, {
+            expressive: values.expressive,
+            velocityCurve: values.velocity,
+            expressionEvents: values.expression,
+            ornaments: values.ornaments,
+            polyphonic: values.polyphonic,
+            program: profile.program,
+            tuning: melody.tuning
+        });
+        await writeFile(values.out, midi);
+    }
+    if (!values.json && !values.out) {
+        process.stdout.write(`${json}\n`);
+    }
+
+    const noteCount = melody.notes.filter(event => event.note !== "Pause").length;
+    const chordText = melody.chords ? `, ${melody.chords.length} chords` : "";
+    console.error(`${input}: ${noteCount} notes${chordText}, ${melody.totalDuration.toFixed(2)}s at ${bpm} BPM`);
+}
+
+async function main(args) {
+    const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    const [command, input] = positionals;
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (command !== 'transcribe' || !input || positionals.length > 2) {
+        console.error(USAGE);
+        return 1;
+    }
+    await transcribe(input, values);
+    return 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    err => {
+        console.error(`melody: ${err.message}`);
+        process.exitCode = 1;
+    }
+);
@@ -0,0 +1,341 @@
+/**
+ * MelodyLibrary - IndexedDB store of saved melodies
+ *
+ * Every melody gets a stable id and a title when it is added; titles, tags
+ * and a free-text description can be edited later. Deleting moves a melody
+ * to the trash (deletedAt is set) from where it can be restored or purged.
+ * The raw audio of a take lives in a separate store under the melody's id,
+ * so listing the library does not load recordings. Practice attempts are
+ * kept in a store of their own, indexed by melody id. The last number handed
+ * out is kept in a meta store and taken in the same transaction that stores
+ * the melody, so melodies added at the same time never share a number.
+ * Melodies from the old localStorage array are migrated on first open.
+ * An upgrade waits while another tab holds an older version open, and a tab
+ * closes its connection when a newer version needs to upgrade; the page is
+ * told of both through the constructor callbacks.
+ */
+class MelodyLibrary {
+    static DB_NAME = 'melody-library';
+    static DB_VERSION = 4;
+    static STORE = 'melodies';
+    static AUDIO_STORE = 'audio';
+    static ATTEMPT_STORE = 'attempts';
+    static META_STORE = 'meta';
+    static NUMBER_KEY = 'lastNumber'; // Meta entry holding the highest melody number handed out
+    static LEGACY_KEY = 'melodies'; // localStorage key used before the library existed
+
+    /**
+     * @param {Object} options - { onBlocked: called while an upgrade waits for other tabs,
+     *                           onVersionChange: called after closing for another tab's upgrade }
+     */
+    constructor(options = {}) {
+        this.db = null;
+        this.onBlocked = options.onBlocked || null;
+        this.onVersionChange = options.onVersionChange || null;
+    }
+
+    /**
+     * Open (and on first use create) the database and migrate legacy melodies
+     * @return {Promise<MelodyLibrary>} This library
+     */
+    async open() {
+        if (this.db) return this;
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(MelodyLibrary.DB_NAME, MelodyLibrary.DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) db.createObjectStore(MelodyLibrary.STORE, { keyPath: 'id' });
+                if (event.oldVersion < 2) db.createObjectStore(MelodyLibrary.AUDIO_STORE, { keyPath: 'id' });
+                if (event.oldVersion < 3) {
+                    db.createObjectStore(MelodyLibrary.ATTEMPT_STORE, { keyPath: 'id' }).createIndex('melodyId', 'melodyId');
+                }
+                if (event.oldVersion < 4) {
+                    const meta = db.createObjectStore(MelodyLibrary.META_STORE, { keyPath: 'name' });
+                    MelodyLibrary.countExisting(request.transaction.objectStore(MelodyLibrary.STORE), meta);
+                }
+            };
+            // Success follows once the other tabs close their connections
+            request.onblocked = () => {
+                if (this.onBlocked) this.onBlocked();
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+            if (this.onVersionChange) this.onVersionChange();
+        };
+        await this.migrateLegacy();
+        return this;
+    }
+
+    /**
+     * Move melodies from the localStorage array into the library, oldest first,
+     * so they are numbered in the order they were recorded
+     */
+    async migrateLegacy() {
+        let legacy;
+        try {
+            legacy = JSON.parse(localStorage.getItem(MelodyLibrary.LEGACY_KEY));
+        } catch (err) {
+            console.error('Stored melodies could not be read for migration:', err);
+            return;
+        }
+        if (!Array.isArray(legacy)) return;
+
+        const sorted = legacy.slice().sort((a, b) => new Date(a.savedAt) - new Date(b.savedAt));
+        await this.transaction('readwrite', (store, metaStore) => {
+            MelodyLibrary.takeNumbers(metaStore, sorted.length, first => {
+                sorted.forEach((melody, i) => store.put(this.createRecord(melody, first + i)));
+            });
+        }, [MelodyLibrary.STORE, MelodyLibrary.META_STORE]);
+        localStorage.removeItem(MelodyLibrary.LEGACY_KEY);
+    }
+
+    /**
+     * All melodies, newest first
+     * @param {Object} options - { includeDeleted, deletedOnly }
+     * @return {Promise<Array>} Melody records
+     */
+    async list(options = {}) {
+        const records = await this.request('readonly', store => store.getAll());
+        return records
+            .filter(record => {
+                if (options.deletedOnly) return !!record.deletedAt;
+                return options.includeDeleted || !record.deletedAt;
+            })
+            .sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+    }
+
+    /**
+     * @param {string} id - Melody id
+     * @return {Promise<Object|undefined>} The melody record
+     */
+    get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    /**
+     * Add a new melody
+     * @param {Object} melody - Melody ({ bpm, totalDuration, notes, key, ... })
+     * @param {Object} audio - Optional recording ({ blob, startTime, downbeatTime }) kept with it
+     * @return {Promise<Object>} The stored record with id, title and savedAt
+     */
+    async add(melody, audio = null) {
+        let record = null;
+        await this.transaction('readwrite', (store, audioStore, metaStore) => {
+            MelodyLibrary.takeNumbers(metaStore, 1, number => {
+                record = this.createRecord({
+                    ...melody,
+                    savedAt: new Date().toISOString(),
+                    hasAudio: !!audio
+                }, number);
+                store.put(record);
+                if (audio) audioStore.put({ ...audio, id: record.id });
+            });
+        }, [MelodyLibrary.STORE, MelodyLibrary.AUDIO_STORE, MelodyLibrary.META_STORE]);
+        return record;
+    }
+
+    /**
+     * Recording kept with a melody
+     * @param {string} id - Melody id
+     * @return {Promise<Object|undefined>} { id, blob, startTime, downbeatTime }; startTime is the time
+     *                                     (ms) of the first sample on the clock the take's frames used,
+     *                                     downbeatTime the metronome's first beat on that clock or null
+     */
+    getAudio(id) {
+        return this.request('readonly', store => store.get(id), MelodyLibrary.AUDIO_STORE);
+    }
+
+    /**
+     * Change fields of a melody
+     * @param {string} id - Melody id
+     * @param {Object} changes - Fields to replace
+     * @return {Promise<Object>} The updated record
+     */
+    async update(id, changes) {
+        const record = await this.get(id);
+        if (!record) throw new Error(`No melody with id ${id}`);
+        const updated = { ...record, ...changes, id };
+        await this.request('readwrite', store => store.put(updated));
+        return updated;
+    }
+
+    trash(id) {
+        return this.update(id, { deletedAt: new Date().toISOString() });
+    }
+
+    restore(id) {
+        return this.update(id, { deletedAt: null });
+    }
+
+    /**
+     * Save a practice attempt at a melody
+     * @param {string} melodyId - Melody id
+     * @param {Object} result - Score (see PracticeScorer.score)
+     * @return {Promise<Object>} The stored attempt with id, melodyId and date
+     */
+    async addAttempt(melodyId, result) {
+        const attempt = { ...result, id: MelodyLibrary.createId(), melodyId, date: new Date().toISOString() };
+        await this.request('readwrite', store => store.put(attempt), MelodyLibrary.ATTEMPT_STORE);
+        return attempt;
+    }
+
+    /**
+     * Practice attempts at a melody, oldest first
+     * @param {string} melodyId - Melody id
+     * @return {Promise<Array>} Attempts
+     */
+    async listAttempts(melodyId) {
+        const attempts = await this.request('readonly', store => store.index('melodyId').getAll(melodyId), MelodyLibrary.ATTEMPT_STORE);
+        return attempts.sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    // Delete a melody, its recording and its attempts for good
+    purge(id) {
+        return this.transaction('readwrite', (store, audioStore, attemptStore) => {
+            store.delete(id);
+            audioStore.delete(id);
+            MelodyLibrary.deleteAttempts(attemptStore, id);
+        }, [MelodyLibrary.STORE, MelodyLibrary.AUDIO_STORE, MelodyLibrary.ATTEMPT_STORE]);
+    }
+
+    async emptyTrash() {
+        const trashed = await this.list({ deletedOnly: true });
+        await this.transaction('readwrite', (store, audioStore, attemptStore) => trashed.forEach(record => {
+            store.delete(record.id);
+            audioStore.delete(record.id);
+            MelodyLibrary.deleteAttempts(attemptStore, record.id);
+        }), [MelodyLibrary.STORE, MelodyLibrary.AUDIO_STORE, MelodyLibrary.ATTEMPT_STORE]);
+    }
+
+    // Delete a melody's attempts inside a running transaction
+    static deleteAttempts(attemptStore, melodyId) {
+        const request = attemptStore.index('melodyId').openKeyCursor(IDBKeyRange.only(melodyId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            attemptStore.delete(cursor.primaryKey);
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Whether a melody passes a search filter
+     * @param {Object} melody - Melody record
+     * @param {Object} filter - { text, tag, key, minBpm, maxBpm, from, to }; empty fields match everything,
+     *                          key is a key name such as "A minor", from/to are dates (inclusive)
+     * @param {Function} keyName - Turns a stored key into its name
+     * @return {boolean}
+     */
+    static matches(melody, filter, keyName) {
+        const name = melody.key ? keyName(melody.key) : "";
+        if (filter.text) {
+            const haystack = [melody.title, melody.description, name, ...(melody.tags || [])].join(' ').toLowerCase();
+            if (!filter.text.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word))) {
+                return false;
+            }
+        }
+        if (filter.tag && !(melody.tags || []).includes(filter.tag)) return false;
+        if (filter.key && name !== filter.key) return false;
+        if (Number.isFinite(filter.minBpm) && !(melody.bpm >= filter.minBpm)) return false;
+        if (Number.isFinite(filter.maxBpm) && !(melody.bpm <= filter.maxBpm)) return false;
+
+        const saved = new Date(melody.savedAt);
+        if (filter.from && saved < new Date(`${filter.from}T00:00:00`)) return false;
+        if (filter.to && saved > new Date(`${filter.to}T23:59:59.999`)) return false;
+        return true;
+    }
+
+    /**
+     * Split a comma-separated tag list
+     * @param {string} text - e.g. "chorus, idea"
+     * @return {Array} Unique, trimmed, non-empty tags
+     */
+    static parseTags(text) {
+        return [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+    }
+
+    // Hand out `count` consecutive numbers inside a running transaction and call `use` with the
+    // first; numbers of purged melodies are never handed out again
+    static takeNumbers(metaStore, count, use) {
+        const request = metaStore.get(MelodyLibrary.NUMBER_KEY);
+        request.onsuccess = () => {
+            const last = request.result ? request.result.value : 0;
+            metaStore.put({ name: MelodyLibrary.NUMBER_KEY, value: last + count });
+            use(last + 1);
+        };
+    }
+
+    // Start the counter of a library from before it existed at its highest number, during the upgrade
+    static countExisting(store, metaStore) {
+        let last = 0;
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                last = Math.max(last, cursor.value.number || 0);
+                cursor.continue();
+            } else {
+                metaStore.put({ name: MelodyLibrary.NUMBER_KEY, value: last });
+            }
+        };
+    }
+
+    // Fill in library fields; `number` is the melody's permanent position in creation order
+    createRecord(melody, number) {
+        return {
+            ...melody,
+            id: melody.id || MelodyLibrary.createId(),
+            number,
+            title: melody.title || `Melody ${number}`,
+            tags: melody.tags || [],
+            description: melody.description || "",
+            deletedAt: melody.deletedAt || null
+        };
+    }
+
+    static createId() {
+        if (globalThis.crypto && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // Run one request against a store and resolve with its result
+    request(mode, operation, storeName = MelodyLibrary.STORE) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error("The melody library is closed"));
+                return;
+            }
+            const tx = this.db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            MelodyLibrary.rejectOnFailure(tx, reject);
+        });
+    }
+
+    // Run several writes in one transaction; the operation gets one object store per name
+    transaction(mode, operation, storeNames = [MelodyLibrary.STORE]) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error("The melody library is closed"));
+                return;
+            }
+            const tx = this.db.transaction(storeNames, mode);
+            operation(...storeNames.map(name => tx.objectStore(name)));
+            tx.oncomplete = () => resolve();
+            MelodyLibrary.rejectOnFailure(tx, reject);
+        });
+    }
+
+    // A transaction can abort without an error event (a full quota, an explicit abort),
+    // so the abort rejects too; after an error the first rejection wins
+    static rejectOnFailure(tx, reject) {
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    }
+}
+
+export { MelodyLibrary };
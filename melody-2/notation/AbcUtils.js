@@ -0,0 +1,435 @@
+import { MelodyTimeline } from './MelodyTimeline.js';
+import { MusicXmlUtils } from './MusicXmlUtils.js';
+import { KeyDetector } from '../analysis/KeyDetector.js';
+import { NoteDetector } from '../audio/NoteDetector.js';
+import { MidiUtils } from '../audio/MidiUtils.js';
+
+/**
+ * AbcUtils - ABC notation export and import for single-voice tunes
+ *
+ * Export lays the melody out in 4/4 the way MusicXML export does (same
+ * measures, note values and ties) and writes it with L:1/8, beaming the
+ * notes of each beat together. Import reads the common subset of ABC 2.1
+ * folk tunes use: header fields, key signatures with modes, accidentals
+ * that last to the barline, note lengths, broken rhythms, tuplets, ties,
+ * rests and repeats with first and second endings (which are played out).
+ * Chord symbols, decorations, grace notes and lyrics are skipped, and of a
+ * chord only its highest note is kept.
+ */
+class AbcUtils {
+    static UNIT_BEATS = 0.5;       // Exported note lengths are counted in eighths (L:1/8)
+    static MEASURES_PER_LINE = 4;
+    static DEFAULT_BPM = 120;      // Tempo of imported tunes without a Q: field
+    static POSITION_PRECISION = 1 / 960; // Beats; imported positions are rounded to this
+
+    // Semitones above C of each step, and key signature of each natural major tonic
+    static STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+    static TONIC_FIFTHS = { C: 0, G: 1, D: 2, A: 3, E: 4, B: 5, F: -1 };
+    // Key signature of each mode relative to the major key on the same tonic
+    static MODE_FIFTHS = { maj: 0, ion: 0, mix: -1, dor: -2, min: -3, aeo: -3, phr: -4, loc: -5, lyd: 1 };
+    static ACCIDENTALS = { '^^': 2, '^': 1, '=': 0, '_': -1, '__': -2 };
+
+    /**
+     * Converts a melody array to an ABC tune
+     * @param {Array} melody - Stored melody events with note, quantizedStart/quantizedEnd, duration
+     * @param {number} bpm - Beats per minute
+     * @param {Object} options - { title, fifths, mode } as for MusicXmlUtils.melodyToMusicXml
+     * @return {string} ABC tune with an X:1 header
+     */
+    static melodyToAbc(melody, bpm = 120, options = {}) {
+        const fifths = options.fifths || 0;
+        const mode = options.mode || 'major';
+        const key = KeyDetector.fromKeySignature(fifths, mode);
+        const timeline = MelodyTimeline.fromMelody(melody, bpm, 1 / MusicXmlUtils.DIVISIONS);
+        const measures = MusicXmlUtils.splitIntoMeasures(timeline);
+
+        const lines = [
+            'X:1',
+            `T:${(options.title || 'Melody').replace(/\s+/g, ' ')}`,
+            `M:${MusicXmlUtils.BEATS_PER_MEASURE}/${MusicXmlUtils.BEAT_TYPE}`,
+            `L:1/${4 / this.UNIT_BEATS}`,
+            `Q:1/4=${Math.round(bpm)}`,
+            `K:${key.tonic}${mode === 'minor' ? 'm' : ''}`
+        ];
+
+        const bars = measures.map(measure => this.measureToAbc(measure, fifths));
+        for (let i = 0; i < bars.length; i += this.MEASURES_PER_LINE) {
+            const last = i + this.MEASURES_PER_LINE >= bars.length;
+            lines.push(`${bars.slice(i, i + this.MEASURES_PER_LINE).join(' | ')} ${last ? '|]' : '|'}`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // One measure of pieces from MusicXmlUtils.splitIntoMeasures, notes within a beat beamed together
+    static measureToAbc(measure, fifths) {
+        const keyAlterations = MusicXmlUtils.keyAlterations(fifths);
+        const barAlterations = {};
+        let position = 0;
+        let text = '';
+        measure.forEach(piece => {
+            if (position > 0 && position % MusicXmlUtils.DIVISIONS === 0) text += ' ';
+            text += piece.note === "Pause" ? 'z' : this.pitchToAbc(piece, keyAlterations, barAlterations, fifths);
+            text += this.lengthToAbc(piece.divisions / (MusicXmlUtils.DIVISIONS * this.UNIT_BEATS));
+            if (piece.tieStart) text += '-';
+            position += piece.divisions;
+        });
+        return text;
+    }
+
+    // Accidental, letter and octave marks of a piece; middle C is "C", the octave above "c".
+    // Accidentals hold for the same step and octave until the barline, and carry over ties.
+    static pitchToAbc(piece, keyAlterations, barAlterations, fifths) {
+        const pitch = MusicXmlUtils.spellNote(piece.note, fifths);
+        const id = `${pitch.step}${pitch.octave}`;
+        let text = '';
+        if (!piece.tieStop && (barAlterations[id] ?? keyAlterations[pitch.step]) !== pitch.alter) {
+            text = { '-1': '_', '0': '=', '1': '^' }[pitch.alter];
+            barAlterations[id] = pitch.alter;
+        }
+        if (pitch.octave >= 5) {
+            text += pitch.step.toLowerCase() + "'".repeat(pitch.octave - 5);
+        } else {
+            text += pitch.step + ','.repeat(4 - pitch.octave);
+        }
+        return text;
+    }
+
+    // Length multiplier in unit notes: 1 -> "", 3 -> "3", 1/2 -> "/", 3/2 -> "3/2"
+    static lengthToAbc(units) {
+        if (units === 1) return '';
+        if (Number.isInteger(units)) return String(units);
+        const halves = Math.round(units * 2);
+        return halves === 1 ? '/' : `${halves}/2`;
+    }
+
+    /**
+     * Split pasted text into tunes, each starting at an X: field
+     * @param {string} text - One or more ABC tunes
+     * @return {Array<string>} Tunes; text without X: fields is taken as a single tune
+     */
+    static splitTunes(text) {
+        const tunes = [];
+        let current = null;
+        String(text).split(/\r?\n/).forEach(line => {
+            if (/^X:/.test(line)) {
+                current = [];
+                tunes.push(current);
+            }
+            if (current) current.push(line);
+        });
+        return tunes.length ? tunes.map(lines => lines.join('\n')) : [String(text)];
+    }
+
+    /**
+     * Convert a single-voice ABC tune into the stored melody format
+     * @param {string} text - ABC tune (the first one, if there are several)
+     * @return {Object} { title, bpm, totalDuration, notes } with Pause events for rests, plus
+     *                  keySignature ({ fifths, mode }) when K: gives a major or minor key
+     */
+    static abcToMelody(text) {
+        const tune = this.splitTunes(text)[0];
+        const state = {
+            title: undefined,
+            meter: 1,
+            unit: null,                   // L: in whole notes; defaults from the meter
+            bpm: null,
+            key: { fifths: 0, mode: null },   // A tune without K: has its key estimated
+            voices: new Set()
+        };
+
+        // Header fields up to K:, then the body with its own field lines and inline fields
+        const bodyLines = [];
+        let inBody = false;
+        tune.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.replace(/%.*$/, '');
+            const field = line.match(/^([A-Za-z]):(.*)$/);
+            if (field) {
+                if (inBody) {
+                    // Words, parts and the like do not change the notes
+                    if ('KLMQV'.includes(field[1])) bodyLines.push(`[${field[1]}:${field[2].trim()}]`);
+                } else {
+                    this.applyField(state, field[1], field[2].trim());
+                    if (field[1] === 'K') inBody = true;
+                }
+            } else if (line.trim()) {
+                inBody = true;
+                bodyLines.push(line.replace(/\\\s*$/, ''));
+            }
+        });
+        if (state.unit === null) state.unit = state.meter < 0.75 ? 1 / 16 : 1 / 8;
+
+        const events = this.parseBody(bodyLines.join('\n'), state);
+        const bpm = state.bpm || this.DEFAULT_BPM;
+        const melody = { title: state.title, bpm, ...this.eventsToNotes(events, bpm) };
+        if (state.key.mode) melody.keySignature = { fifths: state.key.fifths, mode: state.key.mode };
+        return melody;
+    }
+
+    // Header or inline field; unknown fields are ignored
+    static applyField(state, name, value) {
+        switch (name) {
+            case 'T':
+                if (state.title === undefined && value) state.title = value;
+                break;
+            case 'M':
+                state.meter = this.parseMeter(value);
+                break;
+            case 'L': {
+                const unit = this.parseFraction(value);
+                if (!unit) throw new Error(`Invalid ABC unit note length: ${value}`);
+                state.unit = unit;
+                break;
+            }
+            case 'Q':
+                state.bpm = this.parseTempo(value, state.unit ?? 1 / 8) ?? state.bpm;
+                break;
+            case 'K':
+                state.key = this.parseKey(value);
+                break;
+            case 'V':
+                state.voices.add(value.split(/\s/)[0]);
+                if (state.voices.size > 1) throw new Error("Only single-voice ABC tunes can be imported");
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Meter as a fraction of a whole note; C is 4/4 and C| 2/2
+    static parseMeter(value) {
+        if (/^C\|?$/.test(value)) return 1;
+        return this.parseFraction(value) || 1;
+    }
+
+    static parseFraction(value) {
+        const match = String(value).match(/^\s*(\d+)\s*\/\s*(\d+)/);
+        return match && Number(match[2]) > 0 ? Number(match[1]) / Number(match[2]) : null;
+    }
+
+    /**
+     * Tempo in quarter notes per minute
+     * @param {string} value - Q: field, e.g. "1/4=120", "3/8=80", "\"Allegro\" 1/4=132" or a bare "200" (unit notes)
+     * @param {number} unit - Unit note length in whole notes
+     * @return {number|null} BPM, or null when the field gives none
+     */
+    static parseTempo(value, unit) {
+        const text = value.replace(/"[^"]*"/g, ' ');
+        const match = text.match(/((?:\d+\/\d+\s*)+)=\s*(\d+(?:\.\d+)?)/);
+        if (match) {
+            const beat = match[1].trim().split(/\s+/).reduce((sum, part) => sum + this.parseFraction(part), 0);
+            return Math.round(Number(match[2]) * beat * 4);
+        }
+        const bare = text.match(/^\s*(\d+(?:\.\d+)?)\s*$/);
+        return bare ? Math.round(Number(bare[1]) * unit * 4) : null;
+    }
+
+    /**
+     * Key signature of a K: field
+     * @param {string} value - e.g. "G", "Em", "F#m", "Bb", "D mix", "A dorian", "none"
+     * @return {Object} { fifths, mode ('major' | 'minor', or null for the other modes) }
+     */
+    static parseKey(value) {
+        const match = value.match(/^\s*([A-G])([#b]?)\s*([A-Za-z]*)/);
+        if (!match) return { fifths: 0, mode: 'major' };   // "none", "HP" and the like
+        const modeName = match[3].toLowerCase();
+        const mode = modeName === 'm' ? 'min' : (modeName.slice(0, 3) || 'maj');
+        if (!(mode in this.MODE_FIFTHS)) {
+            // Anything else after the tonic (clef=..., exp, ...) is not a mode
+            return this.parseKey(`${match[1]}${match[2]}`);
+        }
+        const accidental = match[2] === '#' ? 7 : match[2] === 'b' ? -7 : 0;
+        return {
+            fifths: this.TONIC_FIFTHS[match[1]] + accidental + this.MODE_FIFTHS[mode],
+            mode: mode === 'maj' || mode === 'ion' ? 'major' : mode === 'min' || mode === 'aeo' ? 'minor' : null
+        };
+    }
+
+    /**
+     * Notes and rests of a tune body, with repeats played out
+     * @param {string} body - Body lines (field lines already turned into inline fields)
+     * @param {Object} state - Parser state: unit, meter, key (updated by inline fields)
+     * @return {Array} { midi (-1 for rests), beats, id (step and octave of notes) }
+     */
+    static parseBody(body, state) {
+        const events = [];
+        let keyAlterations = MusicXmlUtils.keyAlterations(state.key.fifths);
+        let barAlterations = {};       // Accidentals in force until the barline, by step and octave
+        let tuplet = null;             // { factor, remaining }
+        let nextFactor = 1;            // Second note of a broken rhythm
+        let tie = false;               // The last note is tied to the next
+        let sectionStart = 0;          // Where the current repeat began
+        let firstEnding = null;        // Where the first ending of the current repeat began
+
+        const add = (midi, beats, id = null) => {
+            let length = beats * nextFactor;
+            nextFactor = 1;
+            if (tuplet) {
+                length *= tuplet.factor;
+                if (--tuplet.remaining === 0) tuplet = null;
+            }
+            const last = events[events.length - 1];
+            if (tie && last && last.midi === midi && midi >= 0) {
+                last.beats += length;
+            } else {
+                events.push({ midi, beats: length, id });
+            }
+            tie = false;
+        };
+        const endRepeat = () => {
+            events.push(...events.slice(sectionStart, firstEnding ?? events.length).map(event => ({ ...event })));
+            sectionStart = events.length;
+            firstEnding = null;
+        };
+        const unitBeats = () => state.unit * 4;
+
+        let i = 0;
+        while (i < body.length) {
+            const char = body[i];
+            const rest = body.slice(i);
+            let match;
+
+            if (/\s|`|y/.test(char)) {
+                i++;
+            } else if (char === '"' || char === '!' || char === '+' || char === '{') {
+                // Chord symbols and annotations, decorations, grace notes
+                const close = body.indexOf(char === '{' ? '}' : char, i + 1);
+                i = close === -1 ? body.length : close + 1;
+            } else if ((match = rest.match(/^\[([A-Za-z]):([^\]]*)\]/))) {
+                this.applyField(state, match[1], match[2].trim());
+                if (match[1] === 'K') keyAlterations = MusicXmlUtils.keyAlterations(state.key.fifths);
+                i += match[0].length;
+            } else if ((match = rest.match(/^:*\[?\|+\]?:*|^:+/)) || (match = rest.match(/^\[\|/))) {
+                // Barlines, with repeat signs on either side
+                const token = match[0];
+                barAlterations = {};
+                if (token.startsWith(':')) endRepeat();
+                if (token.endsWith(':')) {
+                    sectionStart = events.length;
+                    firstEnding = null;
+                }
+                i += token.length;
+            } else if ((match = rest.match(/^\[?(\d+)/)) && (char === '[' || /[|:\]]/.test(body[i - 1] || ''))) {
+                // First ending, right after a barline; later endings follow the played-out repeat
+                if (match[1] === '1') firstEnding = events.length;
+                i += match[0].length;
+                while (/[,\-\d]/.test(body[i] || '')) i++;
+            } else if ((match = rest.match(/^\((\d+)(?::(\d*))?(?::(\d*))?/))) {
+                const p = Number(match[1]);
+                const q = Number(match[2]) || ({ 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 }[p] ?? (state.meter * 8 % 3 === 0 ? 3 : 2));
+                tuplet = { factor: q / p, remaining: Number(match[3]) || p };
+                i += match[0].length;
+            } else if ((match = rest.match(/^(>+|<+)/))) {
+                // Broken rhythm: dotted first note and shortened second, or the reverse
+                const shift = Math.pow(0.5, match[1].length);
+                const last = events[events.length - 1];
+                const longer = match[1][0] === '>';
+                if (last) last.beats *= longer ? 2 - shift : shift;
+                nextFactor = longer ? shift : 2 - shift;
+                i += match[1].length;
+            } else if (char === '-') {
+                tie = true;
+                i++;
+            } else if ((match = rest.match(/^([zx])(\d*\/*\d*)/))) {
+                add(-1, this.parseLength(match[2]) * unitBeats());
+                i += match[0].length;
+            } else if ((match = rest.match(/^[ZX](\d*)/))) {
+                add(-1, (Number(match[1]) || 1) * state.meter * 4);
+                i += match[0].length;
+            } else if ((match = rest.match(/^\[((?:[_=^]*[A-Ga-g][',]*\d*\/*\d*\s*)+)\](\d*\/*\d*)/))) {
+                // Chord: its highest note, for the length of its first note
+                const notes = [...match[1].matchAll(/([_=^]*)([A-Ga-g])([',]*)(\d*\/*\d*)/g)]
+                    .map(note => ({
+                        midi: this.noteToMidi(note, keyAlterations, barAlterations),
+                        length: this.parseLength(note[4])
+                    }));
+                const top = Math.max(...notes.map(note => note.midi));
+                add(top, notes[0].length * this.parseLength(match[2]) * unitBeats(), `chord${top}`);
+                i += match[0].length;
+            } else if ((match = rest.match(/^([_=^]*)([A-Ga-g])([',]*)(\d*\/*\d*)/))) {
+                const id = this.noteId(match);
+                const last = events[events.length - 1];
+                // A note tied over the barline keeps its accidental
+                const midi = tie && !match[1] && last && last.id === id
+                    ? last.midi
+                    : this.noteToMidi(match, keyAlterations, barAlterations);
+                add(midi, this.parseLength(match[4]) * unitBeats(), id);
+                i += match[0].length;
+            } else {
+                // Slurs, decoration shortcuts and anything else that does not change the notes
+                i++;
+            }
+        }
+        return events;
+    }
+
+    /**
+     * MIDI note of a parsed note, updating the accidentals in force in the bar
+     * @param {Array} match - [, accidentals, letter, octave marks]
+     * @param {Object} keyAlterations - From the key signature, by step
+     * @param {Object} barAlterations - Set in this bar, by step and octave
+     * @return {number} MIDI note
+     */
+    static noteToMidi(match, keyAlterations, barAlterations) {
+        const [, accidental, letter] = match;
+        const step = letter.toUpperCase();
+        const id = this.noteId(match);
+        const octave = Number(id.slice(1));
+        if (accidental) {
+            if (!(accidental in this.ACCIDENTALS)) throw new Error(`Invalid ABC accidental: ${accidental}`);
+            barAlterations[id] = this.ACCIDENTALS[accidental];
+        }
+        const alter = barAlterations[id] ?? keyAlterations[step];
+        return (octave + 1) * 12 + this.STEP_SEMITONES[step] + alter;
+    }
+
+    // Step and octave of a parsed note, e.g. "C5" for c
+    static noteId(match) {
+        const [, , letter, marks] = match;
+        let octave = letter === letter.toUpperCase() ? 4 : 5;
+        for (const mark of marks) octave += mark === "'" ? 1 : -1;
+        return `${letter.toUpperCase()}${octave}`;
+    }
+
+    // Length multiplier: "" 1, "3" 3, "/" 1/2, "//" 1/4, "3/2" 3/2, "/4" 1/4
+    static parseLength(text) {
+        const match = text.match(/^(\d*)(\/*)(\d*)$/);
+        if (!match) return 1;
+        const numerator = match[1] ? Number(match[1]) : 1;
+        const slashes = match[2].length;
+        if (slashes === 0) return numerator;
+        const denominator = match[3] ? Number(match[3]) : Math.pow(2, slashes);
+        return numerator / denominator;
+    }
+
+    // Stored melody events from notes and rests in beats; rests at either end are dropped.
+    // Positions are rounded to POSITION_PRECISION so triplets do not leave float residue.
+    static eventsToNotes(events, bpm) {
+        const first = events.findIndex(event => event.midi >= 0);
+        if (first === -1) return { totalDuration: 0, notes: [] };
+        let last = events.length - 1;
+        while (events[last].midi < 0) last--;
+
+        const round = beats => Math.round(beats / this.POSITION_PRECISION) * this.POSITION_PRECISION;
+        const notes = [];
+        let beat = 0;
+        events.slice(first, last + 1).forEach(event => {
+            const previous = notes[notes.length - 1];
+            const start = round(beat);
+            beat += event.beats;
+            const end = round(beat);
+            if (event.midi < 0 && previous && previous.note === "Pause") {
+                previous.quantizedEnd = end;
+                previous.duration = previous.rawDuration = (end - previous.quantizedStart) * 60 / bpm;
+                return;
+            }
+            const note = event.midi < 0 ? "Pause" : MidiUtils.midiToNote(event.midi);
+            const duration = (end - start) * 60 / bpm;
+            const melodyEvent = { note, rawDuration: duration, duration, quantizedStart: start, quantizedEnd: end, timestamp: start * 60 / bpm };
+            if (event.midi >= 0) melodyEvent.frequency = NoteDetector.midiToFrequency(event.midi);
+            notes.push(melodyEvent);
+        });
+        return { totalDuration: notes.reduce((sum, n) => sum + n.duration, 0), notes };
+    }
+}
+
+export { AbcUtils };
@@ -0,0 +1,231 @@
+import { MidiUtils } from '../audio/MidiUtils.js';
+import { NoteDetector } from '../audio/NoteDetector.js';
+
+/**
+ * LivePianoRoll - Scrolling view of a take while it is recorded
+ *
+ * Pitch frames are kept for the last SECONDS_VISIBLE and drawn as a
+ * continuous contour over one lane per semitone, with the current time at the
+ * right edge. Notes the segmenter has committed are drawn as bars where the
+ * beat grid put them, the note still sounding as an open bar, and beat and
+ * bar lines come from the take's tempo and downbeat. The lanes follow the
+ * recent pitches within the instrument's range. Times are in ms on the frame
+ * clock. Drawing only uses the canvas 2D context it is handed, so the class
+ * has no DOM dependencies of its own.
+ */
+class LivePianoRoll {
+    static SECONDS_VISIBLE = 6;
+    static LANES = 25;              // Semitones shown at once: two octaves, both ends included
+    static FOLLOW_SECONDS = 1;      // Recent pitches the lanes are centred on
+    static FOLLOW_RATE = 0.15;      // Fraction of the way the lanes move towards them per redraw
+    static MAX_GAP = 100;           // ms; frames further apart are not joined by the contour
+    static MAX_JUMP = 1;            // Semitones; pitches further apart between frames are not joined
+    static LABEL_WIDTH = 28;        // Lane labels on the left
+
+    static COLORS = {
+        background: '#fff',
+        sharpLane: '#f3f3f3',
+        laneLine: '#e4e4e4',
+        beatLine: '#d0d0d0',
+        barLine: '#909090',
+        label: '#666',
+        note: '#4CAF50',
+        sounding: 'rgba(76, 175, 80, 0.45)',
+        contour: '#1565c0'
+    };
+
+    /**
+     * @param {Object} options - { minMidi, maxMidi } range the lanes may scroll over,
+     *                           tuning the take's notes are named in (the current one by default)
+     */
+    constructor(options = {}) {
+        this.minMidi = options.minMidi ?? 40;
+        this.maxMidi = options.maxMidi ?? 84;
+        this.tuning = options.tuning || NoteDetector.tuning;
+        this.frames = [];
+        // Lowest lane, fractional while the view glides towards the singer
+        this.low = this.clampLow((this.minMidi + this.maxMidi) / 2 - (LivePianoRoll.LANES - 1) / 2);
+    }
+
+    /**
+     * Keep one analysed frame
+     * @param {number} time - Frame time in ms
+     * @param {number|Array<number>|null} pitch - Frequency in Hz, the frequencies of a polyphonic frame, or null
+     */
+    addFrame(time, pitch) {
+        const pitches = (Array.isArray(pitch) ? pitch : [pitch]).filter(frequency => frequency > 0);
+        this.frames.push({ time, midis: pitches.map(frequency => LivePianoRoll.frequencyToMidi(frequency, this.tuning)) });
+        const horizon = time - LivePianoRoll.SECONDS_VISIBLE * 1000;
+        while (this.frames.length && this.frames[0].time < horizon) this.frames.shift();
+    }
+
+    // Fractional MIDI note of a frequency: the note the tuning names it plus its cents off that
+    // note, so a pitch sung in tune sits in the middle of its lane in any tuning system
+    static frequencyToMidi(frequency, tuning = NoteDetector.tuning) {
+        const midi = tuning.frequencyToMidi(frequency);
+        return midi + 12 * Math.log2(frequency / tuning.midiToFrequency(midi));
+    }
+
+    // Keep the lanes within the range, or centred on it when it is narrower than the view
+    clampLow(low) {
+        const highest = this.maxMidi - (LivePianoRoll.LANES - 1);
+        if (highest < this.minMidi) return (this.minMidi + highest) / 2;
+        return Math.min(Math.max(low, this.minMidi), highest);
+    }
+
+    /**
+     * Move the lanes part of the way towards the pitches of the last FOLLOW_SECONDS
+     * @param {number} now - Current time in ms
+     */
+    follow(now) {
+        const recent = this.frames
+            .filter(frame => frame.time >= now - LivePianoRoll.FOLLOW_SECONDS * 1000)
+            .flatMap(frame => frame.midis);
+        if (recent.length === 0) return;
+        const centre = (Math.min(...recent) + Math.max(...recent)) / 2;
+        const target = this.clampLow(centre - (LivePianoRoll.LANES - 1) / 2);
+        this.low += (target - this.low) * LivePianoRoll.FOLLOW_RATE;
+    }
+
+    /**
+     * Pitch contour as polylines; silence, gaps and jumps between notes break it
+     * @return {Array<Array>} Lines of [time (ms), midi] points
+     */
+    contour() {
+        const lines = [];
+        let open = [];
+        let previousTime = null;
+        this.frames.forEach(frame => {
+            const continued = previousTime !== null && frame.time - previousTime <= LivePianoRoll.MAX_GAP;
+            const next = frame.midis.map(midi => {
+                const line = continued && open.find(candidate =>
+                    Math.abs(candidate[candidate.length - 1][1] - midi) <= LivePianoRoll.MAX_JUMP);
+                if (line) {
+                    // Each line continues with at most one pitch of the frame
+                    open = open.filter(candidate => candidate !== line);
+                    line.push([frame.time, midi]);
+                    return line;
+                }
+                const started = [[frame.time, midi]];
+                lines.push(started);
+                return started;
+            });
+            open = next;
+            previousTime = frame.time;
+        });
+        return lines;
+    }
+
+    /**
+     * Beat and bar lines in view
+     * @param {number} now - Current time in ms
+     * @param {number|null} beatStartTime - Time of beat 0, or null before the grid is known
+     * @param {number} bpm - Beats per minute
+     * @param {number} beatsPerBar - Beats per bar
+     * @return {Array} { time, downbeat } oldest first; count-in beats before beat 0 included
+     */
+    static beatLines(now, beatStartTime, bpm, beatsPerBar = 4) {
+        if (beatStartTime === null || beatStartTime === undefined) return [];
+        const beatMs = 60000 / bpm;
+        const first = Math.ceil((now - this.SECONDS_VISIBLE * 1000 - beatStartTime) / beatMs);
+        const last = Math.floor((now - beatStartTime) / beatMs);
+        const lines = [];
+        for (let beat = first; beat <= last; beat++) {
+            lines.push({ time: beatStartTime + beat * beatMs, downbeat: ((beat % beatsPerBar) + beatsPerBar) % beatsPerBar === 0 });
+        }
+        return lines;
+    }
+
+    /**
+     * Bars of the committed notes, placed on the beat grid
+     * @param {Array} melody - Segmenter events with note and quantizedStart/quantizedEnd (beats)
+     * @param {number|null} beatStartTime - Time of beat 0
+     * @param {number} bpm - Beats per minute
+     * @return {Array} { midi, start, end } in ms
+     */
+    static noteBars(melody, beatStartTime, bpm) {
+        if (beatStartTime === null || beatStartTime === undefined) return [];
+        const beatMs = 60000 / bpm;
+        return melody
+            .filter(event => event.note !== "Pause" && Number.isFinite(event.quantizedStart) && Number.isFinite(event.quantizedEnd))
+            .map(event => ({
+                midi: MidiUtils.noteToMidi(event.note),
+                start: beatStartTime + event.quantizedStart * beatMs,
+                end: beatStartTime + event.quantizedEnd * beatMs
+            }));
+    }
+
+    /**
+     * Draw the view
+     * @param {CanvasRenderingContext2D} ctx - Context to draw on
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {number} now - Current time in ms, at the right edge
+     * @param {Object} take - { melody (committed events), sounding ({ midi, startTime } still open),
+     *                        beatStartTime, bpm, beatsPerBar }
+     */
+    draw(ctx, width, height, now, take = {}) {
+        const colors = LivePianoRoll.COLORS;
+        const laneHeight = height / LivePianoRoll.LANES;
+        const left = LivePianoRoll.LABEL_WIDTH;
+        const pxPerMs = (width - left) / (LivePianoRoll.SECONDS_VISIBLE * 1000);
+        const x = time => width - (now - time) * pxPerMs;
+        // Lane centres; the lowest lane sits at the bottom
+        const y = midi => height - (midi - this.low + 0.5) * laneHeight;
+        const bpm = take.bpm || 120;
+
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(0, 0, width, height);
+
+        // Lanes, shaded for the black keys
+        for (let midi = Math.floor(this.low); midi <= Math.ceil(this.low + LivePianoRoll.LANES); midi++) {
+            const top = y(midi) - laneHeight / 2;
+            if (MidiUtils.midiToNote(midi).includes('#')) {
+                ctx.fillStyle = colors.sharpLane;
+                ctx.fillRect(left, top, width - left, laneHeight);
+            }
+            ctx.fillStyle = colors.laneLine;
+            ctx.fillRect(left, top + laneHeight - 0.5, width - left, 0.5);
+        }
+
+        LivePianoRoll.beatLines(now, take.beatStartTime, bpm, take.beatsPerBar).forEach(line => {
+            ctx.fillStyle = line.downbeat ? colors.barLine : colors.beatLine;
+            ctx.fillRect(x(line.time), 0, line.downbeat ? 1.5 : 1, height);
+        });
+
+        ctx.fillStyle = colors.note;
+        LivePianoRoll.noteBars(take.melody || [], take.beatStartTime, bpm).forEach(bar => {
+            if (bar.end < now - LivePianoRoll.SECONDS_VISIBLE * 1000) return;
+            ctx.fillRect(x(bar.start), y(bar.midi) - laneHeight / 2, Math.max(1, (bar.end - bar.start) * pxPerMs), laneHeight);
+        });
+        ctx.fillStyle = colors.sounding;
+        (take.sounding || []).forEach(note => {
+            ctx.fillRect(x(note.startTime), y(note.midi) - laneHeight / 2, Math.max(1, (now - note.startTime) * pxPerMs), laneHeight);
+        });
+
+        ctx.strokeStyle = colors.contour;
+        ctx.lineWidth = 2;
+        this.contour().forEach(line => {
+            ctx.beginPath();
+            line.forEach(([time, midi], i) => {
+                if (i === 0) ctx.moveTo(x(time), y(midi));
+                else ctx.lineTo(x(time), y(midi));
+            });
+            // A single frame still shows as a dot
+            if (line.length === 1) ctx.lineTo(x(line[0][0]) + 1, y(line[0][1]));
+            ctx.stroke();
+        });
+
+        // C lanes are labelled in a margin that hides what scrolled under it
+        ctx.fillStyle = colors.background;
+        ctx.fillRect(0, 0, left, height);
+        ctx.fillStyle = colors.label;
+        ctx.font = `${Math.min(10, laneHeight * 1.6)}px sans-serif`;
+        ctx.textBaseline = 'middle';
+        for (let midi = Math.ceil(this.low); midi < this.low + LivePianoRoll.LANES; midi++) {
+            if (midi % 12 === 0) ctx.fillText(MidiUtils.midiToNote(midi), 2, y(midi));
+        }
+    }
+}
+
+export { LivePianoRoll };
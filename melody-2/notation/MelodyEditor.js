@@ -0,0 +1,350 @@
+import { MidiUtils } from '../audio/MidiUtils.js';
+import { MelodyTimeline } from './MelodyTimeline.js';
+import { ExpressionAnalyzer } from '../analysis/ExpressionAnalyzer.js';
+
+/**
+ * MelodyEditor - Edit operations with undo/redo on a stored melody
+ *
+ * The melody is held as a gapless list of notes and rests whose
+ * quantizedStart/quantizedEnd (beats) are authoritative. Every operation
+ * snaps to the grid, re-fills gaps with rests and records one undo step.
+ * Notes whose timing changes are re-timed onto their written length, so
+ * their pitch track and rawDuration stay consistent with the grid.
+ */
+class MelodyEditor {
+    static MAX_HISTORY = 100;
+
+    /**
+     * @param {Array} notes - Stored melody events
+     * @param {number} bpm - Beats per minute the melody was saved with
+     * @param {Object} options - { grid } grid size in beats
+     */
+    constructor(notes, bpm, options = {}) {
+        this.bpm = bpm;
+        this.grid = options.grid || MelodyTimeline.GRID;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.events = MelodyTimeline.fromMelody(notes, bpm, this.grid).map(item => {
+            if (item.note === "Pause") return this.createRest(item.start, item.end);
+            return {
+                ...JSON.parse(JSON.stringify(notes[item.index])),
+                quantizedStart: item.start,
+                quantizedEnd: item.end
+            };
+        });
+    }
+
+    /**
+     * Stored melody events for the edited melody
+     * @return {Array} Events with duration and timestamp derived from the beat positions
+     */
+    toNotes() {
+        const secondsPerBeat = 60 / this.bpm;
+        return this.events.map(event => {
+            const duration = (event.quantizedEnd - event.quantizedStart) * secondsPerBeat;
+            return {
+                ...event,
+                duration,
+                rawDuration: event.rawDuration ?? duration,
+                timestamp: event.quantizedStart * secondsPerBeat
+            };
+        });
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo()) return;
+        this.redoStack.push(this.events);
+        this.events = this.undoStack.pop();
+    }
+
+    redo() {
+        if (!this.canRedo()) return;
+        this.undoStack.push(this.events);
+        this.events = this.redoStack.pop();
+    }
+
+    /**
+     * Move notes up or down
+     * @param {Array} indices - Event indices; rests are ignored
+     * @param {number} semitones - Signed interval
+     */
+    transpose(indices, semitones) {
+        this.apply(events => {
+            indices.forEach(index => {
+                const event = events[index];
+                if (event && event.note !== "Pause") {
+                    this.setMidi(event, MidiUtils.noteToMidi(event.note) + semitones);
+                }
+            });
+        });
+    }
+
+    /**
+     * Give a note a new pitch
+     * @param {number} index - Event index
+     * @param {number} midi - MIDI note number
+     */
+    setPitch(index, midi) {
+        this.apply(events => {
+            if (events[index] && events[index].note !== "Pause") this.setMidi(events[index], midi);
+        });
+    }
+
+    /**
+     * Move a note to a new start, keeping its length; whatever it lands on is cut back
+     * @param {number} index - Event index
+     * @param {number} start - New start in beats
+     * @param {number} semitones - Optional transposition applied in the same undo step
+     */
+    move(index, start, semitones = 0) {
+        const event = this.events[index];
+        if (!event || event.note === "Pause") return;
+        const length = event.quantizedEnd - event.quantizedStart;
+        const snapped = Math.max(0, this.snap(start));
+        this.place(index, snapped, snapped + length, semitones);
+    }
+
+    /**
+     * Change where a note ends
+     * @param {number} index - Event index
+     * @param {number} end - New end in beats; at least one grid step after the start
+     */
+    resize(index, end) {
+        const event = this.events[index];
+        if (!event || event.note === "Pause") return;
+        this.place(index, event.quantizedStart, Math.max(event.quantizedStart + this.grid, this.snap(end)));
+    }
+
+    /**
+     * Split a note in two at a grid position
+     * @param {number} index - Event index
+     * @param {number} at - Split point in beats; defaults to the middle of the note
+     */
+    split(index, at) {
+        const event = this.events[index];
+        if (!event || event.note === "Pause") return;
+        const middle = (event.quantizedStart + event.quantizedEnd) / 2;
+        const cut = this.snap(at ?? middle);
+        if (cut <= event.quantizedStart || cut >= event.quantizedEnd) return;
+
+        this.apply(events => {
+            const secondsPerBeat = 60 / this.bpm;
+            const first = events[index];
+            const second = JSON.parse(JSON.stringify(first));
+            const cutSeconds = (cut - first.quantizedStart) * secondsPerBeat;
+            const track = this.writtenTrack(first);
+
+            first.quantizedEnd = cut;
+            first.pitchTrack = track.filter(frame => frame[0] < cutSeconds);
+            first.rawDuration = cutSeconds;
+            this.refreshExpression(first);
+
+            second.quantizedStart = cut;
+            second.pitchTrack = track
+                .filter(frame => frame[0] >= cutSeconds)
+                .map(([seconds, ...rest]) => [Math.round((seconds - cutSeconds) * 1000) / 1000, ...rest]);
+            second.rawDuration = (second.quantizedEnd - cut) * secondsPerBeat;
+            this.refreshExpression(second, null);
+            events.splice(index + 1, 0, second);
+        });
+    }
+
+    /**
+     * Merge the span from the first to the last selected event into one note
+     * with the pitch of its first note
+     * @param {Array} indices - Event indices
+     */
+    merge(indices) {
+        const sorted = indices.filter(index => this.events[index]).sort((a, b) => a - b);
+        if (sorted.length < 2) return;
+        const from = sorted[0];
+        const to = sorted[sorted.length - 1];
+        const span = this.events.slice(from, to + 1);
+        const firstNote = span.find(event => event.note !== "Pause");
+        if (!firstNote) return;
+
+        this.apply(events => {
+            const secondsPerBeat = 60 / this.bpm;
+            const start = span[0].quantizedStart;
+            const merged = JSON.parse(JSON.stringify(firstNote));
+            merged.quantizedStart = start;
+            merged.quantizedEnd = span[span.length - 1].quantizedEnd;
+            merged.rawDuration = (merged.quantizedEnd - start) * secondsPerBeat;
+            merged.pitchTrack = span.flatMap(event => {
+                if (event.note === "Pause") return [];
+                const offset = (event.quantizedStart - start) * secondsPerBeat;
+                return this.writtenTrack(event)
+                    .map(([seconds, ...rest]) => [Math.round((offset + seconds) * 1000) / 1000, ...rest]);
+            });
+            const peaks = span.map(event => event.peakDb).filter(Number.isFinite);
+            if (peaks.length) merged.peakDb = Math.max(...peaks);
+            this.refreshExpression(merged);
+            events.splice(from, to - from + 1, merged);
+        });
+    }
+
+    /**
+     * Turn notes into rests
+     * @param {Array} indices - Event indices
+     */
+    remove(indices) {
+        this.apply(events => {
+            indices.forEach(index => {
+                const event = events[index];
+                if (event) events[index] = this.createRest(event.quantizedStart, event.quantizedEnd);
+            });
+        });
+    }
+
+    /**
+     * Insert a rest before an event, pushing it and everything after it later
+     * @param {number} index - Event index
+     * @param {number} beats - Length of the rest; defaults to one grid step
+     */
+    insertRest(index, beats = this.grid) {
+        if (!this.events[index]) return;
+        const length = Math.max(this.grid, this.snap(beats));
+        this.apply(events => {
+            const at = events[index].quantizedStart;
+            events.forEach(event => {
+                if (event.quantizedStart >= at) {
+                    event.quantizedStart += length;
+                    event.quantizedEnd += length;
+                }
+            });
+            events.push(this.createRest(at, at + length));
+        });
+    }
+
+    // Length of the melody in beats
+    length() {
+        return this.events.length ? this.events[this.events.length - 1].quantizedEnd : 0;
+    }
+
+    snap(beats) {
+        return Math.round(beats / this.grid) * this.grid;
+    }
+
+    // Give an event new beat positions, carving the span out of every other event
+    place(index, start, end, semitones = 0) {
+        this.apply(events => {
+            const [event] = events.splice(index, 1);
+            this.retime(event, start, end);
+            if (semitones) this.setMidi(event, MidiUtils.noteToMidi(event.note) + semitones);
+
+            const kept = [];
+            events.forEach(other => {
+                const otherStart = other.quantizedStart;
+                const otherEnd = other.quantizedEnd;
+                if (otherEnd <= start || otherStart >= end) {
+                    kept.push(other);
+                    return;
+                }
+                // The part before the placed note survives; anything under or after it becomes rest
+                if (otherStart < start) {
+                    if (other.note === "Pause") {
+                        other.quantizedEnd = start;
+                    } else {
+                        this.retime(other, otherStart, start);
+                    }
+                    kept.push(other);
+                }
+                if (otherEnd > end) kept.push(this.createRest(end, otherEnd));
+            });
+            kept.push(event);
+            events.splice(0, events.length, ...kept);
+        });
+    }
+
+    // Run an edit on a copy of the events and record the previous state for undo
+    apply(edit) {
+        const before = this.events;
+        const events = JSON.parse(JSON.stringify(before));
+        edit(events);
+        this.events = this.normalize(events);
+        this.undoStack.push(before);
+        if (this.undoStack.length > MelodyEditor.MAX_HISTORY) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    // Sort, fill gaps with rests, merge neighbouring rests and drop trailing ones
+    normalize(events) {
+        const sorted = events
+            .filter(event => event.quantizedEnd > event.quantizedStart)
+            .sort((a, b) => a.quantizedStart - b.quantizedStart);
+        const result = [];
+        let cursor = 0;
+        sorted.forEach(event => {
+            if (event.quantizedStart > cursor) this.pushRest(result, cursor, event.quantizedStart);
+            if (event.note === "Pause") {
+                this.pushRest(result, event.quantizedStart, event.quantizedEnd);
+            } else {
+                result.push(event);
+            }
+            cursor = Math.max(cursor, event.quantizedEnd);
+        });
+        while (result.length && result[result.length - 1].note === "Pause") result.pop();
+        return result;
+    }
+
+    pushRest(events, start, end) {
+        const last = events[events.length - 1];
+        if (last && last.note === "Pause" && last.quantizedEnd === start) {
+            last.quantizedEnd = end;
+        } else {
+            events.push(this.createRest(start, end));
+        }
+    }
+
+    createRest(start, end) {
+        return { note: "Pause", quantizedStart: start, quantizedEnd: end };
+    }
+
+    // Change a note's pitch, shifting its detected frequency and pitch track by the same interval
+    setMidi(event, midi) {
+        const target = Math.max(0, Math.min(127, Math.round(midi)));
+        const ratio = Math.pow(2, (target - MidiUtils.noteToMidi(event.note)) / 12);
+        event.note = MidiUtils.midiToNote(target);
+        if (Number.isFinite(event.frequency)) event.frequency = Math.round(event.frequency * ratio * 100) / 100;
+        if (Array.isArray(event.pitchTrack)) {
+            event.pitchTrack = event.pitchTrack.map(([seconds, frequency, ...rest]) =>
+                [seconds, Math.round(frequency * ratio * 100) / 100, ...rest]);
+        }
+    }
+
+    // Set a note's beat positions and stretch its pitch track onto the new written length
+    retime(event, start, end) {
+        event.pitchTrack = this.writtenTrack(event, (end - start) / (event.quantizedEnd - event.quantizedStart));
+        event.quantizedStart = start;
+        event.quantizedEnd = end;
+        event.rawDuration = (end - start) * 60 / this.bpm;
+        this.refreshExpression(event);
+    }
+
+    // Measure vibrato and drift again on an edited pitch track; the onset glide
+    // was heard before the note started, so it is kept (or dropped) as given
+    refreshExpression(event, onset = event.expression?.onset ?? null) {
+        if (!event.expression) return;
+        const expression = ExpressionAnalyzer.analyze(event.pitchTrack);
+        event.expression = expression && { ...expression, onset };
+    }
+
+    // Pitch track with times stretched from the sung length onto the written length (times `scale`)
+    writtenTrack(event, scale = 1) {
+        if (!Array.isArray(event.pitchTrack) || event.pitchTrack.length === 0) return [];
+        const written = (event.quantizedEnd - event.quantizedStart) * 60 / this.bpm;
+        const sung = event.rawDuration || written;
+        const factor = written / sung * scale;
+        return event.pitchTrack.map(([seconds, ...rest]) => [Math.round(seconds * factor * 1000) / 1000, ...rest]);
+    }
+}
+
+export { MelodyEditor };
@@ -0,0 +1,73 @@
+import { MidiUtils } from '../audio/MidiUtils.js';
+
+/**
+ * MelodyTimeline - Lays stored melody events out on a beat grid for notation
+ *
+ * Recorded notes carry quantizedStart/quantizedEnd in beats, but the note that
+ * is still sounding when recording stops and the pauses only have a timestamp
+ * and a duration in seconds. This derives a gapless, non-overlapping list of
+ * notes and rests in beats from whatever is available.
+ */
+class MelodyTimeline {
+    static GRID = 0.25; // Beats; matches the 16th-note quantization used while recording
+
+    /**
+     * Build a gapless timeline from stored melody events
+     * @param {Array} notes - Stored melody events
+     * @param {number} bpm - Beats per minute the melody was saved with
+     * @param {number} grid - Grid size in beats that positions are snapped to
+     * @return {Array} { note, midi, start, end, index } in beats; rests use note "Pause" and midi -1,
+     *                 index points back into `notes` (null for rests that fill gaps)
+     */
+    static fromMelody(notes, bpm, grid = this.GRID) {
+        const snap = (beats) => Math.round(beats / grid) * grid;
+        const secondsToBeats = (seconds) => seconds * bpm / 60;
+        const timeline = [];
+        let cursor = 0;
+
+        notes.forEach((event, index) => {
+            let start, end;
+            if (Number.isFinite(event.quantizedStart) && Number.isFinite(event.quantizedEnd)) {
+                start = snap(event.quantizedStart);
+                end = snap(event.quantizedEnd);
+            } else {
+                start = Number.isFinite(event.timestamp) ? snap(secondsToBeats(event.timestamp)) : cursor;
+                end = snap(start + secondsToBeats(event.duration));
+            }
+
+            // Never move backwards: overlaps are resolved in favour of the earlier event
+            start = Math.max(start, cursor);
+            if (end <= start) return;
+
+            if (event.note === "Pause") {
+                this.pushRest(timeline, cursor, end, index);
+            } else {
+                this.pushRest(timeline, cursor, start, null);
+                timeline.push({
+                    note: event.note,
+                    midi: MidiUtils.noteToMidi(event.note),
+                    start,
+                    end,
+                    index
+                });
+            }
+            cursor = end;
+        });
+
+        return timeline;
+    }
+
+    // Append a rest, merging it with a rest that ends where it starts
+    static pushRest(timeline, start, end, index) {
+        if (end <= start) return;
+        const last = timeline[timeline.length - 1];
+        if (last && last.note === "Pause" && last.end === start) {
+            last.end = end;
+            if (last.index === null) last.index = index;
+        } else {
+            timeline.push({ note: "Pause", midi: -1, start, end, index });
+        }
+    }
+}
+
+export { MelodyTimeline };
@@ -0,0 +1,270 @@
+import { MelodyTimeline } from './MelodyTimeline.js';
+import { ExpressionAnalyzer } from '../analysis/ExpressionAnalyzer.js';
+
+/**
+ * MusicXmlUtils - Utility class for MusicXML 4.0 score export
+ */
+class MusicXmlUtils {
+    static DIVISIONS = 4;          // Divisions per quarter note (16th-note resolution)
+    static BEATS_PER_MEASURE = 4;  // Melodies are written in 4/4
+    static BEAT_TYPE = 4;
+
+    // Note values that can be written as a single note, largest first, in divisions
+    static NOTE_VALUES = [
+        { divisions: 16, type: 'whole', dots: 0 },
+        { divisions: 12, type: 'half', dots: 1 },
+        { divisions: 8, type: 'half', dots: 0 },
+        { divisions: 6, type: 'quarter', dots: 1 },
+        { divisions: 4, type: 'quarter', dots: 0 },
+        { divisions: 3, type: 'eighth', dots: 1 },
+        { divisions: 2, type: 'eighth', dots: 0 },
+        { divisions: 1, type: '16th', dots: 0 }
+    ];
+
+    // Order of sharps and flats added by key signatures
+    static SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+    static FLAT_ORDER = ['B', 'E', 'A', 'D', 'G', 'C', 'F'];
+
+    /**
+     * Converts a melody array to a MusicXML document
+     * @param {Array} melody - Stored melody events with note, quantizedStart/quantizedEnd, duration
+     * @param {number} bpm - Beats per minute
+     * @param {Object} options - { title, fifths, mode, ornaments } where fifths is the key signature (-7..7),
+     *                            mode 'major' or 'minor' and ornaments marks analysed vibrato with a wavy
+     *                            line and glides into notes as scoops or plops
+     * @return {string} MusicXML (score-partwise) document
+     */
+    static melodyToMusicXml(melody, bpm = 120, options = {}) {
+        const title = options.title || 'Melody';
+        const fifths = options.fifths || 0;
+        const mode = options.mode || 'major';
+        const timeline = MelodyTimeline.fromMelody(melody, bpm, 1 / this.DIVISIONS);
+        if (options.ornaments) {
+            timeline.forEach(event => {
+                event.ornaments = event.index === null ? [] : ExpressionAnalyzer.ornaments(melody[event.index].expression);
+            });
+        }
+        const measures = this.splitIntoMeasures(timeline);
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+            '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+            '<score-partwise version="4.0">',
+            `  <work><work-title>${this.escapeXml(title)}</work-title></work>`,
+            '  <identification>',
+            '    <encoding>',
+            '      <software>Melody Hummer</software>',
+            `      <encoding-date>${new Date().toISOString().slice(0, 10)}</encoding-date>`,
+            '    </encoding>',
+            '  </identification>',
+            '  <part-list>',
+            '    <score-part id="P1"><part-name>Melody</part-name></score-part>',
+            '  </part-list>',
+            '  <part id="P1">'
+        ];
+
+        measures.forEach((measure, index) => {
+            lines.push(`    <measure number="${index + 1}">`);
+            if (index === 0) {
+                lines.push(...this.firstMeasureHeader(timeline, bpm, fifths, mode));
+            }
+
+            // Accidentals last until the barline; the key signature applies otherwise
+            const alterations = this.keyAlterations(fifths);
+            measure.forEach(segment => lines.push(...this.noteElement(segment, alterations, fifths)));
+
+            lines.push('    </measure>');
+        });
+
+        lines.push('  </part>', '</score-partwise>', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Cut timeline events at barlines and into writable note values
+     * @param {Array} timeline - MelodyTimeline events in beats
+     * @return {Array<Array>} Measures of { note, midi, index, divisions, tieStart, tieStop, ornaments }
+     */
+    static splitIntoMeasures(timeline) {
+        const measureLength = this.BEATS_PER_MEASURE * this.DIVISIONS * 4 / this.BEAT_TYPE;
+        const measures = [];
+        const measureAt = (index) => {
+            while (measures.length <= index) measures.push([]);
+            return measures[index];
+        };
+
+        timeline.forEach(event => {
+            let position = Math.round(event.start * this.DIVISIONS);
+            const end = Math.round(event.end * this.DIVISIONS);
+            const pieces = [];
+
+            while (position < end) {
+                const measureIndex = Math.floor(position / measureLength);
+                const barline = (measureIndex + 1) * measureLength;
+                const value = this.NOTE_VALUES.find(v => v.divisions <= Math.min(end, barline) - position);
+                pieces.push({ measureIndex, note: event.note, midi: event.midi, index: event.index, divisions: value.divisions, ornaments: event.ornaments || [] });
+                position += value.divisions;
+            }
+
+            // Rests are never tied
+            pieces.forEach((piece, i) => {
+                const isNote = event.note !== "Pause";
+                measureAt(piece.measureIndex).push({
+                    ...piece,
+                    tieStop: isNote && i > 0,
+                    tieStart: isNote && i < pieces.length - 1
+                });
+            });
+        });
+
+        // Fill the last measure with rests
+        if (measures.length === 0) measures.push([]);
+        const last = measures[measures.length - 1];
+        let remaining = measureLength - last.reduce((sum, piece) => sum + piece.divisions, 0);
+        while (remaining > 0) {
+            const value = this.NOTE_VALUES.find(v => v.divisions <= remaining);
+            last.push({ note: "Pause", midi: -1, divisions: value.divisions, tieStart: false, tieStop: false });
+            remaining -= value.divisions;
+        }
+
+        // Rest-only measures get a single whole-measure rest
+        return measures.map(measure => (measure.every(piece => piece.note === "Pause")
+            ? [{ note: "Pause", midi: -1, divisions: measureLength, measureRest: true, tieStart: false, tieStop: false }]
+            : measure));
+    }
+
+    // Bass clef for melodies that lie mostly below A3, treble clef otherwise
+    static chooseClef(timeline) {
+        const pitched = timeline.filter(event => event.midi >= 0);
+        const averageMidi = pitched.length
+            ? pitched.reduce((sum, event) => sum + event.midi, 0) / pitched.length
+            : 60;
+        return averageMidi < 57 ? { sign: 'F', line: 4 } : { sign: 'G', line: 2 };
+    }
+
+    static firstMeasureHeader(timeline, bpm, fifths, mode) {
+        const clef = this.chooseClef(timeline);
+
+        return [
+            '      <attributes>',
+            `        <divisions>${this.DIVISIONS}</divisions>`,
+            `        <key><fifths>${fifths}</fifths><mode>${mode}</mode></key>`,
+            `        <time><beats>${this.BEATS_PER_MEASURE}</beats><beat-type>${this.BEAT_TYPE}</beat-type></time>`,
+            `        <clef><sign>${clef.sign}</sign><line>${clef.line}</line></clef>`,
+            '      </attributes>',
+            '      <direction placement="above">',
+            '        <direction-type>',
+            `          <metronome><beat-unit>quarter</beat-unit><per-minute>${Math.round(bpm)}</per-minute></metronome>`,
+            '        </direction-type>',
+            `        <sound tempo="${Math.round(bpm)}"/>`,
+            '      </direction>'
+        ];
+    }
+
+    /**
+     * Alteration of each natural step implied by a key signature
+     * @param {number} fifths - Key signature (-7..7)
+     * @return {Object} Map from step letter to alteration (-1, 0, 1)
+     */
+    static keyAlterations(fifths) {
+        const alterations = { C: 0, D: 0, E: 0, F: 0, G: 0, A: 0, B: 0 };
+        const order = fifths >= 0 ? this.SHARP_ORDER : this.FLAT_ORDER;
+        order.slice(0, Math.abs(fifths)).forEach(step => {
+            alterations[step] = fifths > 0 ? 1 : -1;
+        });
+        return alterations;
+    }
+
+    /**
+     * Spell a note name as step/alter/octave (flats in flat keys, sharps otherwise)
+     * @param {string} noteName - Note name (e.g., "C#4")
+     * @param {number} fifths - Key signature (-7..7)
+     * @return {{step: string, alter: number, octave: number}|null} Spelling, or null for invalid names
+     */
+    static spellNote(noteName, fifths = 0) {
+        const match = noteName.match(/^([A-G])(#?)(-?\d)$/);
+        if (!match) return null;
+
+        let step = match[1];
+        let alter = match[2] ? 1 : 0;
+        let octave = parseInt(match[3]);
+        if (alter === 1 && fifths < 0) {
+            // Respell C# as Db etc.
+            const steps = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+            const index = steps.indexOf(step);
+            step = steps[(index + 1) % 7];
+            alter = -1;
+            if (step === 'C') octave++;
+        }
+        return { step, alter, octave };
+    }
+
+    static noteElement(segment, alterations, fifths) {
+        const value = this.NOTE_VALUES.find(v => v.divisions === segment.divisions);
+        const lines = ['      <note>'];
+        let accidental = null;
+
+        if (segment.note === "Pause") {
+            lines.push(segment.measureRest ? '        <rest measure="yes"/>' : '        <rest/>');
+        } else {
+            const pitch = this.spellNote(segment.note, fifths);
+            lines.push('        <pitch>', `          <step>${pitch.step}</step>`);
+            if (pitch.alter !== 0) lines.push(`          <alter>${pitch.alter}</alter>`);
+            lines.push(`          <octave>${pitch.octave}</octave>`, '        </pitch>');
+            accidental = this.accidentalFor(pitch, alterations, segment.tieStop);
+        }
+
+        lines.push(`        <duration>${segment.divisions}</duration>`);
+        if (segment.tieStop) lines.push('        <tie type="stop"/>');
+        if (segment.tieStart) lines.push('        <tie type="start"/>');
+        lines.push('        <voice>1</voice>');
+        if (!segment.measureRest) {
+            lines.push(`        <type>${value.type}</type>`);
+            for (let i = 0; i < value.dots; i++) lines.push('        <dot/>');
+        }
+        if (accidental) lines.push(`        <accidental>${accidental}</accidental>`);
+        const notations = this.notationElements(segment);
+        if (notations.length) lines.push('        <notations>', ...notations, '        </notations>');
+        lines.push('      </note>');
+        return lines;
+    }
+
+    // Ties and ornaments of a piece; a wavy line runs from the first to the last piece of a tied note
+    static notationElements(segment) {
+        const lines = [];
+        if (segment.tieStop) lines.push('          <tied type="stop"/>');
+        if (segment.tieStart) lines.push('          <tied type="start"/>');
+
+        const ornaments = segment.ornaments || [];
+        if (ornaments.includes('vibrato') && !(segment.tieStop && segment.tieStart)) {
+            lines.push('          <ornaments>');
+            if (!segment.tieStop) lines.push('            <wavy-line type="start"/>');
+            if (!segment.tieStart) lines.push('            <wavy-line type="stop"/>');
+            lines.push('          </ornaments>');
+        }
+        const glide = ornaments.find(ornament => ornament === 'scoop' || ornament === 'plop');
+        if (glide && !segment.tieStop) {
+            lines.push('          <articulations>', `            <${glide}/>`, '          </articulations>');
+        }
+        return lines;
+    }
+
+    // Accidental to print for a pitch given the alterations in force, updating them
+    static accidentalFor(pitch, alterations, isTieContinuation) {
+        // A note tied over the barline carries its accidental with it
+        if (isTieContinuation || alterations[pitch.step] === pitch.alter) return null;
+
+        alterations[pitch.step] = pitch.alter;
+        return { '-1': 'flat', '0': 'natural', '1': 'sharp' }[pitch.alter];
+    }
+
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export { MusicXmlUtils };
@@ -0,0 +1,370 @@
+import { MelodyTimeline } from './MelodyTimeline.js';
+import { MusicXmlUtils } from './MusicXmlUtils.js';
+
+/**
+ * StaffRenderer - Draws a stored melody as staff notation in SVG
+ *
+ * The melody is laid out exactly as MusicXML export writes it (4/4, the same
+ * measures, note values, ties and accidentals) and drawn on systems that
+ * wrap at the given width, each starting with the clef and key signature.
+ * Eighths and sixteenths within a beat are beamed, other flagged notes get
+ * flags. Positions on the staff are counted in steps (half a space) above
+ * the bottom line. Clefs and accidentals are Unicode music symbols, so they
+ * follow the page font; everything else is drawn with plain shapes. Each
+ * note's shapes are grouped with the index of its melody event, so the page
+ * can find and highlight it.
+ */
+class StaffRenderer {
+    static SPACE = 10;              // Pixels between staff lines
+    static STAFF_TOP = 40;          // Top line, from the top of a system
+    static SYSTEM_HEIGHT = 110;
+    static WIDTH = 800;
+    static MARGIN = 10;
+    static CLEF_WIDTH = 34;
+    static KEY_ACCIDENTAL_WIDTH = 9;
+    static TIME_WIDTH = 22;
+    static NOTE_WIDTH = 16;         // Spacing every note gets, whatever its length
+    static DIVISION_WIDTH = 5;      // Extra spacing per division (16th) of length
+    static ACCIDENTAL_WIDTH = 11;
+    static STEM_LENGTH = 35;
+    static BEAM_THICKNESS = 4;
+    static BEAM_GAP = 7;            // From one beam to the next
+    static MIDDLE_LINE = 4;         // Step of the middle line
+
+    static STEPS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+    // Diatonic number (octave * 7 + step) of each clef's bottom line: E4 and G2
+    static BOTTOM_LINE = { G: 30, F: 18 };
+    // Steps of the key signature accidentals on the treble staff; the bass staff has them a third lower
+    static SHARP_STEPS = [8, 5, 9, 6, 3, 7, 4];
+    static FLAT_STEPS = [4, 7, 3, 6, 2, 5, 1];
+    static ACCIDENTAL_SYMBOLS = { sharp: '♯', flat: '♭', natural: '♮' };
+    static CLEF_SYMBOLS = { G: '\u{1D11E}', F: '\u{1D122}' };
+
+    /**
+     * Render a melody as an SVG staff
+     * @param {Array} melody - Stored melody events with note, quantizedStart/quantizedEnd, duration
+     * @param {number} bpm - Beats per minute
+     * @param {Object} options - { fifths, width } where fifths is the key signature (-7..7) and
+     *                           width the width systems wrap at, in pixels
+     * @return {string} SVG document fragment
+     */
+    static render(melody, bpm = 120, options = {}) {
+        const fifths = options.fifths || 0;
+        const width = options.width || this.WIDTH;
+        const timeline = MelodyTimeline.fromMelody(melody, bpm, 1 / MusicXmlUtils.DIVISIONS);
+        const clef = MusicXmlUtils.chooseClef(timeline).sign;
+        const measures = MusicXmlUtils.splitIntoMeasures(timeline).map(measure => this.prepareMeasure(measure, fifths, clef));
+        const systems = this.breakSystems(measures, fifths, width);
+
+        const parts = [];
+        const ties = [];
+        systems.forEach((system, i) => parts.push(...this.drawSystem(system, i, clef, fifths, ties, i === systems.length - 1)));
+        parts.push(...this.drawTies(ties, systems));
+
+        const height = systems.length * this.SYSTEM_HEIGHT;
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="staff" width="${width}" height="${height}" ` +
+            `viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+    }
+
+    // Staff step, accidental and note value of every piece, and the measure's natural width
+    static prepareMeasure(measure, fifths, clef) {
+        const alterations = MusicXmlUtils.keyAlterations(fifths);
+        let position = 0;
+        const pieces = measure.map(piece => {
+            const value = MusicXmlUtils.NOTE_VALUES.find(v => v.divisions === piece.divisions);
+            const prepared = { ...piece, position, type: piece.measureRest ? 'whole' : value.type, dots: piece.measureRest ? 0 : value.dots };
+            position += piece.divisions;
+            if (piece.note === "Pause") return prepared;
+
+            const pitch = MusicXmlUtils.spellNote(piece.note, fifths);
+            prepared.step = pitch.octave * 7 + this.STEPS.indexOf(pitch.step) - this.BOTTOM_LINE[clef];
+            prepared.accidental = MusicXmlUtils.accidentalFor(pitch, alterations, piece.tieStop);
+            return prepared;
+        });
+        const width = pieces.reduce((sum, piece) => sum + this.pieceWidth(piece, 1), 0) + this.NOTE_WIDTH / 2;
+        return { pieces, width };
+    }
+
+    static pieceWidth(piece, scale) {
+        return (piece.accidental ? this.ACCIDENTAL_WIDTH : 0) + (this.NOTE_WIDTH + piece.divisions * this.DIVISION_WIDTH) * scale;
+    }
+
+    // Left edge of the music on a system, after clef, key signature and (on the first) time signature
+    static systemStart(index, fifths) {
+        return this.MARGIN + this.CLEF_WIDTH + Math.abs(fifths) * this.KEY_ACCIDENTAL_WIDTH + (index === 0 ? this.TIME_WIDTH : 6);
+    }
+
+    /**
+     * Fill systems with measures; every system but the last is stretched to the full width
+     * @return {Array} { measures: { pieces (with x), start, end }, end }
+     */
+    static breakSystems(measures, fifths, width) {
+        const systems = [];
+        let current = null;
+        measures.forEach(measure => {
+            if (!current || current.natural + measure.width > width - this.MARGIN - current.start) {
+                current = { measures: [], natural: 0, start: this.systemStart(systems.length, fifths) };
+                systems.push(current);
+            }
+            current.measures.push(measure);
+            current.natural += measure.width;
+        });
+
+        return systems.map((system, i) => {
+            const last = i === systems.length - 1;
+            const available = width - this.MARGIN - system.start;
+            const scale = last ? 1 : Math.max(1, available / system.natural);
+            let x = system.start;
+            const laidOut = system.measures.map(measure => {
+                const start = x;
+                const pieces = measure.pieces.map(piece => {
+                    const accidentalWidth = piece.accidental ? this.ACCIDENTAL_WIDTH : 0;
+                    const placed = { ...piece, x: x + accidentalWidth + this.NOTE_WIDTH / 2 };
+                    x += this.pieceWidth(piece, scale);
+                    return placed;
+                });
+                x += this.NOTE_WIDTH / 2 * scale;
+                return { pieces, start, end: x };
+            });
+            return { measures: laidOut, start: system.start, end: x };
+        });
+    }
+
+    // y of a staff step on a system
+    static stepY(systemIndex, step) {
+        return systemIndex * this.SYSTEM_HEIGHT + this.STAFF_TOP + (8 - step) * this.SPACE / 2;
+    }
+
+    static drawSystem(system, index, clef, fifths, ties, lastSystem) {
+        const y = step => this.stepY(index, step);
+        const parts = [];
+        for (let line = 0; line < 5; line++) {
+            parts.push(this.line(this.MARGIN, y(line * 2), system.end, y(line * 2), 'staff-line'));
+        }
+
+        // Clef, key signature, time signature
+        const clefY = clef === 'G' ? y(0) + this.SPACE * 0.6 : y(6) + this.SPACE * 2.1;
+        const clefSize = clef === 'G' ? this.SPACE * 4.4 : this.SPACE * 3.2;
+        parts.push(this.text(this.MARGIN + 2, clefY, this.CLEF_SYMBOLS[clef], 'clef', clefSize));
+        const keySteps = (fifths >= 0 ? this.SHARP_STEPS : this.FLAT_STEPS).slice(0, Math.abs(fifths));
+        keySteps.forEach((step, i) => {
+            const symbol = this.ACCIDENTAL_SYMBOLS[fifths > 0 ? 'sharp' : 'flat'];
+            const x = this.MARGIN + this.CLEF_WIDTH + i * this.KEY_ACCIDENTAL_WIDTH;
+            parts.push(this.accidentalGlyph(x, y(clef === 'G' ? step : step - 2), symbol, 'key-signature'));
+        });
+        if (index === 0) {
+            const x = this.MARGIN + this.CLEF_WIDTH + keySteps.length * this.KEY_ACCIDENTAL_WIDTH + 4;
+            parts.push(this.text(x, y(4), String(MusicXmlUtils.BEATS_PER_MEASURE), 'time-signature', this.SPACE * 2));
+            parts.push(this.text(x, y(0), String(MusicXmlUtils.BEAT_TYPE), 'time-signature', this.SPACE * 2));
+        }
+
+        system.measures.forEach((measure, m) => {
+            const beamed = this.findBeamGroups(measure.pieces);
+            measure.pieces.forEach(piece => {
+                if (piece.note === "Pause") {
+                    const x = piece.measureRest ? (measure.start + measure.end) / 2 : piece.x;
+                    parts.push(this.drawRest(x, piece, y));
+                } else {
+                    parts.push(this.drawNote(piece, y, beamed.get(piece)));
+                    if (piece.tieStart || piece.tieStop) ties.push({ piece, system: index });
+                }
+            });
+            beamed.groups.forEach(group => parts.push(...this.drawBeams(group, beamed.get(group[0]), y)));
+
+            // The last measure ends with a final barline
+            parts.push(this.line(measure.end, y(8), measure.end, y(0), 'barline'));
+            if (lastSystem && m === system.measures.length - 1) {
+                parts.push(`<rect class="barline" x="${measure.end + 2}" y="${y(8)}" width="3" height="${this.SPACE * 4}"/>`);
+            }
+        });
+        return parts;
+    }
+
+    /**
+     * Beam groups: two or more eighths or sixteenths in a row within one beat
+     * @return {Map} Piece -> { direction, stemEnd (staff step) } for beamed pieces; its groups
+     *              property lists the groups as arrays of pieces
+     */
+    static findBeamGroups(pieces) {
+        const groups = [];
+        let group = [];
+        const flush = () => {
+            if (group.length > 1) groups.push(group);
+            group = [];
+        };
+        pieces.forEach(piece => {
+            const beamable = piece.note !== "Pause" && (piece.type === 'eighth' || piece.type === '16th');
+            const beat = Math.floor(piece.position / MusicXmlUtils.DIVISIONS);
+            const withinBeat = Math.floor((piece.position + piece.divisions - 1) / MusicXmlUtils.DIVISIONS) === beat;
+            if (!beamable || !withinBeat) {
+                flush();
+                return;
+            }
+            if (group.length && Math.floor(group[0].position / MusicXmlUtils.DIVISIONS) !== beat) flush();
+            group.push(piece);
+        });
+        flush();
+
+        const beamed = new Map();
+        beamed.groups = groups;
+        groups.forEach(members => {
+            const average = members.reduce((sum, piece) => sum + piece.step, 0) / members.length;
+            const direction = average < this.MIDDLE_LINE ? 'up' : 'down';
+            // A flat beam clearing every note head by a stem length and reaching the middle line
+            const steps = members.map(piece => piece.step);
+            const stemSteps = this.STEM_LENGTH * 2 / this.SPACE;
+            const stemEnd = direction === 'up'
+                ? Math.max(Math.max(...steps) + stemSteps, this.MIDDLE_LINE)
+                : Math.min(Math.min(...steps) - stemSteps, this.MIDDLE_LINE);
+            members.forEach(piece => beamed.set(piece, { direction, stemEnd }));
+        });
+        return beamed;
+    }
+
+    static drawNote(piece, y, beam) {
+        const parts = [];
+        const noteY = y(piece.step);
+        const hollow = piece.type === 'whole' || piece.type === 'half';
+
+        // Ledger lines below and above the staff
+        for (let step = -2; step >= piece.step; step -= 2) {
+            parts.push(this.line(piece.x - 9, y(step), piece.x + 9, y(step), 'ledger'));
+        }
+        for (let step = 10; step <= piece.step; step += 2) {
+            parts.push(this.line(piece.x - 9, y(step), piece.x + 9, y(step), 'ledger'));
+        }
+
+        if (piece.accidental) {
+            parts.push(this.accidentalGlyph(piece.x - 16, noteY, this.ACCIDENTAL_SYMBOLS[piece.accidental], 'accidental'));
+        }
+        parts.push(`<ellipse class="notehead${hollow ? ' hollow' : ''}" cx="${piece.x}" cy="${noteY}" rx="5.5" ry="4" ` +
+            `transform="rotate(-20 ${piece.x} ${noteY})"${hollow ? ' fill="white" stroke="black" stroke-width="1.5"' : ''}/>`);
+        for (let i = 0; i < piece.dots; i++) {
+            // Dots of notes on a line sit in the space above
+            const dotY = piece.step % 2 === 0 ? y(piece.step + 1) : noteY;
+            parts.push(`<circle class="dot" cx="${piece.x + 10 + i * 5}" cy="${dotY}" r="1.8"/>`);
+        }
+
+        if (piece.type !== 'whole') {
+            const direction = beam ? beam.direction : (piece.step < this.MIDDLE_LINE ? 'up' : 'down');
+            const stemX = direction === 'up' ? piece.x + 5 : piece.x - 5;
+            let endY;
+            if (beam) {
+                endY = y(beam.stemEnd);
+            } else {
+                // Stems of notes far from the staff reach its middle line
+                const length = this.STEM_LENGTH;
+                endY = direction === 'up' ? Math.min(noteY - length, y(this.MIDDLE_LINE)) : Math.max(noteY + length, y(this.MIDDLE_LINE));
+            }
+            parts.push(this.line(stemX, noteY, stemX, endY, 'stem'));
+            if (!beam) {
+                const flags = { eighth: 1, '16th': 2 }[piece.type] || 0;
+                for (let i = 0; i < flags; i++) parts.push(this.flag(stemX, endY, direction, i));
+            }
+        }
+
+        const index = Number.isInteger(piece.index) ? ` data-index="${piece.index}"` : '';
+        return `<g class="staff-note"${index}>${parts.join('')}</g>`;
+    }
+
+    // Primary beam across the group; second beams join neighbouring sixteenths, lone ones get a stub
+    static drawBeams(group, { direction, stemEnd }, y) {
+        const stemX = piece => (direction === 'up' ? piece.x + 5 : piece.x - 5);
+        const beamY = level => {
+            const offset = level * this.BEAM_GAP;
+            return direction === 'up' ? y(stemEnd) + offset : y(stemEnd) - offset - this.BEAM_THICKNESS;
+        };
+        const beam = (x1, x2, level) => `<rect class="beam" x="${x1}" y="${beamY(level)}" width="${x2 - x1 + 1}" height="${this.BEAM_THICKNESS}"/>`;
+
+        const parts = [beam(stemX(group[0]), stemX(group[group.length - 1]), 0)];
+        group.forEach((piece, i) => {
+            if (piece.type !== '16th') return;
+            const next = group[i + 1];
+            const previous = group[i - 1];
+            if (next && next.type === '16th') {
+                parts.push(beam(stemX(piece), stemX(next), 1));
+            } else if (!(previous && previous.type === '16th')) {
+                // Stub towards the neighbour: right for the first note, left otherwise
+                const stub = 8;
+                parts.push(i === 0 ? beam(stemX(piece), stemX(piece) + stub, 1) : beam(stemX(piece) - stub, stemX(piece), 1));
+            }
+        });
+        return parts;
+    }
+
+    static flag(stemX, endY, direction, level) {
+        const sign = direction === 'up' ? 1 : -1;
+        const startY = endY + sign * level * this.BEAM_GAP;
+        return `<path class="flag" d="M${stemX} ${startY} q 3 ${sign * 6} 8 ${sign * 10} q 2 ${sign * 5} -1 ${sign * 11}" ` +
+            'fill="none" stroke="black" stroke-width="1.5"/>';
+    }
+
+    static drawRest(x, piece, y) {
+        const space = this.SPACE;
+        let shape;
+        switch (piece.type) {
+            case 'whole':
+                // Hangs from the fourth line
+                shape = `<rect x="${x - 6}" y="${y(6)}" width="12" height="${space / 2}"/>`;
+                break;
+            case 'half':
+                // Sits on the middle line
+                shape = `<rect x="${x - 6}" y="${y(4) - space / 2}" width="12" height="${space / 2}"/>`;
+                break;
+            case 'quarter':
+                shape = `<path d="M${x - 2} ${y(7)} l5 7 l-5 6 l5 7 q-7 -3 -4 5" fill="none" stroke="black" stroke-width="2"/>`;
+                break;
+            default: {
+                // Eighth and sixteenth rests: a slanted stem with one or two hooks
+                const hooks = piece.type === '16th' ? 2 : 1;
+                shape = `<line x1="${x + 3}" y1="${y(5)}" x2="${x - 1}" y2="${y(hooks === 2 ? 0 : 1)}" stroke="black" stroke-width="1.5"/>`;
+                for (let i = 0; i < hooks; i++) {
+                    shape += `<circle cx="${x - 2 - i}" cy="${y(5 - i * 2)}" r="2.3"/>`;
+                }
+            }
+        }
+        for (let i = 0; i < piece.dots; i++) {
+            shape += `<circle class="dot" cx="${x + 9 + i * 5}" cy="${y(5)}" r="1.8"/>`;
+        }
+        return `<g class="rest" data-type="${piece.type}">${shape}</g>`;
+    }
+
+    // Ties curve away from the stems; one that crosses a system break is drawn as two halves
+    static drawTies(ties, systems) {
+        const parts = [];
+        for (let i = 0; i < ties.length; i++) {
+            const { piece, system } = ties[i];
+            const next = ties[i + 1];
+            if (!piece.tieStart || !next || !next.piece.tieStop) continue;
+            // Above notes with their stems down, below the others
+            const sign = piece.step >= this.MIDDLE_LINE ? -1 : 1;
+            const arc = (x1, x2, rowSystem) => {
+                const tieY = this.stepY(rowSystem, piece.step) + sign * 7;
+                const middle = (x1 + x2) / 2;
+                return `<path class="tie" d="M${x1} ${tieY} Q${middle} ${tieY + sign * 8} ${x2} ${tieY}" fill="none" stroke="black" stroke-width="1.3"/>`;
+            };
+            if (next.system === system) {
+                parts.push(arc(piece.x + 6, next.piece.x - 6, system));
+            } else {
+                parts.push(arc(piece.x + 6, systems[system].end, system));
+                parts.push(arc(systems[next.system].start - 8, next.piece.x - 6, next.system));
+            }
+        }
+        return parts;
+    }
+
+    static line(x1, y1, x2, y2, className) {
+        return `<line class="${className}" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="black" stroke-width="1"/>`;
+    }
+
+    static text(x, y, content, className, size) {
+        return `<text class="${className}" x="${x}" y="${y}" font-size="${size}">${content}</text>`;
+    }
+
+    // Accidental symbol centred on a staff position
+    static accidentalGlyph(x, y, symbol, className) {
+        return this.text(x - 4, y + 5, symbol, className, 16);
+    }
+}
+
+export { StaffRenderer };
@@ -0,0 +1,24 @@
+import { MidiUtils } from '../audio/MidiUtils.js';
+
+/**
+ * MelodyFixtures - Stored melodies written out by hand for tests
+ */
+class MelodyFixtures {
+    /**
+     * Melody events laid end to end on the beat grid, as a take would be stored
+     * @param {Array} pairs - [note, beats] with the note as a MIDI number or a name, null for a rest
+     * @param {number} bpm - Beats per minute, for the events' durations in seconds
+     * @return {Array} Events with note, quantizedStart/quantizedEnd (beats) and duration
+     */
+    static events(pairs, bpm = 120) {
+        let beat = 0;
+        return pairs.map(([note, beats]) => {
+            const name = note === null ? "Pause" : (typeof note === 'number' ? MidiUtils.midiToNote(note) : note);
+            const event = { note: name, quantizedStart: beat, quantizedEnd: beat + beats, duration: beats * 60 / bpm };
+            beat += beats;
+            return event;
+        });
+    }
+}
+
+export { MelodyFixtures };
@@ -0,0 +1,254 @@
+import { FrequencyAnalyzer } from '../audio/FrequencyAnalyzer.js';
+import { Transcriber } from '../audio/Transcriber.js';
+import { NoteSegmenter } from '../audio/NoteSegmenter.js';
+import { MidiUtils } from '../audio/MidiUtils.js';
+import { PitchDetectors } from '../audio/pitch/PitchDetectors.js';
+import { FFT } from '../audio/pitch/FFT.js';
+import { SignalGenerator } from './SignalGenerator.js';
+
+/**
+ * PitchBenchmark - Accuracy of the pitch and note pipeline on synthetic signals
+ *
+ * Frame metrics run every analysis frame through FrequencyAnalyzer.analyzePitch
+ * and compare it with the true fundamental at the frame's centre; frames that
+ * straddle a note boundary are skipped. Note metrics run the whole signal
+ * through NoteSegmenter (and so NoteDetector) frame by frame like Transcriber
+ * does, and match the notes it finds against the written ones.
+ */
+class PitchBenchmark {
+    static GROSS_ERROR_CENTS = 50;    // Further off than this is the wrong note
+    static ONSET_TOLERANCE = 0.15;    // seconds; covers the analysis window and NoteDetector's stability buffer
+    static OFFSET_TOLERANCE = 0.15;   // seconds, or 20% of the note when that is longer
+    static OFFSET_RATIO = 0.2;
+
+    // Pipelines under test: every pitch detector, plus the classic detector fed a
+    // spectrum the way an AnalyserNode would, which is the only path that uses
+    // peakThreshold and harmonicWeighting
+    static VARIANTS = [
+        ...PitchDetectors.names().map(algorithm => ({ name: algorithm, algorithm })),
+        { name: 'classic-spectrum', algorithm: PitchDetectors.CLASSIC, spectrum: true }
+    ];
+
+    // Metrics where a higher value is better; the rest are errors
+    static HIGHER_IS_BETTER = ['voicingRecall', 'onsetF', 'offsetF'];
+
+    // How much worse than the baseline a metric may get before the tests fail;
+    // the signals are deterministic, so this only absorbs floating-point drift
+    static MARGINS = {
+        grossPitchError: 0.005,
+        octaveErrorRate: 0.005,
+        centsRmse: 0.5,
+        voicingRecall: 0.005,
+        onsetF: 0.01,
+        offsetF: 0.01
+    };
+
+    /**
+     * The benchmark signals, grouped by what they exercise
+     * @return {Array} { group, name, signal }
+     */
+    static cases() {
+        const G = SignalGenerator;
+        const melody = [[60, 1], [62, 1], [64, 0.5], [65, 0.5], [67, 1], [null, 1], [69, 1], [67, 0.5], [64, 0.5], [60, 2]];
+        const leaps = [[48, 1], [60, 1], [55, 1], [72, 1], [null, 0.5], [52, 1], [64, 1.5]];
+        return [
+            ...[110, 196, 220, 440, 659.26, 987.77].map(f => ({ group: 'pure', name: `sine ${f} Hz`, signal: G.tone(f, 0.6) })),
+            ...[98, 220, 523.25].map(f => ({ group: 'harmonic', name: `rich ${f} Hz`, signal: G.richTone(f, 0.6) })),
+            ...[110, 220, 329.63].map(f => ({ group: 'missing-fundamental', name: `no fundamental ${f} Hz`, signal: G.missingFundamental(f, 0.6) })),
+            { group: 'vibrato', name: 'vibrato 220 Hz +/-40c', signal: G.vibrato(220, 1) },
+            { group: 'vibrato', name: 'vibrato 440 Hz +/-60c', signal: G.vibrato(440, 1, { depth: 60, rate: 6 }) },
+            { group: 'glide', name: 'glide 220-330 Hz', signal: G.glide(220, 330, 1) },
+            { group: 'glide', name: 'glide 523-262 Hz', signal: G.glide(523.25, 261.63, 0.8) },
+            { group: 'noise', name: 'rich 220 Hz SNR 20 dB', signal: G.addNoise(G.richTone(220, 0.6), 20, 1) },
+            { group: 'noise', name: 'rich 220 Hz SNR 10 dB', signal: G.addNoise(G.richTone(220, 0.6), 10, 2) },
+            { group: 'noise', name: 'rich 440 Hz SNR 5 dB', signal: G.addNoise(G.richTone(440, 0.6), 5, 3) },
+            { group: 'sequence', name: 'melody 100 BPM', signal: G.sequence(melody, 100) },
+            { group: 'sequence', name: 'leaps 120 BPM', signal: G.sequence(leaps, 120, { legato: 0.8 }) },
+            { group: 'sequence', name: 'melody 100 BPM vibrato', signal: G.sequence(melody, 100, { vibrato: 30 }) },
+            { group: 'sequence', name: 'melody 100 BPM SNR 15 dB', signal: G.addNoise(G.sequence(melody, 100), 15, 4) }
+        ];
+    }
+
+    /**
+     * Run every case through one pipeline variant
+     * @param {Object} variant - One of VARIANTS
+     * @param {Array} cases - Benchmark cases; defaults to cases()
+     * @return {Object} { variant, cases: [{ group, name, metrics }], groups: { group: metrics }, overall }
+     */
+    static run(variant, cases = this.cases()) {
+        const results = cases.map(({ group, name, signal }) => ({ group, name, counts: this.measure(signal, variant) }));
+
+        const groups = {};
+        [...new Set(results.map(result => result.group))].forEach(group => {
+            groups[group] = this.summarize(this.addCounts(results.filter(result => result.group === group).map(result => result.counts)));
+        });
+        return {
+            variant: variant.name,
+            cases: results.map(({ group, name, counts }) => ({ group, name, metrics: this.summarize(counts) })),
+            groups,
+            overall: this.summarize(this.addCounts(results.map(result => result.counts)))
+        };
+    }
+
+    /**
+     * Analyse a signal frame by frame the way Transcriber does: each estimate is
+     * compared with the true fundamental and fed to a NoteSegmenter, whose notes
+     * are then matched against the written ones
+     * @param {Object} signal - SignalGenerator signal
+     * @param {Object} variant - Pipeline variant
+     * @return {Object} Frame counts (voiced, detected, gross, octave, fine, squaredCents) and
+     *                  note counts (reference, estimated, onsetMatches, offsetMatches)
+     */
+    static measure(signal, variant) {
+        const { samples, sampleRate } = signal;
+        const analyzer = new FrequencyAnalyzer({ algorithm: variant.algorithm });
+        // Frame times in ms; the downbeat at the first sample makes note timestamps seconds since the start
+        const segmenter = new NoteSegmenter();
+        segmenter.setDownbeat(0);
+        const frameSize = Transcriber.FRAME_SIZE;
+        const hopSize = Math.round(sampleRate / Transcriber.FRAME_RATE);
+        const counts = { voiced: 0, detected: 0, gross: 0, octave: 0, fine: 0, squaredCents: 0 };
+
+        for (let offset = 0; offset + frameSize <= samples.length; offset += hopSize) {
+            const frame = samples.subarray(offset, offset + frameSize);
+            const spectrum = variant.spectrum ? FFT.magnitudeSpectrum(frame) : null;
+            const estimate = analyzer.analyzePitch(frame, sampleRate, spectrum);
+            const start = offset / sampleRate;
+            const end = (offset + frameSize) / sampleRate;
+            segmenter.processFrame(estimate, end * 1000, analyzer.lastLevel);
+
+            const segment = signal.segments.find(s => start >= s.start && end <= s.end);
+            if (!segment) continue;
+            const truth = segment.pitch((start + end) / 2 - segment.start);
+
+            counts.voiced++;
+            if (estimate === null) continue;
+            counts.detected++;
+            const cents = 1200 * Math.log2(estimate / truth);
+            if (Math.abs(cents) > this.GROSS_ERROR_CENTS) {
+                counts.gross++;
+                const octaves = Math.round(cents / 1200);
+                if (octaves !== 0 && Math.abs(cents - octaves * 1200) <= this.GROSS_ERROR_CENTS) counts.octave++;
+            } else {
+                counts.fine++;
+                counts.squaredCents += cents * cents;
+            }
+        }
+
+        const estimated = segmenter.finish()
+            .filter(event => event.note !== "Pause")
+            .map(event => ({
+                midi: MidiUtils.noteToMidi(event.note),
+                start: event.timestamp,
+                end: event.timestamp + (event.rawDuration ?? event.duration)
+            }));
+        const reference = signal.notes;
+        return {
+            ...counts,
+            reference: reference.length,
+            estimated: reference.length ? estimated.length : 0,
+            onsetMatches: this.matchNotes(reference, estimated, false),
+            offsetMatches: this.matchNotes(reference, estimated, true)
+        };
+    }
+
+    /**
+     * Count one-to-one matches: same note, onset within ONSET_TOLERANCE and,
+     * when checking offsets, offset within max(OFFSET_TOLERANCE, OFFSET_RATIO * length)
+     * @param {Array} reference - Written notes { midi, start, end }
+     * @param {Array} estimated - Transcribed notes { midi, start, end }
+     * @param {boolean} withOffset - Also require the offset to match
+     * @return {number} Matched notes
+     */
+    static matchNotes(reference, estimated, withOffset) {
+        const used = new Set();
+        let matches = 0;
+        reference.forEach(note => {
+            const offsetTolerance = Math.max(this.OFFSET_TOLERANCE, this.OFFSET_RATIO * (note.end - note.start));
+            let best = -1;
+            estimated.forEach((candidate, i) => {
+                if (used.has(i) || candidate.midi !== note.midi) return;
+                if (Math.abs(candidate.start - note.start) > this.ONSET_TOLERANCE) return;
+                if (withOffset && Math.abs(candidate.end - note.end) > offsetTolerance) return;
+                if (best === -1 || Math.abs(candidate.start - note.start) < Math.abs(estimated[best].start - note.start)) best = i;
+            });
+            if (best !== -1) {
+                used.add(best);
+                matches++;
+            }
+        });
+        return matches;
+    }
+
+    static addCounts(list) {
+        const total = {};
+        list.forEach(counts => Object.entries(counts).forEach(([key, value]) => {
+            total[key] = (total[key] || 0) + value;
+        }));
+        return total;
+    }
+
+    /**
+     * Metrics from counts
+     * @param {Object} counts - Frame and note counts
+     * @return {Object} { grossPitchError, octaveErrorRate (both of detected voiced frames), centsRmse
+     *                   (of frames within GROSS_ERROR_CENTS), voicingRecall, onsetF, offsetF };
+     *                   metrics without data are null
+     */
+    static summarize(counts) {
+        const ratio = (a, b) => b > 0 ? a / b : null;
+        const fMeasure = matches => {
+            if (!counts.reference) return null;
+            return matches > 0 ? 2 * matches / (counts.reference + counts.estimated) : 0;
+        };
+        const rmse = ratio(counts.squaredCents, counts.fine);
+        return {
+            grossPitchError: ratio(counts.gross, counts.detected),
+            octaveErrorRate: ratio(counts.octave, counts.detected),
+            centsRmse: rmse === null ? null : Math.sqrt(rmse),
+            voicingRecall: ratio(counts.detected, counts.voiced),
+            onsetF: fMeasure(counts.onsetMatches),
+            offsetF: fMeasure(counts.offsetMatches)
+        };
+    }
+
+    /**
+     * Everything in a run that got worse than its baseline
+     * @param {Object} result - Result of run()
+     * @param {Object} baseline - { overall, groups } as stored in baseline.json
+     * @return {Array} Descriptions of the regressions, prefixed with their group
+     */
+    static compare(result, baseline) {
+        return [
+            ...this.regressions(result.overall, baseline.overall).map(text => `overall: ${text}`),
+            ...Object.entries(baseline.groups).flatMap(([group, metrics]) =>
+                this.regressions(result.groups[group] || {}, metrics).map(text => `${group}: ${text}`))
+        ];
+    }
+
+    /**
+     * Metrics that got worse than a baseline by more than their margin
+     * @param {Object} metrics - Current metrics
+     * @param {Object} baseline - Stored metrics
+     * @param {Object} margins - Allowed slack per metric
+     * @return {Array} Descriptions of the regressions
+     */
+    static regressions(metrics, baseline, margins = this.MARGINS) {
+        return Object.entries(baseline)
+            .filter(([name, expected]) => expected !== null && name in margins)
+            .filter(([name, expected]) => {
+                const actual = metrics[name];
+                if (actual === null || actual === undefined) return true;
+                return this.HIGHER_IS_BETTER.includes(name)
+                    ? actual < expected - margins[name]
+                    : actual > expected + margins[name];
+            })
+            .map(([name, expected]) => `${name} ${this.format(metrics[name])} (baseline ${this.format(expected)})`);
+    }
+
+    static format(value) {
+        return value === null || value === undefined ? '-' : value.toFixed(3);
+    }
+}
+
+export { PitchBenchmark };
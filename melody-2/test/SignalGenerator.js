@@ -0,0 +1,203 @@
+import { NoteDetector } from '../audio/NoteDetector.js';
+
+/**
+ * SignalGenerator - Synthetic test signals with known pitch
+ *
+ * Every signal is { samples, sampleRate, segments, notes }: segments are the
+ * sounding spans with their instantaneous fundamental (they overlap in
+ * chords), notes the written notes ({ midi, start, end } in seconds) a
+ * transcription should find.
+ * Phase is integrated sample by sample, so vibrato and glides stay continuous,
+ * and noise comes from a seeded generator, so every run is identical.
+ */
+class SignalGenerator {
+    static SAMPLE_RATE = 44100;
+    static AMPLITUDE = 0.3;
+    static FADE = 0.005;                                 // seconds of fade in/out against clicks
+    static RICH_HARMONICS = [1, 0.5, 0.33, 0.25, 0.2, 0.17, 0.14, 0.12]; // Sawtooth-like 1/n series
+    static MISSING_FUNDAMENTAL = [0, 1, 0.8, 0.6, 0.5];  // Harmonics 2-5 only
+
+    /**
+     * A steady tone
+     * @param {number} frequency - Fundamental in Hz
+     * @param {number} duration - Seconds
+     * @param {Object} options - { harmonics (relative amplitudes from the fundamental up), amplitude, sampleRate }
+     * @return {Object} Signal
+     */
+    static tone(frequency, duration, options = {}) {
+        return this.synthesize([{ start: 0, end: duration, pitch: () => frequency }], duration, options);
+    }
+
+    /**
+     * A steady tone with sawtooth-like harmonics
+     */
+    static richTone(frequency, duration, options = {}) {
+        return this.tone(frequency, duration, { harmonics: this.RICH_HARMONICS, ...options });
+    }
+
+    /**
+     * A tone whose fundamental is absent; its pitch is still the fundamental
+     */
+    static missingFundamental(frequency, duration, options = {}) {
+        return this.tone(frequency, duration, { harmonics: this.MISSING_FUNDAMENTAL, ...options });
+    }
+
+    /**
+     * A tone with sinusoidal vibrato around a centre pitch
+     * @param {number} frequency - Centre frequency in Hz
+     * @param {number} duration - Seconds
+     * @param {Object} options - { depth (cents either side, default 40), rate (Hz, default 5.5), ...tone options }
+     * @return {Object} Signal
+     */
+    static vibrato(frequency, duration, options = {}) {
+        const { depth = 40, rate = 5.5 } = options;
+        const pitch = time => frequency * Math.pow(2, depth * Math.sin(2 * Math.PI * rate * time) / 1200);
+        return this.synthesize([{ start: 0, end: duration, pitch }], duration, { harmonics: this.RICH_HARMONICS, ...options });
+    }
+
+    /**
+     * A glide moving at a constant rate in cents between two pitches; it has no written note
+     * @param {number} from - Start frequency in Hz
+     * @param {number} to - End frequency in Hz
+     * @param {number} duration - Seconds
+     * @param {Object} options - Tone options
+     * @return {Object} Signal
+     */
+    static glide(from, to, duration, options = {}) {
+        const pitch = time => from * Math.pow(to / from, time / duration);
+        const signal = this.synthesize([{ start: 0, end: duration, pitch }], duration, { harmonics: this.RICH_HARMONICS, ...options });
+        return { ...signal, notes: [] };
+    }
+
+    /**
+     * Notes, chords and rests at a known tempo
+     * @param {Array} notes - [midi, beats] pairs; midi is a note number, an array of them for a chord, or null for a rest
+     * @param {number} bpm - Beats per minute
+     * @param {Object} options - { legato (sounding fraction of each note, default 0.9), vibrato (cents), ...tone options }
+     * @return {Object} Signal
+     */
+    static sequence(notes, bpm, options = {}) {
+        const { legato = 0.9, vibrato = 0 } = options;
+        const secondsPerBeat = 60 / bpm;
+        const segments = [];
+        let time = 0;
+        notes.forEach(([midi, beats]) => {
+            const length = beats * secondsPerBeat;
+            [].concat(midi ?? []).forEach(note => {
+                const frequency = NoteDetector.midiToFrequency(note);
+                const pitch = vibrato
+                    ? t => frequency * Math.pow(2, vibrato * Math.sin(2 * Math.PI * 5.5 * t) / 1200)
+                    : () => frequency;
+                segments.push({ start: time, end: time + length * legato, pitch, midi: note });
+            });
+            time += length;
+        });
+        return this.synthesize(segments, time, { harmonics: this.RICH_HARMONICS, ...options });
+    }
+
+    /**
+     * Several notes sounding together
+     * @param {Array} midiNotes - MIDI note numbers
+     * @param {number} duration - Seconds
+     * @param {Object} options - Tone options; harmonics default to the rich series
+     * @return {Object} Signal
+     */
+    static chord(midiNotes, duration, options = {}) {
+        const segments = midiNotes.map(midi => {
+            const frequency = NoteDetector.midiToFrequency(midi);
+            return { start: 0, end: duration, pitch: () => frequency, midi };
+        });
+        return this.synthesize(segments, duration, { harmonics: this.RICH_HARMONICS, ...options });
+    }
+
+    /**
+     * Add white noise at a signal-to-noise ratio measured over the sounding parts
+     * @param {Object} signal - Signal to copy
+     * @param {number} snrDb - Signal-to-noise ratio in dB
+     * @param {number} seed - Noise seed
+     * @return {Object} New signal with the same segments and notes
+     */
+    static addNoise(signal, snrDb, seed = 1) {
+        const { samples, sampleRate, segments } = signal;
+        let power = 0;
+        let count = 0;
+        segments.forEach(segment => {
+            const end = Math.min(samples.length, Math.round(segment.end * sampleRate));
+            for (let i = Math.round(segment.start * sampleRate); i < end; i++, count++) {
+                power += samples[i] * samples[i];
+            }
+        });
+        const noiseRms = Math.sqrt(power / Math.max(1, count)) / Math.pow(10, snrDb / 20);
+
+        const random = this.random(seed);
+        const noisy = new Float32Array(samples.length);
+        for (let i = 0; i < samples.length; i++) {
+            // Sum of uniforms: close enough to Gaussian, unit variance
+            const gaussian = (random() + random() + random() + random() - 2) * Math.sqrt(3);
+            noisy[i] = samples[i] + gaussian * noiseRms;
+        }
+        return { ...signal, samples: noisy };
+    }
+
+    /**
+     * Fundamental at a time
+     * @param {Object} signal - Signal
+     * @param {number} time - Seconds
+     * @return {number|null} Hz, or null in silence
+     */
+    static pitchAt(signal, time) {
+        const segment = signal.segments.find(s => time >= s.start && time < s.end);
+        return segment ? segment.pitch(time - segment.start) : null;
+    }
+
+    /**
+     * Render sounding segments
+     * @param {Array} segments - { start, end, pitch(time since start) -> Hz, midi (written note, optional) }
+     * @param {number} duration - Total length in seconds
+     * @param {Object} options - { harmonics, amplitude, sampleRate }
+     * @return {Object} Signal
+     */
+    static synthesize(segments, duration, options = {}) {
+        const { harmonics = [1], amplitude = this.AMPLITUDE, sampleRate = this.SAMPLE_RATE } = options;
+        const samples = new Float32Array(Math.round(duration * sampleRate));
+        const norm = amplitude / harmonics.reduce((sum, a) => sum + a, 0);
+        const fadeSamples = this.FADE * sampleRate;
+
+        segments.forEach(segment => {
+            const first = Math.round(segment.start * sampleRate);
+            const last = Math.min(samples.length, Math.round(segment.end * sampleRate));
+            let phase = 0;
+            for (let i = first; i < last; i++) {
+                const fade = Math.min(1, (i - first) / fadeSamples, (last - 1 - i) / fadeSamples);
+                let value = 0;
+                harmonics.forEach((weight, h) => {
+                    if (weight) value += weight * Math.sin((h + 1) * phase);
+                });
+                samples[i] += value * norm * fade;
+                phase += 2 * Math.PI * segment.pitch((i - first) / sampleRate) / sampleRate;
+            }
+        });
+
+        const notes = segments
+            .map(segment => ({
+                midi: segment.midi ?? NoteDetector.frequencyToMIDI(segment.pitch(0)),
+                start: segment.start,
+                end: segment.end
+            }));
+        return { samples, sampleRate, segments, notes };
+    }
+
+    // Deterministic uniform generator (mulberry32)
+    static random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+export { SignalGenerator };
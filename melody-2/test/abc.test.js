@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AbcUtils } from '../notation/AbcUtils.js';
+import { MidiUtils } from '../audio/MidiUtils.js';
+import { MelodyFixtures } from './MelodyFixtures.js';
+
+// Written notes of an imported tune as [note, start, end] in beats, rests left out
+const notesOf = melody => melody.notes
+    .filter(event => event.note !== "Pause")
+    .map(event => [event.note, event.quantizedStart, event.quantizedEnd]);
+
+test('export writes the header, note lengths, rests, accidentals, ties and bar lines', () => {
+    const notes = [
+        { note: 'D4', quantizedStart: 0, quantizedEnd: 1 },
+        { note: 'F#4', quantizedStart: 1, quantizedEnd: 1.5 },
+        { note: 'A4', quantizedStart: 1.5, quantizedEnd: 2 },
+        { note: 'Pause', quantizedStart: 2, quantizedEnd: 3 },
+        { note: 'C5', quantizedStart: 3, quantizedEnd: 3.75 },
+        { note: 'C#5', quantizedStart: 3.75, quantizedEnd: 5 },  // Tied over the barline
+        { note: 'D5', quantizedStart: 5, quantizedEnd: 7 },
+        { note: 'E3', quantizedStart: 7, quantizedEnd: 8 }
+    ].map(event => ({ ...event, duration: (event.quantizedEnd - event.quantizedStart) / 2 }));
+
+    const abc = AbcUtils.melodyToAbc(notes, 96, { title: 'Test  tune', fifths: 2, mode: 'major' });
+    assert.deepEqual(abc.split('\n').slice(0, 6), ['X:1', 'T:Test tune', 'M:4/4', 'L:1/8', 'Q:1/4=96', 'K:D']);
+    assert.equal(abc.split('\n')[6], "D2 FA z2 =c3/2^c/- | c2 d4 E,2 |]");
+    assert.equal(AbcUtils.melodyToAbc(notes, 96, { fifths: -3, mode: 'minor' }).split('\n')[5], 'K:Cm');
+});
+
+test('import reads keys, lengths, broken rhythms, triplets, ties and accidentals', () => {
+    const melody = AbcUtils.abcToMelody([
+        'X:1',
+        'T:Example',
+        'M:6/8',
+        'L:1/8',
+        'Q:3/8=60',
+        'K:Ador',
+        '"Am"A>B (3cde f2- | f=f^F z ^g g |]'
+    ].join('\n'));
+    assert.equal(melody.title, 'Example');
+    assert.equal(melody.bpm, 90);
+    assert.equal(melody.keySignature, undefined);   // Modes other than major and minor are estimated
+    // Triplet positions are rounded to the import precision
+    const rounded = notes => notes.map(([note, start, end]) => [note, start.toFixed(3), end.toFixed(3)]);
+    assert.deepEqual(rounded(notesOf(melody)), rounded([
+        ['A4', 0, 0.75], ['B4', 0.75, 1], ['C5', 1, 4 / 3], ['D5', 4 / 3, 5 / 3], ['E5', 5 / 3, 2],
+        ['F#5', 2, 3.5], ['F5', 3.5, 4], ['F#4', 4, 4.5], ['G#5', 5, 5.5], ['G#5', 5.5, 6]
+    ]));
+    assert.equal(melody.notes.filter(event => event.note === "Pause").length, 1);
+    assert.ok(Math.abs(melody.totalDuration - 4) < 1e-9);
+});
+
+test('import plays out repeats and first and second endings', () => {
+    const melody = AbcUtils.abcToMelody('X:2\nL:1/4\nK:C\n|:C D|1 E F:|2 G A|]\n|:B c:|');
+    assert.deepEqual(notesOf(melody).map(([note]) => note),
+        ['C4', 'D4', 'E4', 'F4', 'C4', 'D4', 'G4', 'A4', 'B4', 'C5', 'B4', 'C5']);
+    assert.equal(melody.bpm, AbcUtils.DEFAULT_BPM);
+    assert.deepEqual(melody.keySignature, { fifths: 0, mode: 'major' });
+});
+
+test('exported tunes import back unchanged', () => {
+    const source = [['E4', 1], ['G#4', 0.5], ['B4', 0.5], [null, 0.5], ['E5', 1.5], ['D#5', 0.25], ['E5', 2.75], ['B3', 1]];
+    const notes = MelodyFixtures.events(source);
+    const abc = AbcUtils.melodyToAbc(notes, 120, { title: 'Round trip', fifths: 4, mode: 'major' });
+    const melody = AbcUtils.abcToMelody(abc);
+    assert.equal(melody.title, 'Round trip');
+    assert.deepEqual(melody.keySignature, { fifths: 4, mode: 'major' });
+    assert.deepEqual(melody.notes.map(event => [event.note, event.quantizedStart, event.quantizedEnd]),
+        notes.map(event => [event.note, event.quantizedStart, event.quantizedEnd]));
+    assert.equal(MidiUtils.noteToMidi(melody.notes[1].note), 68);
+});
+
+test('tunes are split at X: fields and several voices are refused', () => {
+    assert.equal(AbcUtils.splitTunes('X:1\nK:C\nCDE\n\nX:2\nK:G\nGAB').length, 2);
+    assert.equal(AbcUtils.splitTunes('CDEF GABc').length, 1);
+    assert.equal(AbcUtils.abcToMelody('CDEF GABc').notes.length, 8);
+    assert.throws(() => AbcUtils.abcToMelody('X:1\nK:C\nV:1\nCDE\nV:2\nEFG'), /single-voice/);
+});
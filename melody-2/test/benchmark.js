@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Pitch accuracy benchmark
+ *
+ *   node test/benchmark.js [--variant yin] [--cases] [--update]
+ *
+ * Prints gross pitch error, octave error rate, cents RMSE, voicing recall and
+ * note onset/offset F-measure per signal group for every pipeline variant,
+ * and exits with 1 when a metric got worse than test/baseline.json.
+ * --update writes the current results as the new baseline instead.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { PitchBenchmark } from './PitchBenchmark.js';
+
+const BASELINE = new URL('./baseline.json', import.meta.url);
+const COLUMNS = ['grossPitchError', 'octaveErrorRate', 'centsRmse', 'voicingRecall', 'onsetF', 'offsetF'];
+const HEADINGS = ['GPE', 'octave', 'RMSE c', 'voicing', 'onset F', 'offset F'];
+
+function row(label, metrics) {
+    return label.padEnd(28) + COLUMNS.map(name => PitchBenchmark.format(metrics[name]).padStart(9)).join('');
+}
+
+// Four decimals are plenty and keep baseline diffs readable
+function round(metrics) {
+    return Object.fromEntries(Object.entries(metrics)
+        .map(([name, value]) => [name, value === null ? null : Math.round(value * 10000) / 10000]));
+}
+
+async function main(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            variant: { type: 'string' },
+            cases: { type: 'boolean', default: false },
+            update: { type: 'boolean', default: false }
+        }
+    });
+    const variants = PitchBenchmark.VARIANTS.filter(variant => !values.variant || variant.name === values.variant);
+    if (variants.length === 0) {
+        throw new Error(`Unknown variant ${values.variant}; use one of ${PitchBenchmark.VARIANTS.map(v => v.name).join(', ')}`);
+    }
+
+    const baseline = JSON.parse(await readFile(BASELINE, 'utf8').catch(() => '{}'));
+    const cases = PitchBenchmark.cases();
+    let failed = false;
+
+    for (const variant of variants) {
+        const result = PitchBenchmark.run(variant, cases);
+        console.log(`\n${variant.name}`);
+        console.log(''.padEnd(28) + HEADINGS.map(heading => heading.padStart(9)).join(''));
+        if (values.cases) {
+            result.cases.forEach(({ name, metrics }) => console.log(row(`  ${name}`, metrics)));
+        }
+        Object.entries(result.groups).forEach(([group, metrics]) => console.log(row(group, metrics)));
+        console.log(row('overall', result.overall));
+
+        if (values.update) {
+            baseline[variant.name] = {
+                overall: round(result.overall),
+                groups: Object.fromEntries(Object.entries(result.groups).map(([group, metrics]) => [group, round(metrics)]))
+            };
+            continue;
+        }
+
+        const expected = baseline[variant.name];
+        if (!expected) {
+            console.log('  no baseline; run with --update to record one');
+            continue;
+        }
+        const regressions = PitchBenchmark.compare(result, expected);
+        regressions.forEach(text => console.log(`  WORSE ${text}`));
+        failed = failed || regressions.length > 0;
+    }
+
+    if (values.update) {
+        await writeFile(BASELINE, `${JSON.stringify(baseline, null, 2)}\n`);
+        console.log(`\nBaseline written to ${BASELINE.pathname}`);
+    }
+    return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+    code => { process.exitCode = code; },
+    err => {
+        console.error(`benchmark: ${err.message}`);
+        process.exitCode = 1;
+    }
+);
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignalGenerator } from './SignalGenerator.js';
+import { NoteDetector } from '../audio/NoteDetector.js';
+import { Transcriber } from '../audio/Transcriber.js';
+import { MidiUtils } from '../audio/MidiUtils.js';
+import { MusicXmlUtils } from '../notation/MusicXmlUtils.js';
+import { ExpressionAnalyzer } from '../analysis/ExpressionAnalyzer.js';
+
+const C4 = NoteDetector.midiToFrequency(60);
+
+// Expression of each note transcribed from sounding segments after half a second of silence;
+// legato notes follow each other directly, others are 0.2 s apart
+async function expressionsOf(pitchCurves, noteLength = 1.5, legato = false) {
+    const gap = legato ? 0 : 0.2;
+    const segments = pitchCurves.map((pitch, i) => ({ start: 0.5 + i * noteLength, end: 0.5 + (i + 1) * noteLength - gap, pitch }));
+    const duration = 1 + pitchCurves.length * noteLength;
+    const signal = SignalGenerator.synthesize(segments, duration, { harmonics: SignalGenerator.RICH_HARMONICS });
+    const take = await Transcriber.transcribe(signal.samples, signal.sampleRate, { segmenterOptions: { bpm: 120 } });
+    return take.filter(event => event.note !== "Pause").map(event => event.expression);
+}
+
+// Pitch `cents` away from C4 at the note start, reaching it linearly after `seconds`
+const glideInto = (cents, seconds) => time => C4 * Math.pow(2, cents * Math.max(0, 1 - time / seconds) / 1200);
+
+test('vibrato rate and extent are measured around the note', async () => {
+    const [expression] = await expressionsOf([time => C4 * Math.pow(2, 25 * Math.sin(2 * Math.PI * 5.5 * time) / 1200)]);
+    assert.ok(Math.abs(expression.vibrato.rate - 5.5) <= 0.3);
+    // Pitch smoothing narrows it somewhat
+    assert.ok(expression.vibrato.extent >= 12 && expression.vibrato.extent <= 30);
+    assert.equal(expression.onset, null);
+    assert.ok(Math.abs(expression.drift) < ExpressionAnalyzer.MIN_DRIFT_CENTS);
+});
+
+test('scoops and falls into a note are found from the frames before it', async () => {
+    const [scoop, fall] = await expressionsOf([glideInto(-150, 0.15), glideInto(150, 0.15)]);
+    assert.equal(scoop.onset.direction, 'up');
+    assert.equal(fall.onset.direction, 'down');
+    // Smoothing shortens the glides, the fall more as it starts from the previous note's pitch
+    [scoop, fall].forEach(expression => {
+        assert.ok(expression.onset.cents >= ExpressionAnalyzer.MIN_GLIDE_CENTS && expression.onset.cents <= 150);
+        assert.ok(expression.onset.duration >= 0.05 && expression.onset.duration <= 0.15);
+    });
+    assert.deepEqual(ExpressionAnalyzer.ornaments(scoop), ['scoop']);
+    assert.deepEqual(ExpressionAnalyzer.ornaments(fall), ['plop']);
+});
+
+test('plain note changes have no glide, and drift is measured over the note', async () => {
+    const steps = await expressionsOf([() => C4, () => NoteDetector.midiToFrequency(62), () => NoteDetector.midiToFrequency(64)], 1, true);
+    assert.equal(steps.length, 3);
+    steps.forEach(expression => {
+        assert.equal(expression.onset, null);
+        assert.equal(expression.vibrato, null);
+    });
+
+    const [drifting] = await expressionsOf([time => C4 * Math.pow(2, (-15 + 20 * time) / 1200)]);
+    assert.ok(drifting.drift >= 20 && drifting.drift <= 35);
+    assert.match(ExpressionAnalyzer.describe(drifting), /drift \+\d+ cents/);
+});
+
+test('ornaments are marked in MusicXML and MIDI only when asked for', () => {
+    const expression = { vibrato: { rate: 5.5, extent: 50 }, onset: { direction: 'up', cents: 120, duration: 0.1 }, drift: 0 };
+    const notes = [
+        { note: 'C4', duration: 3, quantizedStart: 2, quantizedEnd: 8, expression },   // Tied over the barline
+        { note: 'D4', duration: 1, quantizedStart: 8, quantizedEnd: 10, expression: null }
+    ];
+
+    const xml = MusicXmlUtils.melodyToMusicXml(notes, 120, { ornaments: true });
+    assert.equal(xml.match(/<wavy-line type="start"\/>/g).length, 1);
+    assert.equal(xml.match(/<wavy-line type="stop"\/>/g).length, 1);
+    assert.ok(xml.indexOf('<wavy-line type="start"/>') < xml.indexOf('<wavy-line type="stop"/>'));
+    assert.equal(xml.match(/<scoop\/>/g).length, 1);
+    assert.ok(!MusicXmlUtils.melodyToMusicXml(notes, 120).includes('<ornaments>'));
+
+    const { tracks } = MidiUtils.parseMidi(MidiUtils.melodyToMidi(notes, 120, null, { ornaments: true }));
+    const texts = tracks[0].filter(event => event.type === 'meta' && event.metaType === 0x01);
+    assert.deepEqual(texts.map(event => String.fromCharCode(...event.data)), ['vibrato scoop']);
+    // Half modulation for 50 cents, unless pitch bends carry the vibrato
+    const modulates = options => Array.from(MidiUtils.melodyToMidi(notes, 120, null, options)).join(',').includes('176,1,64');
+    assert.ok(modulates({ ornaments: true }));
+    assert.ok(!modulates({ ornaments: true, expressive: true }));
+    assert.ok(!modulates({}));
+});
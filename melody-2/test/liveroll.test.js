@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NoteDetector } from '../audio/NoteDetector.js';
+import { Tuning } from '../audio/Tuning.js';
+import { NoteSegmenter } from '../audio/NoteSegmenter.js';
+import { PolyphonicSegmenter } from '../audio/PolyphonicSegmenter.js';
+import { LivePianoRoll } from '../notation/LivePianoRoll.js';
+
+const FRAME_MS = 1000 / 60;
+const hz = midi => NoteDetector.midiToFrequency(midi);
+
+// Frames of [MIDI note or null, seconds], fed to every consumer in order; returns the end time in ms
+function feed(consumers, parts, start = 0) {
+    let time = start;
+    parts.forEach(([midi, seconds]) => {
+        const end = time + seconds * 1000;
+        for (; time < end; time += FRAME_MS) {
+            consumers.forEach(consume => consume(midi === null ? null : hz(midi), time));
+        }
+    });
+    return time;
+}
+
+test('the contour follows the sung pitch and breaks at silence and leaps', () => {
+    const roll = new LivePianoRoll();
+    feed([(pitch, time) => roll.addFrame(time, pitch)], [[60, 0.5], [61, 0.3], [null, 0.3], [67, 0.5], [72, 0.3]]);
+    const lines = roll.contour();
+    // C4 glides a semitone up without a break; after the rest G4 leaps to C5
+    assert.equal(lines.length, 3);
+    assert.ok(Math.abs(lines[0][0][1] - 60) < 1e-9);
+    assert.ok(Math.abs(lines[0][lines[0].length - 1][1] - 61) < 1e-9);
+    assert.ok(Math.abs(lines[2][0][1] - 72) < 1e-9);
+});
+
+test('a pitch sung in tune sits on its lane in any tuning system', () => {
+    const just = new Tuning({ system: Tuning.JUST });
+    const roll = new LivePianoRoll({ tuning: just });
+    // A just major third above C is 14 cents below the equal-tempered E4
+    roll.addFrame(0, just.midiToFrequency(64));
+    roll.addFrame(FRAME_MS, just.midiToFrequency(64) * Math.pow(2, 10 / 1200));
+    assert.ok(Math.abs(roll.frames[0].midis[0] - 64) < 1e-9);
+    assert.ok(Math.abs(roll.frames[1].midis[0] - 64.1) < 1e-9);
+});
+
+test('old frames scroll away and the lanes follow the singer within the range', () => {
+    const roll = new LivePianoRoll({ minMidi: 40, maxMidi: 84 });
+    const end = feed([(pitch, time) => roll.addFrame(time, pitch)], [[81, LivePianoRoll.SECONDS_VISIBLE + 2]]);
+    assert.ok(roll.frames[0].time >= end - LivePianoRoll.SECONDS_VISIBLE * 1000 - FRAME_MS);
+    for (let i = 0; i < 100; i++) roll.follow(end);
+    // A5 is near the top of the range, so the lanes stop at C6
+    assert.ok(Math.abs(roll.low + LivePianoRoll.LANES - 1 - 84) < 0.01);
+
+    const narrow = new LivePianoRoll({ minMidi: 55, maxMidi: 67 });
+    assert.equal(narrow.low + (LivePianoRoll.LANES - 1) / 2, 61);
+});
+
+test('beat and bar lines come from the tempo and downbeat', () => {
+    assert.deepEqual(LivePianoRoll.beatLines(1000, null, 120), []);
+    const lines = LivePianoRoll.beatLines(5000, 1000, 120, 3);
+    // 6 s window at 500 ms per beat, count-in beats before the downbeat included
+    assert.equal(lines.length, 13);
+    assert.deepEqual(lines.filter(line => line.downbeat).map(line => line.time), [-500, 1000, 2500, 4000]);
+});
+
+test('committed notes sit on the beat grid and the open note is shown as sounding', () => {
+    const segmenter = new NoteSegmenter({ bpm: 120 });
+    const roll = new LivePianoRoll();
+    const consumers = [(pitch, time) => segmenter.processFrame(pitch, time, -20), (pitch, time) => roll.addFrame(time, pitch)];
+    const end = feed(consumers, [[60, 0.5], [64, 0.5], [67, 0.3]], 2000);
+
+    const bars = LivePianoRoll.noteBars(segmenter.melody, segmenter.beatStartTime, segmenter.bpm);
+    assert.deepEqual(bars.map(bar => bar.midi), [60, 64]);
+    assert.deepEqual(bars.map(bar => [bar.start - 2000, bar.end - 2000]), [[0, 500], [500, 1000]]);
+    const [sounding] = segmenter.sounding();
+    assert.equal(sounding.midi, 67);
+    assert.ok(sounding.startTime > 3000 && sounding.startTime < end);
+
+    // Every shape is drawn inside the canvas
+    const calls = [];
+    const ctx = new Proxy({}, {
+        get: (target, name) => (name in target ? target[name] : (...args) => calls.push([name, ...args])),
+        set: (target, name, value) => { target[name] = value; return true; }
+    });
+    roll.follow(end);
+    roll.draw(ctx, 600, 200, end, { melody: segmenter.melody, sounding: segmenter.sounding(), beatStartTime: segmenter.beatStartTime, bpm: 120 });
+    assert.equal(calls.filter(([name]) => name === 'stroke').length, roll.contour().length);
+    calls.filter(([name]) => name === 'lineTo').forEach(([, x, y]) => assert.ok(x <= 601 && y >= 0 && y <= 200));
+});
+
+test('polyphonic takes report every sounding note', () => {
+    const segmenter = new PolyphonicSegmenter({ bpm: 120 });
+    for (let time = 0; time < 300; time += FRAME_MS) segmenter.processFrame([hz(60), hz(64), hz(67)], time, -20);
+    assert.deepEqual(segmenter.sounding().map(note => note.midi).sort(), [60, 64, 67]);
+});
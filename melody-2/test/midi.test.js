@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MidiUtils } from '../audio/MidiUtils.js';
+
+// Format 1 file at 480 ticks per quarter; each track is [channel, [[note, start, end] in quarters]]
+function smf(tracks) {
+    const vlq = value => {
+        const bytes = [value & 0x7F];
+        while ((value >>= 7) > 0) bytes.unshift((value & 0x7F) | 0x80);
+        return bytes;
+    };
+    const chunk = (id, data) => [...id].map(c => c.charCodeAt(0))
+        .concat([(data.length >>> 24) & 0xFF, (data.length >> 16) & 0xFF, (data.length >> 8) & 0xFF, data.length & 0xFF], data);
+    const header = chunk('MThd', [0, 1, 0, tracks.length, 0x01, 0xE0]);
+    const body = tracks.flatMap(([channel, notes]) => {
+        const events = notes.flatMap(([note, start, end]) => [[start * 480, 0x90, note, 100], [end * 480, 0x80, note, 0]])
+            .sort((a, b) => a[0] - b[0]);
+        let tick = 0;
+        const data = events.flatMap(([at, command, note, velocity]) => {
+            const delta = at - tick;
+            tick = at;
+            return [...vlq(delta), command | channel, note, velocity];
+        });
+        return chunk('MTrk', [...data, 0, 0xFF, 0x2F, 0]);
+    });
+    return new Uint8Array([...header, ...body]);
+}
+
+test('note names of the lowest MIDI notes parse back', () => {
+    for (const midi of [0, 11, 12, 21, 127]) {
+        assert.equal(MidiUtils.noteToMidi(MidiUtils.midiToNote(midi)), midi);
+    }
+    assert.equal(MidiUtils.midiToNote(0), 'C-1');
+});
+
+test('import skips the drum channel when picking the melody track', () => {
+    const drums = [9, Array.from({ length: 8 }, (_, i) => [36, i / 2, i / 2 + 0.25])];
+    const melody = [0, [[60, 0, 1], [62, 1, 2], [64, 2, 4]]];
+    const imported = MidiUtils.midiToMelody(smf([drums, melody]));
+    assert.deepEqual(imported.notes.filter(event => event.note !== "Pause").map(event => event.note), ['C4', 'D4', 'E4']);
+});
+
+test('pitch bends are measured in the tuning the melody was recorded in', () => {
+    // A4 sung in tune at A4 = 432 Hz, exported while the current tuning is A4 = 440 Hz
+    const notes = [{ note: 'A4', duration: 0.5, pitchTrack: [[0, 432, -20], [0.25, 432, -20]] }];
+    const firstBend = options => MidiUtils.parseMidi(MidiUtils.melodyToMidi(notes, 120, null, { expressive: true, ...options }))
+        .tracks[0].find(event => event.type === 'pitchBend').value;
+    assert.equal(firstBend({ tuning: { referenceFrequency: 432 } }), MidiUtils.PITCH_BEND_CENTER);
+    // Against 440 Hz the same note would be bent about 32 cents flat
+    const cents = (firstBend({}) - MidiUtils.PITCH_BEND_CENTER) / MidiUtils.PITCH_BEND_CENTER * MidiUtils.DEFAULT_BEND_RANGE * 100;
+    assert.ok(Math.abs(cents - 1200 * Math.log2(432 / 440)) < 1);
+});
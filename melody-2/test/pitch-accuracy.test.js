@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { PitchBenchmark } from './PitchBenchmark.js';
+
+// Fails when any metric of any signal group got worse than the recorded
+// baseline; after a deliberate change, run `npm run benchmark -- --update`
+const baseline = JSON.parse(readFileSync(new URL('./baseline.json', import.meta.url), 'utf8'));
+const cases = PitchBenchmark.cases();
+
+PitchBenchmark.VARIANTS.forEach(variant => {
+    test(`${variant.name} is no less accurate than the baseline`, () => {
+        const expected = baseline[variant.name];
+        assert.ok(expected, `no baseline for ${variant.name}`);
+
+        const result = PitchBenchmark.run(variant, cases);
+        const regressions = PitchBenchmark.compare(result, expected);
+        assert.deepEqual(regressions, []);
+    });
+});
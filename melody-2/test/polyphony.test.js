@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignalGenerator } from './SignalGenerator.js';
+import { MultiPitchDetector } from '../audio/pitch/MultiPitchDetector.js';
+import { NoteDetector } from '../audio/NoteDetector.js';
+import { Transcriber } from '../audio/Transcriber.js';
+import { MidiUtils } from '../audio/MidiUtils.js';
+import { ChordDetector } from '../analysis/ChordDetector.js';
+import { TempoEstimator } from '../analysis/TempoEstimator.js';
+
+test('chords are named from their notes, with the bass of inversions', () => {
+    const name = midiNotes => ChordDetector.detect(midiNotes)?.name ?? null;
+    assert.equal(name([60, 64, 67]), 'C');
+    assert.equal(name([57, 60, 64]), 'Am');
+    assert.equal(name([55, 59, 62, 65]), 'G7');
+    assert.equal(name([52, 55, 60]), 'C/E');
+    assert.equal(name([53, 57, 64]), 'Fmaj7');   // Fifth left out
+    assert.equal(name([60, 72]), null);
+    assert.equal(name([60, 61, 62, 63]), null);
+});
+
+test('the multi-pitch estimate finds every note of a chord', () => {
+    const chord = [48, 55, 64, 72];
+    const signal = SignalGenerator.chord(chord, 0.2, { amplitude: 0.15 });
+    const frame = signal.samples.subarray(0, 4096);
+    const estimates = new MultiPitchDetector().detect(frame, signal.sampleRate, { minFrequency: 60, maxFrequency: 1500 });
+    assert.deepEqual(estimates.map(estimate => NoteDetector.frequencyToMIDI(estimate.frequency)), chord);
+});
+
+test('polyphonic transcription gives overlapping notes and chord symbols', async () => {
+    const bpm = 100;
+    const signal = SignalGenerator.sequence([[null, 1], [[60, 64, 67], 2], [[57, 60, 64], 2], [[55, 59, 62, 65], 2]], bpm, { amplitude: 0.15 });
+    const take = await Transcriber.transcribe(signal.samples, signal.sampleRate, {
+        polyphonic: true,
+        segmenterOptions: { bpm },
+        downbeatTime: 0
+    });
+    const melody = Transcriber.buildMelody(take, { bpm, polyphonic: true });
+
+    assert.equal(melody.polyphonic, true);
+    assert.deepEqual(melody.chords.map(chord => chord.name), ['C', 'Am', 'G7']);
+    assert.deepEqual(melody.chords.map(chord => chord.start), [1, 3, 5]);
+    const atStart = melody.notes.filter(event => event.quantizedStart === 1).map(event => event.note);
+    assert.deepEqual(atStart.sort(), ['C4', 'E4', 'G4']);
+    assert.ok(Math.abs(melody.totalDuration - 7 * 60 / bpm) < 0.3);
+});
+
+test('polyphonic MIDI export writes simultaneous note-ons', () => {
+    const note = (name, quantizedStart, quantizedEnd) => ({ note: name, duration: (quantizedEnd - quantizedStart) / 2, quantizedStart, quantizedEnd });
+    const notes = [note('C4', 0, 2), note('E4', 0, 1), note('G4', 0, 2), note('F4', 1, 2)];
+    const midi = MidiUtils.melodyToMidi(notes, 120, null, { polyphonic: true });
+    const { tracks } = MidiUtils.parseMidi(midi);
+    const events = tracks[0].filter(event => event.type === 'noteOn' || event.type === 'noteOff');
+    const ons = events.filter(event => event.type === 'noteOn').map(event => [event.tick, event.note]);
+    const offs = events.filter(event => event.type === 'noteOff').map(event => [event.tick, event.note]);
+    const ticks = MidiUtils.TICKS_PER_QUARTER;
+    assert.deepEqual(ons, [[0, 60], [0, 64], [0, 67], [ticks, 65]]);
+    assert.deepEqual(offs.sort((a, b) => a[0] - b[0] || a[1] - b[1]), [[ticks, 64], [2 * ticks, 60], [2 * ticks, 65], [2 * ticks, 67]]);
+    // Pitch bends would bend every sounding note, so expressive export is the same
+    assert.deepEqual(MidiUtils.melodyToMidi(notes, 120, null, { polyphonic: true, expressive: true }), midi);
+});
+
+test('re-quantizing a polyphonic take keeps short overlapping notes', () => {
+    // A held C4 under two short grace-like notes, at 120 BPM with beat 0 at 0.1 s
+    const take = [
+        { note: 'C4', timestamp: 0.1, rawDuration: 1 },
+        { note: 'E4', timestamp: 0.12, rawDuration: 0.05 },
+        { note: 'G4', timestamp: 0.6, rawDuration: 0.06 }
+    ];
+    const notes = TempoEstimator.requantize(take, 120, 0.1, 0.25, { polyphonic: true });
+    assert.deepEqual(notes.map(event => [event.quantizedStart, event.quantizedEnd]), [[0, 2], [0, 0.25], [1, 1.25]]);
+    assert.ok(notes.every(event => event.duration > 0));
+});
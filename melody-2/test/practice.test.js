@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignalGenerator } from './SignalGenerator.js';
+import { NoteDetector } from '../audio/NoteDetector.js';
+import { Transcriber } from '../audio/Transcriber.js';
+import { MidiUtils } from '../audio/MidiUtils.js';
+import { Tuning } from '../audio/Tuning.js';
+import { PracticeScorer } from '../analysis/PracticeScorer.js';
+
+const BPM = 120;
+
+// Target melody on the beat grid: [note, start, end] in beats
+const melody = events => events.map(([note, quantizedStart, quantizedEnd]) => ({ note, quantizedStart, quantizedEnd }));
+const TARGET = melody([['C4', 1, 2], ['E4', 2, 3], ['G4', 3, 4], ['C5', 8, 10]]);
+
+// Sung notes: [note, onset in beats, cents off]
+const take = events => events.map(([note, beat, cents = 0]) => {
+    const frequency = NoteDetector.midiToFrequency(MidiUtils.noteToMidi(note));
+    return { note, timestamp: beat * 60 / BPM + PracticeScorer.DETECTION_LATENCY, pitchTrack: [[0, frequency * Math.pow(2, cents / 1200), -20]] };
+});
+
+test('a take sung exactly as the target scores full marks', () => {
+    const result = PracticeScorer.score(TARGET, take([['C4', 1], ['E4', 2], ['G4', 3], ['C5', 8]]), BPM);
+    assert.equal(result.score, 100);
+    assert.deepEqual([result.hits, result.wrong, result.missed, result.extra], [4, 0, 0, 0]);
+    assert.deepEqual(result.notes.map(note => note.index), [0, 1, 2, 3]);
+});
+
+test('wrong, late, missed and extra notes are told apart', () => {
+    const result = PracticeScorer.score(TARGET, take([
+        ['C4', 1, 30],          // A little sharp, still right
+        ['F4', 2],              // Wrong note
+        ['G4', 3.25],           // Late
+        ['G4', 3.5]             // Sung twice; C5 was never sung
+    ]), BPM);
+    assert.deepEqual(result.notes.map(note => note.status), ['hit', 'wrong', 'hit', 'missed']);
+    assert.equal(result.notes[0].cents, 30);
+    assert.equal(result.notes[1].cents, 100);
+    assert.equal(result.notes[2].offset, 0.25);
+    assert.deepEqual(result.extras, [{ sung: 'G4', start: 3.5 }]);
+    assert.ok(result.score > 0 && result.score < 50);
+    assert.ok(result.timingScore > result.pitchScore);
+});
+
+test('a transcribed take sung against the downbeat is scored note by note', async () => {
+    const sing = notes => {
+        const signal = SignalGenerator.sequence([[null, 1], ...notes.map(midi => [midi, 1]), [null, 1], [null, 1]], BPM);
+        return Transcriber.transcribe(signal.samples, signal.sampleRate, { segmenterOptions: { bpm: BPM }, downbeatTime: 0 });
+    };
+    const target = melody([['C4', 1, 2], ['E4', 2, 3], ['G4', 3, 4]]);
+
+    const right = PracticeScorer.score(target, await sing([60, 64, 67]), BPM);
+    assert.deepEqual(right.notes.map(note => note.status), ['hit', 'hit', 'hit']);
+    assert.equal(right.extra, 0);
+    assert.ok(right.score >= 85);
+
+    const wrong = PracticeScorer.score(target, await sing([60, 65, 67]), BPM);
+    assert.deepEqual(wrong.notes.map(note => note.status), ['hit', 'wrong', 'hit']);
+    assert.ok(wrong.score < right.score);
+});
+
+test('pitches are scored in the tuning the target was recorded in', () => {
+    // Sung in tune at A4 = 432 Hz while the current tuning is A4 = 440 Hz
+    const baroque = new Tuning({ referenceFrequency: 432 });
+    const target = melody([['A4', 1, 2], ['C5', 2, 3]]);
+    const sung = [['A4', 1], ['C5', 2]].map(([note, beat]) => ({
+        note,
+        timestamp: beat * 60 / BPM + PracticeScorer.DETECTION_LATENCY,
+        pitchTrack: [[0, baroque.midiToFrequency(MidiUtils.noteToMidi(note)), -20]]
+    }));
+    const result = PracticeScorer.score(target, sung, BPM, baroque);
+    assert.deepEqual(result.notes.map(note => note.cents), [0, 0]);
+    assert.equal(result.pitchScore, 100);
+    // Against the current tuning the same take is about 32 cents flat
+    assert.deepEqual(PracticeScorer.score(target, sung, BPM).notes.map(note => note.cents), [-32, -32]);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignalGenerator } from './SignalGenerator.js';
+import { InstrumentProfile } from '../audio/InstrumentProfile.js';
+import { NoteDetector } from '../audio/NoteDetector.js';
+import { Transcriber } from '../audio/Transcriber.js';
+import { MidiUtils } from '../audio/MidiUtils.js';
+
+// Written notes of a monophonic transcription through a profile
+async function transcribeWith(profile, signal, algorithm) {
+    const take = await Transcriber.transcribe(signal.samples, signal.sampleRate, {
+        frameSize: profile.analysisFrameSize(),
+        analyzerOptions: { ...profile.analyzerOptions(), algorithm },
+        segmenterOptions: { bpm: 120, ...profile.segmenterOptions() },
+        downbeatTime: 0
+    });
+    return take.filter(event => event.note !== "Pause").map(event => event.note);
+}
+
+test('profiles give the note range in Hz, half a semitone past either end', () => {
+    const voice = new InstrumentProfile();
+    assert.equal(voice.id, InstrumentProfile.DEFAULT);
+    assert.equal(voice.describe(), 'E2-C6');
+    assert.ok(Math.abs(voice.minFrequency - NoteDetector.midiToFrequency(39.5)) < 0.01);
+    assert.ok(Math.abs(voice.maxFrequency - NoteDetector.midiToFrequency(84.5)) < 0.01);
+    assert.equal(new InstrumentProfile({ id: 'bass-guitar' }).analysisFrameSize(true), 8192);
+    assert.equal(new InstrumentProfile({ id: 'whistle' }).analysisFrameSize(true), 4096);
+});
+
+test('custom ranges get a window for their lowest note and are validated', () => {
+    const custom = new InstrumentProfile({ id: InstrumentProfile.CUSTOM, lowest: 28, highest: 64 });
+    assert.equal(custom.frameSize, 4096);
+    assert.deepEqual(InstrumentProfile.fromJSON(JSON.parse(JSON.stringify(custom))), custom);
+    assert.throws(() => new InstrumentProfile({ id: InstrumentProfile.CUSTOM, lowest: 64, highest: 28 }));
+    assert.throws(() => new InstrumentProfile({ id: InstrumentProfile.CUSTOM, lowest: -1, highest: 28 }));
+    assert.throws(() => new InstrumentProfile({ id: 'tuba' }));
+});
+
+test('calibration keeps the comfortable range and a margin around it', () => {
+    const frequencies = [];
+    for (let midi = 48; midi <= 67; midi++) {
+        for (let i = 0; i < 5; i++) frequencies.push(NoteDetector.midiToFrequency(midi));
+    }
+    // A few strained notes at either end are left out
+    frequencies.push(NoteDetector.midiToFrequency(40), NoteDetector.midiToFrequency(80));
+    const profile = InstrumentProfile.fromCalibration(frequencies);
+    assert.equal(profile.id, InstrumentProfile.CUSTOM);
+    assert.equal(profile.lowest, 48 - InstrumentProfile.CALIBRATION_MARGIN);
+    assert.equal(profile.highest, 67 + InstrumentProfile.CALIBRATION_MARGIN);
+    assert.equal(InstrumentProfile.fromCalibration(frequencies.slice(0, 10)), null);
+});
+
+test('the bass guitar profile keeps notes below E2 that the voice profile drops', async () => {
+    const signal = SignalGenerator.sequence([[null, 1], [28, 1], [33, 1], [null, 1]], 120);
+    assert.deepEqual(await transcribeWith(new InstrumentProfile({ id: 'bass-guitar' }), signal, 'yin'), ['E1', 'A1']);
+    assert.deepEqual(await transcribeWith(new InstrumentProfile(), signal, 'yin'), []);
+});
+
+test('the whistle profile keeps notes above C6 with the classic detector', async () => {
+    const signal = SignalGenerator.sequence([[null, 1], [91, 1], [98, 1], [null, 1]], 120);
+    assert.deepEqual(await transcribeWith(new InstrumentProfile({ id: 'whistle' }), signal, 'classic'), ['G6', 'D7']);
+});
+
+test('MIDI export writes the profile program', () => {
+    const programOf = midi => MidiUtils.parseMidi(midi).tracks.flat()
+        .find(event => event.type === 'programChange' && event.channel === 0).program;
+    const notes = [{ note: 'E1', duration: 0.5 }];
+    assert.equal(programOf(MidiUtils.melodyToMidi(notes, 120, null, { program: 33 })), 33);
+    assert.equal(programOf(MidiUtils.melodyToMidi(notes, 120)), 0);
+});
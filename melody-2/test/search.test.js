@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignalGenerator } from './SignalGenerator.js';
+import { Transcriber } from '../audio/Transcriber.js';
+import { MelodySearch } from '../analysis/MelodySearch.js';
+import { MelodyFixtures } from './MelodyFixtures.js';
+
+// Stored melody from [MIDI note, beats] pairs, null for rests
+const stored = (id, pairs, bpm = 100) => ({ id, bpm, notes: MelodyFixtures.events(pairs, bpm) });
+
+const ODE_TO_JOY = [[64, 1], [64, 1], [65, 1], [67, 1], [67, 1], [65, 1], [64, 1], [62, 1], [60, 1], [60, 1], [62, 1], [64, 1], [64, 1.5], [62, 0.5], [62, 2]];
+const FRERE_JACQUES = [[60, 1], [62, 1], [64, 1], [60, 1], [60, 1], [62, 1], [64, 1], [60, 1], [64, 1], [65, 1], [67, 2], [64, 1], [65, 1], [67, 2]];
+const TWINKLE = [[60, 1], [60, 1], [67, 1], [67, 1], [69, 1], [69, 1], [67, 2], [65, 1], [65, 1], [64, 1], [64, 1], [62, 1], [62, 1], [60, 2]];
+const LIBRARY = [stored('ode', ODE_TO_JOY), stored('frere', FRERE_JACQUES), stored('twinkle', TWINKLE)];
+
+test('a fragment in another key and tempo finds its melody and span', () => {
+    // "Frere Jacques" from its ninth note, a fourth higher and at half the note values
+    const fragment = FRERE_JACQUES.slice(8).map(([midi, beats]) => [midi + 5, beats / 2]);
+    const results = MelodySearch.search(stored('query', fragment, 140).notes, 140, LIBRARY);
+    assert.equal(results[0].melody.id, 'frere');
+    assert.equal(results[0].score, 100);
+    assert.deepEqual([results[0].start, results[0].end], [8, 13]);
+    assert.ok(results.every((result, i) => i === 0 || result.score < results[0].score));
+});
+
+test('wrong notes, rests and split notes lower the score but keep the match', () => {
+    const fragment = [[62, 1], [60, 1], [null, 1], [60, 1], [62, 1], [65, 1], [64, 0.5], [64, 1], [62, 0.5], [62, 2]];
+    const [best] = MelodySearch.search(stored('query', fragment).notes, 100, LIBRARY);
+    assert.equal(best.melody.id, 'ode');
+    assert.ok(best.score > 50 && best.score < 100);
+    assert.equal(best.end, 14);
+});
+
+test('too short a query and polyphonic melodies are not searched', () => {
+    assert.deepEqual(MelodySearch.search(stored('query', [[60, 1], [62, 1]]).notes, 100, LIBRARY), []);
+    const polyphonic = { ...stored('chords', FRERE_JACQUES), polyphonic: true };
+    const query = stored('query', FRERE_JACQUES.slice(0, 4)).notes;
+    assert.ok(MelodySearch.search(query, 100, [polyphonic]).length === 0);
+});
+
+test('a hummed take is matched against the library', async () => {
+    // "Twinkle" from its first note, two semitones lower
+    const signal = SignalGenerator.sequence([[null, 1], ...TWINKLE.slice(0, 7).map(([midi, beats]) => [midi - 2, beats]), [null, 1]], 90);
+    const take = await Transcriber.transcribe(signal.samples, signal.sampleRate, { segmenterOptions: { bpm: 90 } });
+    const [best] = MelodySearch.search(take, 90, LIBRARY);
+    assert.equal(best.melody.id, 'twinkle');
+    assert.equal(best.start, 0);
+    assert.ok(best.score >= 80);
+});
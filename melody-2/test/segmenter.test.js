@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NoteDetector } from '../audio/NoteDetector.js';
+import { NoteSegmenter } from '../audio/NoteSegmenter.js';
+
+const FRAME_MS = 1000 / 60;
+
+// Feed [MIDI note or null, seconds] parts from `start` ms and close the take
+function segment(segmenter, parts, start) {
+    let time = start;
+    parts.forEach(([midi, seconds]) => {
+        const end = time + seconds * 1000;
+        for (; time < end; time += FRAME_MS) {
+            segmenter.processFrame(midi === null ? null : NoteDetector.midiToFrequency(midi), time, -20);
+        }
+    });
+    return segmenter.finish(time);
+}
+
+test('a take whose clock starts at 0 keeps its grid at the first frame', () => {
+    // Time 0 is a valid frame time, not "no start yet"
+    const fromZero = new NoteSegmenter({ bpm: 120 });
+    const shifted = new NoteSegmenter({ bpm: 120 });
+    const parts = [[60, 0.5], [64, 0.5], [null, 0.3]];
+    const notesOf = take => take.filter(event => event.note !== "Pause")
+        .map(event => [event.note, Math.round(event.timestamp * 1000), event.quantizedStart, event.quantizedEnd]);
+
+    const take = segment(fromZero, parts, 0);
+    assert.equal(fromZero.beatStartTime, 0);
+    assert.deepEqual(notesOf(take), notesOf(segment(shifted, parts, 5000)));
+
+    const locked = new NoteSegmenter({ bpm: 120 });
+    locked.setDownbeat(0);
+    segment(locked, parts, 0);
+    assert.equal(locked.beatStartTime, 0);
+    assert.equal(locked.recordingStartTime, 0);
+});
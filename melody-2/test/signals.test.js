@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignalGenerator } from './SignalGenerator.js';
+import { PitchBenchmark } from './PitchBenchmark.js';
+
+// Period of a signal from its upward zero crossings, in Hz
+function zeroCrossingFrequency(samples, sampleRate) {
+    const crossings = [];
+    for (let i = 1; i < samples.length; i++) {
+        if (samples[i - 1] < 0 && samples[i] >= 0) crossings.push(i - samples[i] / (samples[i] - samples[i - 1]));
+    }
+    return sampleRate * (crossings.length - 1) / (crossings[crossings.length - 1] - crossings[0]);
+}
+
+// Amplitude of the component at one frequency
+function amplitudeAt(samples, sampleRate, frequency) {
+    let re = 0;
+    let im = 0;
+    samples.forEach((sample, i) => {
+        re += sample * Math.cos(2 * Math.PI * frequency * i / sampleRate);
+        im += sample * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    });
+    return 2 * Math.hypot(re, im) / samples.length;
+}
+
+test('tones have the requested frequency, length and written note', () => {
+    const signal = SignalGenerator.tone(440, 0.5);
+    assert.equal(signal.samples.length, 0.5 * SignalGenerator.SAMPLE_RATE);
+    assert.ok(Math.abs(zeroCrossingFrequency(signal.samples, signal.sampleRate) - 440) < 0.5);
+    assert.deepEqual(signal.notes, [{ midi: 69, start: 0, end: 0.5 }]);
+});
+
+test('a missing-fundamental tone has no energy at its pitch but reports it', () => {
+    const signal = SignalGenerator.missingFundamental(110, 0.5);
+    assert.equal(SignalGenerator.pitchAt(signal, 0.25), 110);
+    assert.ok(amplitudeAt(signal.samples, signal.sampleRate, 110) < 0.001);
+    assert.ok(amplitudeAt(signal.samples, signal.sampleRate, 220) > 0.05);
+});
+
+test('vibrato and glides follow their pitch curves', () => {
+    const vibrato = SignalGenerator.vibrato(220, 1, { depth: 50, rate: 5 });
+    assert.ok(Math.abs(SignalGenerator.pitchAt(vibrato, 0.05) - 220 * Math.pow(2, 50 / 1200)) < 0.01);
+    const glide = SignalGenerator.glide(220, 440, 1);
+    assert.ok(Math.abs(SignalGenerator.pitchAt(glide, 0.5) - 220 * Math.SQRT2) < 0.01);
+    assert.deepEqual(glide.notes, []);
+});
+
+test('sequences place notes and rests at the tempo', () => {
+    const signal = SignalGenerator.sequence([[60, 1], [null, 1], [64, 2]], 120, { legato: 1 });
+    assert.deepEqual(signal.notes, [{ midi: 60, start: 0, end: 0.5 }, { midi: 64, start: 1, end: 2 }]);
+    assert.equal(SignalGenerator.pitchAt(signal, 0.75), null);
+});
+
+test('noise is added at the requested signal-to-noise ratio, reproducibly', () => {
+    const clean = SignalGenerator.tone(220, 1);
+    const noisy = SignalGenerator.addNoise(clean, 10, 7);
+    let signalPower = 0;
+    let noisePower = 0;
+    clean.samples.forEach((sample, i) => {
+        signalPower += sample * sample;
+        noisePower += (noisy.samples[i] - sample) ** 2;
+    });
+    assert.ok(Math.abs(10 * Math.log10(signalPower / noisePower) - 10) < 0.3);
+    assert.deepEqual(SignalGenerator.addNoise(clean, 10, 7).samples, noisy.samples);
+});
+
+test('notes match on pitch and onset, and on offset when asked', () => {
+    const reference = [{ midi: 60, start: 0, end: 1 }, { midi: 62, start: 1, end: 2 }];
+    const estimated = [{ midi: 60, start: 0.05, end: 0.5 }, { midi: 61, start: 1, end: 2 }];
+    assert.equal(PitchBenchmark.matchNotes(reference, estimated, false), 1);
+    assert.equal(PitchBenchmark.matchNotes(reference, estimated, true), 0);
+
+    const metrics = PitchBenchmark.summarize({
+        voiced: 10, detected: 8, gross: 2, octave: 1, fine: 6, squaredCents: 600,
+        reference: 2, estimated: 2, onsetMatches: 1, offsetMatches: 0
+    });
+    assert.deepEqual(metrics, {
+        grossPitchError: 0.25,
+        octaveErrorRate: 0.125,
+        centsRmse: 10,
+        voicingRecall: 0.8,
+        onsetF: 0.5,
+        offsetF: 0
+    });
+});
+
+test('only changes for the worse beyond the margin are regressions', () => {
+    const baseline = { grossPitchError: 0.1, onsetF: 0.8, centsRmse: null };
+    assert.deepEqual(PitchBenchmark.regressions({ grossPitchError: 0.09, onsetF: 0.85, centsRmse: 5 }, baseline), []);
+    assert.equal(PitchBenchmark.regressions({ grossPitchError: 0.2, onsetF: 0.7, centsRmse: 5 }, baseline).length, 2);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { StaffRenderer } from '../notation/StaffRenderer.js';
+import { MelodyFixtures } from './MelodyFixtures.js';
+
+const count = (svg, className) => (svg.match(new RegExp(`class="${className}[" ]`, 'g')) || []).length;
+
+test('clef follows the range and the key signature the key', () => {
+    const high = StaffRenderer.render(MelodyFixtures.events([[67, 1], [69, 1], [71, 1], [72, 1]]), 120, { fifths: 3 });
+    assert.ok(high.includes(StaffRenderer.CLEF_SYMBOLS.G));
+    assert.equal(count(high, 'key-signature'), 3);
+    assert.equal(count(high, 'time-signature'), 2);
+
+    const low = StaffRenderer.render(MelodyFixtures.events([[43, 1], [45, 1], [47, 1], [48, 1]]), 120, { fifths: -2 });
+    assert.ok(low.includes(StaffRenderer.CLEF_SYMBOLS.F));
+    assert.equal(count(low, 'key-signature'), 2);
+});
+
+test('eighths and sixteenths are beamed within a beat, not across it', () => {
+    const svg = StaffRenderer.render(MelodyFixtures.events([
+        [60, 1], [62, 0.5], [64, 0.5],              // One beamed pair
+        [65, 0.25], [67, 0.25], [69, 0.5],          // Two sixteenths and an eighth: one group, second beam over the sixteenths
+        [null, 0.5], [71, 0.5]                      // Rest then a lone eighth: flagged
+    ]));
+    assert.equal(count(svg, 'notehead'), 7);
+    assert.equal(count(svg, 'beam'), 3);
+    assert.equal(count(svg, 'flag'), 1);
+    assert.equal(count(svg, 'stem'), 7);
+});
+
+test('ledger lines, ties over the barline and rests', () => {
+    // C4 needs one ledger line below, C6 two above; the D5 crosses into the second measure
+    const svg = StaffRenderer.render(MelodyFixtures.events([[60, 1], [84, 1], [null, 1], [74, 2], [null, 0.5], [72, 0.5], [null, 2]]));
+    assert.equal(count(svg, 'ledger'), 3);
+    assert.equal(count(svg, 'tie'), 1);
+    assert.deepEqual([...svg.matchAll(/class="rest" data-type="(\w+)"/g)].map(match => match[1]), ['quarter', 'eighth', 'half']);
+    // Both halves of the tied note point back at the same melody event
+    assert.deepEqual([...svg.matchAll(/class="staff-note" data-index="(\d+)"/g)].map(match => Number(match[1])), [0, 1, 3, 3, 5]);
+    assert.equal(count(svg, 'barline'), 3);
+});
+
+test('long melodies wrap onto systems that fit the width', () => {
+    const scale = [60, 62, 64, 65, 67, 69, 71, 72];
+    const melody = MelodyFixtures.events(Array.from({ length: 8 }, () => scale.map(midi => [midi, 0.5])).flat());
+    const wide = StaffRenderer.render(melody, 120, { width: 2000 });
+    const narrow = StaffRenderer.render(melody, 120, { width: 400 });
+    assert.ok(wide.includes(`height="${StaffRenderer.SYSTEM_HEIGHT}"`));
+    const systems = Number(narrow.match(/height="(\d+)"/)[1]) / StaffRenderer.SYSTEM_HEIGHT;
+    assert.ok(systems >= 3);
+    // Clef on every system, time signature on the first only
+    assert.equal(count(narrow, 'clef'), systems);
+    assert.equal(count(narrow, 'time-signature'), 2);
+    const rightmost = Math.max(...[...narrow.matchAll(/<line class="staff-line" x1="[\d.]+" y1="[\d.]+" x2="([\d.]+)"/g)].map(match => Number(match[1])));
+    assert.ok(rightmost <= 400);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TempoEstimator } from '../analysis/TempoEstimator.js';
+
+test('re-quantizing keeps short notes and rebuilds the rests on the new grid', () => {
+    // At 120 BPM with beat 0 at 0.1 s: a quarter, a note shorter than half a sixteenth, a rest, a quarter.
+    // The rest still carries its beats at the tempo the take was recorded at.
+    const take = [
+        { note: 'C4', timestamp: 0.1, rawDuration: 0.5 },
+        { note: 'D4', timestamp: 0.6, rawDuration: 0.05 },
+        { note: "Pause", timestamp: 0.65, duration: 0.45, quantizedStart: 1, quantizedEnd: 2 },
+        { note: 'E4', timestamp: 1.1, rawDuration: 0.5 }
+    ];
+    const events = TempoEstimator.requantize(take, 120, 0.1, 0.25);
+    assert.deepEqual(events.map(event => [event.note, event.quantizedStart, event.quantizedEnd]),
+        [['C4', 0, 1], ['D4', 1, 1.25], ["Pause", 1.25, 2], ['E4', 2, 3]]);
+    assert.ok(events.every(event => event.duration > 0));
+    assert.equal(events[2].duration, 0.375);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SignalGenerator } from './SignalGenerator.js';
+import { NoteDetector } from '../audio/NoteDetector.js';
+import { Tuning } from '../audio/Tuning.js';
+import { Transcriber } from '../audio/Transcriber.js';
+
+test('a take is named in the tuning it is transcribed with, leaving the current one alone', async () => {
+    // 415 Hz is A4 at baroque pitch and G#4 at A4 = 440 Hz
+    const signal = SignalGenerator.richTone(415, 1);
+    const baroque = new Tuning({ referenceFrequency: 415 });
+    const notesOf = take => take.filter(event => event.note !== "Pause").map(event => event.note);
+
+    const take = await Transcriber.transcribe(signal.samples, signal.sampleRate, { segmenterOptions: { bpm: 120, tuning: baroque } });
+    assert.deepEqual(notesOf(take), ['A4']);
+    assert.equal(NoteDetector.tuning.referenceFrequency, 440);
+    assert.equal(Transcriber.buildMelody(take, { tuning: baroque }).tuning.referenceFrequency, 415);
+
+    const current = await Transcriber.transcribe(signal.samples, signal.sampleRate, { segmenterOptions: { bpm: 120 } });
+    assert.deepEqual(notesOf(current), ['G#4']);
+});